@@ -0,0 +1,157 @@
+/**
+ * Ajustes individuales de las pajaritas
+ * Cada pajarita de la celosía se identifica por su tipo, su anillo y su índice, que no cambian
+ * al regenerar la celosía con los mismos parámetros. Los ajustes se guardan por esa clave:
+ *   { "celosia:2:14": { oculta: true }, "grupo:0:5": { color: 0x336699, desfase: 0.5 } }
+ * - oculta: la pajarita no se crea (para diseñar aberturas en la celosía)
+ * - color: color hexadecimal que sustituye al del patrón
+ * - desfase: radianes que se suman a su rotación
+ * Como el resto de parámetros, los ajustes viajan en los presets y en el hash de la URL, donde
+ * se escriben de forma compacta: "celosia:2:14!,grupo:0:5#336699@0.5" (! oculta, # color, @ desfase).
+ */
+
+// Tipos de pajarita que admiten ajustes
+const TIPOS = ['interior', 'celosia', 'hexagonal', 'grupo'];
+
+// Formato de una clave y de una entrada del hash
+const PATRON_CLAVE = new RegExp(`^(${TIPOS.join('|')}):\\d+:\\d+$`);
+const PATRON_ENTRADA = new RegExp(`^((?:${TIPOS.join('|')}):\\d+:\\d+)(!?)(?:#([0-9a-fA-F]{6}))?(?:@(-?\\d+(?:\\.\\d+)?))?$`);
+
+// Desfase máximo (en valor absoluto)
+const DESFASE_MAXIMO = 2 * Math.PI;
+
+const AjustesPajaritas = {
+    /**
+     * Clave de una pajarita
+     * @param {string} tipo - Tipo de pajarita ('interior', 'celosia', 'hexagonal' o 'grupo')
+     * @param {number} anillo - Anillo (o anillo de celdas) en el que está
+     * @param {number} indice - Índice de la pajarita
+     * @returns {string} - Clave, por ejemplo "celosia:2:14"
+     */
+    clave: function(tipo, anillo, indice) {
+        return `${tipo}:${anillo}:${indice}`;
+    },
+    
+    /**
+     * Aplica los ajustes a una pajarita que se va a crear
+     * @param {Object} ajustes - Ajustes por clave
+     * @param {string} clave - Clave de la pajarita
+     * @param {number} color - Color del patrón
+     * @param {number} rotacion - Rotación de la disposición, en radianes
+     * @returns {Object|null} - { color, rotacion } definitivos, o null si la pajarita está oculta
+     */
+    resolver: function(ajustes, clave, color, rotacion) {
+        const ajuste = ajustes[clave];
+        if (!ajuste) return { color, rotacion };
+        if (ajuste.oculta) return null;
+        
+        return {
+            color: ajuste.color !== undefined ? ajuste.color : color,
+            rotacion: rotacion + (ajuste.desfase || 0)
+        };
+    },
+    
+    /**
+     * Devuelve unos ajustes nuevos con los cambios de una pajarita
+     * Los ajustes no se modifican, para que el historial y los presets conserven los anteriores
+     * @param {Object} ajustes - Ajustes por clave
+     * @param {string} clave - Clave de la pajarita
+     * @param {Object} cambios - { oculta, color, desfase }; undefined (o false, 0) quita la propiedad
+     * @returns {Object} - Ajustes nuevos
+     */
+    cambiar: function(ajustes, clave, cambios) {
+        const ajuste = { ...ajustes[clave], ...cambios };
+        Object.keys(ajuste).forEach(propiedad => {
+            const valor = ajuste[propiedad];
+            if (valor === undefined || valor === false || (propiedad === 'desfase' && valor === 0)) {
+                delete ajuste[propiedad];
+            }
+        });
+        
+        const nuevos = { ...ajustes };
+        if (Object.keys(ajuste).length > 0) {
+            nuevos[clave] = ajuste;
+        } else {
+            delete nuevos[clave];
+        }
+        return nuevos;
+    },
+    
+    /**
+     * Comprueba unos ajustes
+     * @param {*} ajustes - Valor a comprobar
+     * @returns {string|null} - Motivo por el que no son válidos, o null si lo son
+     */
+    comprobar: function(ajustes) {
+        if (typeof ajustes !== 'object' || ajustes === null || Array.isArray(ajustes)) {
+            return 'deben ser un objeto con un ajuste por pajarita';
+        }
+        
+        for (const clave of Object.keys(ajustes)) {
+            if (!PATRON_CLAVE.test(clave)) return `clave de pajarita no válida: ${clave}`;
+            
+            const ajuste = ajustes[clave];
+            if (typeof ajuste !== 'object' || ajuste === null || Array.isArray(ajuste)) {
+                return `el ajuste de ${clave} debe ser un objeto`;
+            }
+            
+            for (const propiedad of Object.keys(ajuste)) {
+                const valor = ajuste[propiedad];
+                if (propiedad === 'oculta') {
+                    if (valor !== true) return `${clave}.oculta debe ser true`;
+                } else if (propiedad === 'color') {
+                    if (!Number.isInteger(valor) || valor < 0 || valor > 0xffffff) return `${clave}.color debe ser un color entre 0 y 0xffffff`;
+                } else if (propiedad === 'desfase') {
+                    if (typeof valor !== 'number' || !Number.isFinite(valor) || Math.abs(valor) > DESFASE_MAXIMO) {
+                        return `${clave}.desfase debe ser un número entre ${-DESFASE_MAXIMO} y ${DESFASE_MAXIMO}`;
+                    }
+                } else {
+                    return `${clave}: propiedad desconocida ${propiedad}`;
+                }
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Escribe los ajustes de forma compacta para el hash de la URL
+     * @param {Object} ajustes - Ajustes por clave
+     * @returns {string} - Texto, por ejemplo "celosia:2:14!,grupo:0:5#336699@0.5"
+     */
+    aTexto: function(ajustes) {
+        return Object.keys(ajustes).map(clave => {
+            const { oculta, color, desfase } = ajustes[clave];
+            return clave +
+                (oculta ? '!' : '') +
+                (color !== undefined ? '#' + color.toString(16).padStart(6, '0') : '') +
+                (desfase ? '@' + Number(desfase.toFixed(4)) : '');
+        }).join(',');
+    },
+    
+    /**
+     * Lee los ajustes escritos por aTexto
+     * @param {string} texto - Texto del hash
+     * @returns {Object|string} - Ajustes por clave, o el propio texto si no tiene el formato esperado
+     */
+    desdeTexto: function(texto) {
+        const ajustes = {};
+        const entradas = texto === '' ? [] : texto.split(',');
+        
+        for (const entrada of entradas) {
+            const partes = PATRON_ENTRADA.exec(entrada);
+            if (!partes) return texto;
+            
+            const [, clave, oculta, color, desfase] = partes;
+            const ajuste = {};
+            if (oculta) ajuste.oculta = true;
+            if (color) ajuste.color = parseInt(color, 16);
+            if (desfase) ajuste.desfase = Number(desfase);
+            ajustes[clave] = ajuste;
+        }
+        
+        return ajustes;
+    }
+};
+
+export default AjustesPajaritas;
@@ -0,0 +1,271 @@
+/**
+ * Análisis de huecos y solapes entre pajaritas vecinas
+ * Proyecta el contorno de cada pajarita sobre el plano XY y lo rasteriza en una rejilla
+ * común. Cada celda cubierta por dos o más pajaritas suma su área al solape del par,
+ * y cada celda sin cubrir dentro de los límites de la celosía suma su área a los huecos.
+ * Los límites son la envolvente convexa de los centroides de las pajaritas, para no contar
+ * como hueco el borde dentado exterior de la celosía.
+ * Una pajarita se marca como infractora cuando su solape, o su parte de los huecos que bordea,
+ * supera una fracción de su área.
+ *
+ * La precisión depende del tamaño de celda (por defecto 1/80 del tamaño de la pajarita).
+ */
+
+import * as THREE from './lib/three.module.js';
+
+// Número máximo de celdas de la rejilla, para acotar memoria y tiempo
+const MAX_CELDAS = 2000000;
+
+/**
+ * Área con signo y centroide de un polígono
+ * @param {Array<Object>} poligono - Vértices {x, y}
+ * @returns {Object} - { area, cx, cy } con area positiva para polígonos antihorarios
+ */
+function areaYCentroide(poligono) {
+    let a = 0;
+    let mx = 0;
+    let my = 0;
+    for (let i = 0; i < poligono.length; i++) {
+        const p = poligono[i];
+        const q = poligono[(i + 1) % poligono.length];
+        const cross = p.x * q.y - q.x * p.y;
+        a += cross;
+        mx += (p.x + q.x) * cross;
+        my += (p.y + q.y) * cross;
+    }
+    return { area: a / 2, cx: a !== 0 ? mx / (3 * a) : poligono[0].x, cy: a !== 0 ? my / (3 * a) : poligono[0].y };
+}
+
+/**
+ * Envolvente convexa (cadena monótona de Andrew)
+ * @param {Array<Object>} puntos - Puntos {x, y}
+ * @returns {Array<Object>} - Vértices de la envolvente en sentido antihorario
+ */
+function envolventeConvexa(puntos) {
+    const p = puntos.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    if (p.length < 3) return p;
+    
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const inferior = [];
+    for (const punto of p) {
+        while (inferior.length >= 2 && cross(inferior[inferior.length - 2], inferior[inferior.length - 1], punto) <= 0) inferior.pop();
+        inferior.push(punto);
+    }
+    const superior = [];
+    for (let i = p.length - 1; i >= 0; i--) {
+        while (superior.length >= 2 && cross(superior[superior.length - 2], superior[superior.length - 1], p[i]) <= 0) superior.pop();
+        superior.push(p[i]);
+    }
+    inferior.pop();
+    superior.pop();
+    return inferior.concat(superior);
+}
+
+/**
+ * Cruces de una horizontal con los lados de un conjunto de polígonos (regla par-impar)
+ * @param {Array<Array<Object>>} poligonos - Contornos (el exterior y sus agujeros)
+ * @param {number} y - Altura de la horizontal
+ * @returns {Array<number>} - Abscisas de los cruces, ordenadas
+ */
+function crucesHorizontal(poligonos, y) {
+    const cruces = [];
+    poligonos.forEach(poligono => {
+        for (let i = 0, j = poligono.length - 1; i < poligono.length; j = i++) {
+            const a = poligono[i];
+            const b = poligono[j];
+            if ((a.y > y) !== (b.y > y)) {
+                cruces.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+            }
+        }
+    });
+    return cruces.sort((a, b) => a - b);
+}
+
+const AnalisisTeselado = {
+    /**
+     * Proyecta el contorno de una forma al plano XY del mundo
+     * @param {THREE.Shape} shape - Forma 2D de la pajarita (coordenadas de la geometría)
+     * @param {THREE.Matrix4} matrix - Matriz de mundo de la malla
+     * @param {number} divisiones - Divisiones por curva
+     * @returns {Array<Array<Object>>} - Contorno exterior seguido de los agujeros, como vértices {x, y}
+     */
+    proyectarForma: function(shape, matrix, divisiones = 12) {
+        const { shape: contorno, holes } = shape.extractPoints(divisiones);
+        const v = new THREE.Vector3();
+        const proyectar = points => points.map(p => {
+            v.set(p.x, p.y, 0).applyMatrix4(matrix);
+            return { x: v.x, y: v.y };
+        });
+        
+        return [proyectar(contorno), ...holes.map(proyectar)];
+    },
+    
+    /**
+     * Calcula solapes por pares y huecos de un conjunto de pajaritas
+     * @param {Array<Object>} pesas - { id, contornos } donde contornos es una lista de formas
+     * proyectadas (cada una, exterior + agujeros, como devuelve proyectarForma)
+     * @param {Object} opciones - { resolucion: celdas por tamaño de pajarita, umbral: fracción del área
+     * de una pajarita a partir de la cual se marca como infractora }
+     * @returns {Object} - { areaSolape, areaHuecos, areaLimites, areaPesa, celda, pares, infractores }
+     */
+    analizar: function(pesas, opciones = {}) {
+        const { resolucion = 80, umbral = 0.05 } = opciones;
+        
+        const vacio = { areaSolape: 0, areaHuecos: 0, areaLimites: 0, areaPesa: 0, celda: 0, pares: [], infractores: [] };
+        if (pesas.length === 0) return vacio;
+        
+        // Caja envolvente, área media y centroides
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        let areaTotal = 0;
+        const centroides = [];
+        pesas.forEach(pesa => {
+            let area = 0, mx = 0, my = 0;
+            pesa.contornos.forEach(forma => {
+                forma.forEach((poligono, k) => {
+                    poligono.forEach(p => {
+                        minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+                        minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+                    });
+                    const { area: a, cx, cy } = areaYCentroide(poligono);
+                    // El exterior suma y los agujeros restan, sea cual sea su orientación
+                    const signo = k === 0 ? 1 : -1;
+                    area += Math.abs(a) * signo;
+                    mx += cx * Math.abs(a) * signo;
+                    my += cy * Math.abs(a) * signo;
+                });
+            });
+            areaTotal += area;
+            centroides.push({ x: mx / area, y: my / area });
+        });
+        const areaPesa = areaTotal / pesas.length;
+        
+        // Tamaño de celda: fracción del tamaño de la pajarita, limitado por el número de celdas
+        const celda = Math.max(Math.sqrt(areaPesa) / resolucion,
+            Math.sqrt((maxX - minX) * (maxY - minY) / MAX_CELDAS));
+        const columnas = Math.ceil((maxX - minX) / celda) + 1;
+        const filas = Math.ceil((maxY - minY) / celda) + 1;
+        const areaCelda = celda * celda;
+        
+        // Número de pajaritas que cubren cada celda y la primera que la cubrió
+        const cobertura = new Uint8Array(columnas * filas);
+        const primera = new Int32Array(columnas * filas).fill(-1);
+        const solapePares = new Map();
+        const solapePesa = new Float64Array(pesas.length);
+        const huecoPesa = new Float64Array(pesas.length);
+        
+        pesas.forEach((pesa, indice) => {
+            pesa.contornos.forEach(forma => {
+                let yMin = Infinity, yMax = -Infinity;
+                forma[0].forEach(p => { yMin = Math.min(yMin, p.y); yMax = Math.max(yMax, p.y); });
+                
+                const filaInicio = Math.max(0, Math.ceil((yMin - minY) / celda - 0.5));
+                const filaFin = Math.min(filas - 1, Math.floor((yMax - minY) / celda - 0.5));
+                
+                for (let fila = filaInicio; fila <= filaFin; fila++) {
+                    const y = minY + (fila + 0.5) * celda;
+                    const cruces = crucesHorizontal(forma, y);
+                    
+                    for (let k = 0; k + 1 < cruces.length; k += 2) {
+                        const colInicio = Math.max(0, Math.ceil((cruces[k] - minX) / celda - 0.5));
+                        const colFin = Math.min(columnas - 1, Math.floor((cruces[k + 1] - minX) / celda - 0.5));
+                        
+                        for (let col = colInicio; col <= colFin; col++) {
+                            const c = fila * columnas + col;
+                            if (cobertura[c] === 0) {
+                                primera[c] = indice;
+                            } else if (primera[c] !== indice) {
+                                // Solape con la primera pajarita de la celda
+                                const a = primera[c];
+                                const clave = a < indice ? `${a},${indice}` : `${indice},${a}`;
+                                solapePares.set(clave, (solapePares.get(clave) || 0) + areaCelda);
+                                solapePesa[a] += areaCelda;
+                                solapePesa[indice] += areaCelda;
+                            }
+                            if (cobertura[c] < 255) cobertura[c]++;
+                        }
+                    }
+                }
+            });
+        });
+        
+        // Huecos: celdas vacías dentro de la envolvente de los centroides
+        const limites = envolventeConvexa(centroides);
+        const areaLimites = limites.length >= 3 ? Math.abs(areaYCentroide(limites).area) : 0;
+        const hueco = new Uint8Array(columnas * filas);
+        let areaHuecos = 0;
+        
+        if (limites.length >= 3) {
+            let yMin = Infinity, yMax = -Infinity;
+            limites.forEach(p => { yMin = Math.min(yMin, p.y); yMax = Math.max(yMax, p.y); });
+            const filaInicio = Math.max(0, Math.ceil((yMin - minY) / celda - 0.5));
+            const filaFin = Math.min(filas - 1, Math.floor((yMax - minY) / celda - 0.5));
+            
+            for (let fila = filaInicio; fila <= filaFin; fila++) {
+                const cruces = crucesHorizontal([limites], minY + (fila + 0.5) * celda);
+                if (cruces.length < 2) continue;
+                const colInicio = Math.max(0, Math.ceil((cruces[0] - minX) / celda - 0.5));
+                const colFin = Math.min(columnas - 1, Math.floor((cruces[cruces.length - 1] - minX) / celda - 0.5));
+                
+                for (let col = colInicio; col <= colFin; col++) {
+                    const c = fila * columnas + col;
+                    if (cobertura[c] === 0) {
+                        hueco[c] = 1;
+                        areaHuecos += areaCelda;
+                    }
+                }
+            }
+        }
+        
+        // Cada hueco conexo reparte su área a partes iguales entre las pajaritas que lo bordean,
+        // así las rendijas finas a lo largo de los bordes apenas cuentan y un hueco grande sí
+        const pila = new Int32Array(columnas * filas);
+        for (let inicio = 0; inicio < hueco.length; inicio++) {
+            if (hueco[inicio] !== 1) continue;
+            
+            let area = 0;
+            let tope = 0;
+            const vecinas = new Set();
+            pila[tope++] = inicio;
+            hueco[inicio] = 2;
+            
+            while (tope > 0) {
+                const c = pila[--tope];
+                const col = c % columnas;
+                area += areaCelda;
+                
+                [col > 0 ? c - 1 : -1, col < columnas - 1 ? c + 1 : -1, c - columnas, c + columnas].forEach(v => {
+                    if (v < 0 || v >= hueco.length) return;
+                    if (hueco[v] === 1) {
+                        hueco[v] = 2;
+                        pila[tope++] = v;
+                    } else if (primera[v] !== -1) {
+                        vecinas.add(primera[v]);
+                    }
+                });
+            }
+            
+            vecinas.forEach(i => { huecoPesa[i] += area / vecinas.size; });
+        }
+        
+        let areaSolape = 0;
+        const pares = [];
+        solapePares.forEach((area, clave) => {
+            const [a, b] = clave.split(',').map(Number);
+            areaSolape += area;
+            pares.push({ a: pesas[a].id, b: pesas[b].id, area: area });
+        });
+        pares.sort((p, q) => q.area - p.area);
+        
+        // Pajaritas con solape o hueco por encima del umbral
+        const infractores = [];
+        pesas.forEach((pesa, i) => {
+            if (solapePesa[i] > umbral * areaPesa || huecoPesa[i] > umbral * areaPesa) {
+                infractores.push(pesa.id);
+            }
+        });
+        
+        return { areaSolape, areaHuecos, areaLimites, areaPesa, celda, pares, infractores };
+    }
+};
+
+export default AnalisisTeselado;
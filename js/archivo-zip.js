@@ -0,0 +1,133 @@
+/**
+ * Archivos ZIP sin compresión
+ * Empaqueta varios archivos en un ZIP con el método "store": los PNG y los vídeos ya están
+ * comprimidos, así que comprimirlos otra vez apenas ahorra espacio y sí mucho tiempo.
+ * Los contenidos se guardan como Blob, de modo que una secuencia larga de fotogramas no tiene
+ * que caber entera en la memoria de JavaScript. No admite ZIP64 (archivos de más de 4 GB).
+ */
+
+import Utils from './utils.js';
+
+// Firmas de las estructuras del formato
+const FIRMA_LOCAL = 0x04034b50;
+const FIRMA_CENTRAL = 0x02014b50;
+const FIRMA_FINAL = 0x06054b50;
+
+// Versión 2.0 del formato: la mínima para archivos en carpetas
+const VERSION = 20;
+
+/**
+ * Fecha y hora en formato MS-DOS
+ * @param {Date} fecha - Fecha
+ * @returns {Object} - { hora, dia } como enteros de 16 bits
+ */
+function fechaDOS(fecha) {
+    return {
+        hora: (fecha.getHours() << 11) | (fecha.getMinutes() << 5) | Math.floor(fecha.getSeconds() / 2),
+        dia: ((fecha.getFullYear() - 1980) << 9) | ((fecha.getMonth() + 1) << 5) | fecha.getDate()
+    };
+}
+
+/**
+ * Cabecera local o entrada del directorio central de un archivo
+ * @param {Object} entrada - { nombre, crc, tamano, desplazamiento } de ArchivoZip.anadir
+ * @param {Object} fecha - Resultado de fechaDOS()
+ * @param {boolean} central - true para la entrada del directorio central
+ * @returns {Uint8Array} - Bytes de la cabecera con el nombre
+ */
+function cabecera(entrada, fecha, central) {
+    const nombre = new TextEncoder().encode(entrada.nombre);
+    const longitud = central ? 46 : 30;
+    const bytes = new Uint8Array(longitud + nombre.length);
+    const vista = new DataView(bytes.buffer);
+    let p = 0;
+    const u16 = valor => { vista.setUint16(p, valor, true); p += 2; };
+    const u32 = valor => { vista.setUint32(p, valor, true); p += 4; };
+    
+    u32(central ? FIRMA_CENTRAL : FIRMA_LOCAL);
+    if (central) u16(VERSION);  // Versión que lo creó
+    u16(VERSION);               // Versión necesaria
+    u16(0x0800);                // Nombres en UTF-8
+    u16(0);                     // Sin compresión
+    u16(fecha.hora);
+    u16(fecha.dia);
+    u32(entrada.crc);
+    u32(entrada.tamano);        // Tamaño comprimido
+    u32(entrada.tamano);        // Tamaño original
+    u16(nombre.length);
+    u16(0);                     // Sin campo extra
+    if (central) {
+        u16(0);                 // Sin comentario
+        u16(0);                 // Disco
+        u16(0);                 // Atributos internos
+        u32(0);                 // Atributos externos
+        u32(entrada.desplazamiento);
+    }
+    bytes.set(nombre, p);
+    return bytes;
+}
+
+const ArchivoZip = {
+    /**
+     * Crea un archivo ZIP vacío
+     * @returns {Object} - { entradas, fecha } con un { nombre, crc, tamano, desplazamiento, blob } por archivo
+     */
+    crear: function() {
+        return { entradas: [], fecha: fechaDOS(new Date()) };
+    },
+    
+    /**
+     * Añade un archivo
+     * @param {Object} zip - Objeto devuelto por crear()
+     * @param {string} nombre - Ruta dentro del ZIP
+     * @param {Blob|Uint8Array} contenido - Contenido
+     * @returns {Promise<void>} - Se resuelve cuando se ha calculado su CRC; los archivos se
+     * guardan en el orden de las llamadas aunque no se espere a cada una
+     */
+    anadir: function(zip, nombre, contenido) {
+        const blob = contenido instanceof Blob ? contenido : new Blob([contenido]);
+        const entrada = { nombre: nombre, crc: 0, tamano: blob.size, desplazamiento: 0, blob: blob };
+        zip.entradas.push(entrada);
+        
+        return blob.arrayBuffer().then(datos => {
+            entrada.crc = Utils.crc32(new Uint8Array(datos));
+        });
+    },
+    
+    /**
+     * Genera el archivo ZIP
+     * @param {Object} zip - Objeto devuelto por crear(), con los CRC de anadir() ya calculados
+     * @returns {Blob} - Archivo ZIP
+     */
+    generar: function(zip) {
+        const partes = [];
+        let desplazamiento = 0;
+        
+        zip.entradas.forEach(entrada => {
+            entrada.desplazamiento = desplazamiento;
+            const local = cabecera(entrada, zip.fecha, false);
+            partes.push(local, entrada.blob);
+            desplazamiento += local.length + entrada.tamano;
+        });
+        
+        const inicioCentral = desplazamiento;
+        zip.entradas.forEach(entrada => {
+            const central = cabecera(entrada, zip.fecha, true);
+            partes.push(central);
+            desplazamiento += central.length;
+        });
+        
+        const final = new Uint8Array(22);
+        const vista = new DataView(final.buffer);
+        vista.setUint32(0, FIRMA_FINAL, true);
+        vista.setUint16(8, zip.entradas.length, true);   // Entradas en este disco
+        vista.setUint16(10, zip.entradas.length, true);  // Entradas en total
+        vista.setUint32(12, desplazamiento - inicioCentral, true);
+        vista.setUint32(16, inicioCentral, true);
+        partes.push(final);
+        
+        return new Blob(partes, { type: 'application/zip' });
+    }
+};
+
+export default ArchivoZip;
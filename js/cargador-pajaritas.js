@@ -0,0 +1,189 @@
+/**
+ * Cargador de pajaritas
+ * Construye una pajarita a partir de las geometrías compartidas de SVGCache, con la
+ * jerarquía que usan todas las páginas:
+ *   pivotGroup (posición, rotación y reflejo de la pajarita; en su origen, la cruceta del pivot)
+ *     └ svgGroup (desplazado al pivot; en su origen, el centro geométrico y su cruceta)
+ *         └ una malla por forma del SVG, centrada, escalada y con el eje Y invertido
+ * Sin pivot, solo se construye el svgGroup centrado en el origen.
+ * Cada pajarita es dueña de sus materiales y marcadores y retiene las geometrías de la caché
+ * hasta que se libera con liberar().
+ */
+
+import * as THREE from './lib/three.module.js';
+import SVGCache from './svg-cache.js';
+import Marcadores from './marcadores.js';
+import PaletasColor from './paletas-color.js';
+import MaterialesPajaritas from './materiales-pajaritas.js';
+
+const CargadorPajaritas = {
+    /**
+     * Parámetros de la geometría extruida (con profundidad y bisel para mayor realismo)
+     * @param {number} escala - Factor de escala para la pajarita
+     * @returns {Object} - Parámetros para THREE.ExtrudeGeometry
+     */
+    extrusion: function(escala = 1.0) {
+        return {
+            depth: 60 * escala, // Profundidad proporcional a la escala
+            bevelEnabled: true,
+            steps: 4,
+            bevelThickness: 10 * escala,
+            bevelSize: 4 * escala,
+            bevelOffset: 1 * escala,
+            bevelSegments: 3,
+        };
+    },
+    
+    /**
+     * Determina el color de una pajarita según su tipo y su índice, con la paleta clásica
+     * y el patrón alternado (las páginas con editor de paletas usan PaletasColor.color)
+     * @param {string} tipo - Tipo de pajarita ('interior', 'celosia', 'hexagonal' o 'grupo')
+     * @param {number} indice - Índice de la pajarita
+     * @param {number} numPajaritas - Número de pajaritas del anillo
+     * @returns {number} - Color hexadecimal
+     */
+    colorPajarita: function(tipo, indice, numPajaritas) {
+        return PaletasColor.color({ tipo: tipo, indice: indice, numPajaritasAnillo: numPajaritas });
+    },
+    
+    /**
+     * Crea el material metálico de una pajarita (el preset 'metal' de MaterialesPajaritas)
+     * @param {number} color - Color hexadecimal
+     * @returns {THREE.MeshStandardMaterial} - Material de la pajarita
+     */
+    crearMaterial: function(color) {
+        return MaterialesPajaritas.crear('metal', color);
+    },
+    
+    /**
+     * Carga una pajarita
+     * @param {string} url - Ruta al archivo SVG
+     * @param {Object} opciones - Parámetros de la pajarita
+     * @param {number} opciones.escala - Factor de escala (1 = la pajarita mide una unidad)
+     * @param {Object} opciones.extrusion - Parámetros de extrusión (por defecto, extrusion(escala))
+     * @param {number} opciones.color - Color que recibe crearMaterial
+     * @param {Function} opciones.crearMaterial - Recibe el color y devuelve el material de cada malla
+     * @param {Object|null} opciones.pivot - Coordenadas {x, y, z} del pivot respecto al centro, o null
+     * para no crear pivotGroup ni marcadores
+     * @param {Object} opciones.posicion - Posición {x, y, z} del pivotGroup en la escena
+     * @param {number} opciones.rotacion - Rotación en radianes alrededor del eje Z
+     * @param {boolean} opciones.espejo - Reflejar la pajarita respecto a su eje X local
+     * @param {boolean} opciones.marcadoresVisibles - Visibilidad inicial de marcadores y línea
+     * @returns {Promise<Object>} - { svgGroup, pivotGroup, contornos, marcadores, svgData } donde
+     * contornos es una lista de { shape, mesh } y marcadores es { centro, pivot, linea } (null sin pivot)
+     */
+    cargar: function(url, opciones = {}) {
+        const {
+            escala = 1.0,
+            extrusion = this.extrusion(escala),
+            color = 0xAA8A50,
+            crearMaterial = this.crearMaterial,
+            pivot = null,
+            posicion = { x: 0, y: 0, z: 0 },
+            rotacion = 0,
+            espejo = false,
+            marcadoresVisibles = false
+        } = opciones;
+        
+        // La caché descarga, parsea y extruye el SVG una sola vez para todas las pajaritas
+        return SVGCache.loadGeometry(url, escala, extrusion).then(svgData => {
+            SVGCache.retener(svgData);
+            
+            const svgGroup = new THREE.Group();
+            const { geometries, shapes, centerX, centerY, scale } = svgData;
+            const contornos = [];
+            
+            geometries.forEach((geometry, i) => {
+                const mesh = new THREE.Mesh(geometry, crearMaterial(color));
+                
+                // Centrar y escalar el objeto
+                mesh.position.x = -centerX * scale;
+                mesh.position.y = -centerY * scale;
+                mesh.scale.set(scale, -scale, scale);  // Invertir Y porque SVG usa Y hacia abajo
+                
+                // Configurar sombras
+                mesh.castShadow = true;
+                mesh.receiveShadow = true;
+                
+                svgGroup.add(mesh);
+                contornos.push({ shape: shapes[i], mesh: mesh });
+            });
+            
+            // Movemos la geometría para que el centro geométrico quede en el origen
+            const bbox = new THREE.Box3().setFromObject(svgGroup);
+            const center = bbox.getCenter(new THREE.Vector3());
+            svgGroup.children.forEach(mesh => {
+                mesh.position.sub(center);
+            });
+            
+            if (!pivot) {
+                return { svgGroup, pivotGroup: null, contornos, marcadores: null, svgData };
+            }
+            
+            // Crear un marcador para el centro
+            const centro = Marcadores.crearMarcadorCentro();
+            centro.visible = marcadoresVisibles;
+            svgGroup.add(centro);
+            
+            // Movemos la geometría para que el punto de pivot quede en el origen del pivotGroup
+            const pivotGroup = new THREE.Group();
+            svgGroup.position.set(pivot.x, pivot.y, pivot.z);
+            pivotGroup.add(svgGroup);
+            
+            // Posición y rotación de la pajarita
+            pivotGroup.position.set(posicion.x, posicion.y, posicion.z);
+            pivotGroup.rotation.z = rotacion;
+            
+            // Reflejar la pajarita (el renderer invierte el orden de las caras al ser el determinante negativo)
+            if (espejo) {
+                pivotGroup.scale.y = -1;
+            }
+            
+            // Crear una línea que conecte el centro con el pivot
+            const linea = Marcadores.crearLineaConexion(pivot);
+            linea.visible = marcadoresVisibles;
+            svgGroup.add(linea);
+            
+            // Crear un marcador para el pivot
+            const marcadorPivot = Marcadores.crearMarcadorPivot();
+            marcadorPivot.visible = marcadoresVisibles;
+            pivotGroup.add(marcadorPivot);
+            
+            return {
+                svgGroup,
+                pivotGroup,
+                contornos,
+                marcadores: { centro: centro, pivot: marcadorPivot, linea: linea },
+                svgData
+            };
+        });
+    },
+    
+    /**
+     * Quita una pajarita de la escena y libera sus recursos
+     * Los materiales, los marcadores y la línea son propios de la pajarita y se liberan;
+     * las geometrías extruidas se devuelven a SVGCache, que las libera cuando nadie las usa
+     * @param {Object} pajarita - Objeto devuelto por cargar()
+     */
+    liberar: function(pajarita) {
+        const raiz = pajarita.pivotGroup || pajarita.svgGroup;
+        if (raiz.parent) {
+            raiz.parent.remove(raiz);
+        }
+        
+        // Las cuatro barras de una cruceta comparten material: reunirlos para liberar cada uno una vez
+        const compartidas = new Set(pajarita.svgData.geometries);
+        const geometrias = new Set();
+        const materiales = new Set();
+        raiz.traverse(child => {
+            if (child.geometry && !compartidas.has(child.geometry)) geometrias.add(child.geometry);
+            if (child.material) materiales.add(child.material);
+        });
+        geometrias.forEach(geometry => geometry.dispose());
+        materiales.forEach(material => material.dispose());
+        
+        SVGCache.liberar(pajarita.svgData);
+    }
+};
+
+export default CargadorPajaritas;
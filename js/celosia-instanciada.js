@@ -0,0 +1,132 @@
+/**
+ * Renderizado instanciado de la celosía
+ * Todas las pajaritas de un mismo color (y material) comparten un THREE.InstancedMesh, de modo que
+ * el número de draw calls no crece con el número de anillos.
+ * Cada instancia conserva un objeto "pivot" propio (un THREE.Object3D que no se añade
+ * a la escena) cuya rotación se anima igual que el pivotGroup de una pajarita normal;
+ * actualizar() traslada después esas rotaciones a las matrices de instancia.
+ */
+
+import * as THREE from './lib/three.module.js';
+import SVGCache from './svg-cache.js';
+
+// Matriz temporal reutilizada para no crear objetos en cada fotograma
+const tempMatrix = new THREE.Matrix4();
+
+const CelosiaInstanciada = {
+    /**
+     * Crea las mallas instanciadas para un conjunto de pajaritas
+     * @param {Object} svgData - Datos devueltos por SVGCache.loadGeometry
+     * @param {Array<Object>} tiles - Pajaritas a colocar: { x, y, z, rotacion, espejo, color, material }
+     * (material es opcional: un nombre de preset que recibe crearMaterial)
+     * @param {Object} pivot - Coordenadas {x, y, z} del pivot de rotación
+     * @param {Function} crearMaterial - Recibe el material (nombre de preset) y el color de un grupo y devuelve su material,
+     * como MaterialesPajaritas.crear
+     * @returns {Object} - { group, meshes, instancias, matrizLocal, svgData } donde cada instancia expone su `pivot`
+     */
+    crear: function(svgData, tiles, pivot, crearMaterial) {
+        SVGCache.retener(svgData);
+        
+        const group = new THREE.Group();
+        const meshes = [];
+        const instancias = [];
+        const matrizLocal = SVGCache.getMatrizLocal(svgData, pivot);
+        
+        // Agrupar las pajaritas por color y material
+        const tilesPorColor = new Map();
+        tiles.forEach(tile => {
+            const clave = `${tile.color}/${tile.material || ''}`;
+            if (!tilesPorColor.has(clave)) {
+                tilesPorColor.set(clave, []);
+            }
+            tilesPorColor.get(clave).push(tile);
+        });
+        
+        tilesPorColor.forEach(tilesColor => {
+            const material = crearMaterial(tilesColor[0].material, tilesColor[0].color);
+            
+            // El renderer solo invierte el orden de las caras por objeto, no por instancia:
+            // si hay instancias reflejadas hay que dibujar ambas caras
+            if (tilesColor.some(tile => tile.espejo)) {
+                material.side = THREE.DoubleSide;
+            }
+            
+            // Una malla instanciada por color y por geometría del SVG
+            const meshesColor = svgData.geometries.map(geometry => {
+                const mesh = new THREE.InstancedMesh(geometry, material, tilesColor.length);
+                mesh.castShadow = true;
+                mesh.receiveShadow = true;
+                // Las instancias rotan, así que la esfera envolvente calculada quedaría obsoleta
+                mesh.frustumCulled = false;
+                group.add(mesh);
+                meshes.push(mesh);
+                return mesh;
+            });
+            
+            tilesColor.forEach((tile, index) => {
+                // Objeto que hace las veces de pivotGroup para esta instancia
+                const pivotObject = new THREE.Object3D();
+                pivotObject.position.set(tile.x, tile.y, tile.z);
+                pivotObject.rotation.z = tile.rotacion;
+                if (tile.espejo) {
+                    pivotObject.scale.y = -1;
+                }
+                
+                instancias.push({
+                    pivot: pivotObject,
+                    meshes: meshesColor,
+                    index: index,
+                    tile: tile
+                });
+            });
+        });
+        
+        const celosia = { group, meshes, instancias, matrizLocal, svgData };
+        this.actualizar(celosia);
+        
+        return celosia;
+    },
+    
+    /**
+     * Copia las transformaciones de los pivots a las matrices de instancia
+     * @param {Object} celosia - Objeto devuelto por crear()
+     */
+    actualizar: function(celosia) {
+        if (!celosia) return;
+        
+        celosia.instancias.forEach(instancia => {
+            instancia.pivot.updateMatrix();
+            tempMatrix.multiplyMatrices(instancia.pivot.matrix, celosia.matrizLocal);
+            instancia.meshes.forEach(mesh => {
+                mesh.setMatrixAt(instancia.index, tempMatrix);
+            });
+        });
+        
+        celosia.meshes.forEach(mesh => {
+            mesh.instanceMatrix.needsUpdate = true;
+        });
+    },
+    
+    /**
+     * Libera los materiales y buffers de instancia
+     * Las geometrías pertenecen a SVGCache: se le devuelven y ella las libera cuando nadie las usa
+     * @param {Object} celosia - Objeto devuelto por crear()
+     */
+    dispose: function(celosia) {
+        if (!celosia) return;
+        
+        const materials = new Set();
+        celosia.meshes.forEach(mesh => {
+            materials.add(mesh.material);
+            mesh.dispose();
+        });
+        materials.forEach(material => material.dispose());
+        SVGCache.liberar(celosia.svgData);
+        
+        if (celosia.group.parent) {
+            celosia.group.parent.remove(celosia.group);
+        }
+    }
+};
+
+export default CelosiaInstanciada;
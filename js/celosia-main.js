@@ -24,26 +24,45 @@
  * - Teclas 7/8: Disminuir/Aumentar valor de altura Z en la celosía
  * - Teclas 9/0: Disminuir/Aumentar offset angular para distribución en espiral
  * - Teclas -/+: Disminuir/Aumentar desplazamiento radial adicional
+ * - Tecla D: Mostrar/ocultar el panel de depuración con la memoria de la GPU (también con ?debug en la URL)
+ * - Ctrl+Z / Ctrl+Shift+Z: Deshacer/rehacer el último cambio de parámetros (teclas, panel o presets)
+ * - Clic sobre una pajarita: Seleccionarla e inspeccionarla (anillo, índice, ángulo, posición, pivot) y
+ *   activar o detener solo su rotación; Escape o un clic en el vacío deshacen la selección
+ *
+ * El panel de dat.GUI permite ajustar los mismos parámetros (sincronizado con las teclas) y su
+ * carpeta "Presets" guarda diseños con nombre en el navegador y los exporta/importa como JSON
+ * (compartidos con celosia-mejorada.html; los parámetros que esta página no usa se ignoran).
  */
 
-// Importar los módulos de Three.js
+// Importar los módulos de Three.js y del núcleo común
 import * as THREE from './lib/three.module.js';
-import { OrbitControls } from './lib/examples/jsm/controls/OrbitControls.js';
-import { SVGLoader } from './lib/examples/jsm/loaders/SVGLoader.js';
-import Utils from './simple-utils.js';
+import { GUI } from './lib/dat.gui.module.js';
+import Utils from './utils.js';
+import EscenaBase from './escena-base.js';
+import RelojAnimacion from './reloj-animacion.js';
+import CargadorPajaritas from './cargador-pajaritas.js';
+import RegistroPajaritas from './registro-pajaritas.js';
+import ControlCarga from './control-carga.js';
+import ParametrosCelosia from './parametros-celosia.js';
+import PresetsCelosia from './presets-celosia.js';
+import PanelCelosia from './panel-celosia.js';
+import Historial from './historial.js';
+import SeleccionPajaritas from './seleccion-pajaritas.js';
 
 // Variables globales
-let scene, camera, renderer;
-let controls;
+let escena;
+let gui;
 let objects = [];
 let originalRotations = []; // Almacenar rotaciones iniciales
 let pivotX = 0.502; // Coordenada X del pivot
 let pivotY = -0.3451; // Coordenada Y del pivot
 let pivotZ = 0;      // Coordenada Z del pivot
 let markersVisible = false; // Estado de visibilidad de las marcas (inicialmente ocultas)
-let centerMarkers = []; // Array para almacenar los marcadores de centro
-let pivotMarkers = []; // Array para almacenar los marcadores de pivot
-let connectionLines = []; // Array para almacenar las líneas de conexión
+let rotacionActiva = false; // Alternable con tecla R; las pajaritas nuevas nacen en este estado
+const registro = RegistroPajaritas.crear(); // Pajaritas con sus marcadores y recursos
+let carga; // Generación de la celosía y cargas pendientes
+let historial; // Cambios de parámetros que se pueden deshacer
+let seleccion; // Pajarita seleccionada con el ratón
 
 // Variables para la celosía
 let numRepeticiones = 4;           // Número de repeticiones en la celosía (ajustable con teclas 1/2)
@@ -53,48 +72,47 @@ let alturaZ = 0;                   // Altura en el eje Z (ajustable con teclas 7
 let offsetAngular = 0;             // Desplazamiento angular para las pajaritas (ajustable con teclas 9/0)
 let desplazamientoRadial = 0;      // Desplazamiento radial adicional (ajustable con teclas -/+)
 
+// Configuración de la escena: fondo claro, sombras muy suavizadas y suelo bajo la celosía
+const CONFIG_ESCENA = {
+    fondo: 0xbfbdb7,
+    sombras: THREE.VSMShadowMap, // Sombras muy suavizadas (Variance Shadow Map)
+    toneMapping: { tipo: THREE.ReinhardToneMapping, exposicion: 1.5 }, // Mayor exposición para reducir contraste en sombras
+    luces: 'suave',
+    suelo: { tamano: 1000, y: -3.5 }
+};
+
 // Inicializar la aplicación cuando el documento esté listo
 window.addEventListener('load', init);
-window.addEventListener('resize', onWindowResize);
 window.addEventListener('keydown', handleKeyDown);
 
 /**
  * Inicializar Three.js y configurar la escena
  */
 function init() {
-    // Crear escena
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0xbfbdb7);
-    
-    // Crear cámara
-    const aspectRatio = window.innerWidth / window.innerHeight;
-    camera = new THREE.PerspectiveCamera(75, aspectRatio, 0.1, 1000);
-    camera.position.set(0, 1, 8); // Posición ajustada para mejor visualización
-    
-    // Crear renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.VSMShadowMap; // Sombras muy suavizadas (Variance Shadow Map)
-    renderer.outputColorSpace = THREE.SRGBColorSpace; // Mejor representación de colores
-    renderer.toneMapping = THREE.ReinhardToneMapping; // Mapeo tonal más suave
-    renderer.toneMappingExposure = 1.5; // Mayor exposición para reducir contraste en sombras
-    document.getElementById('container').appendChild(renderer.domElement);
-    
-    // Añadir controles de órbita
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-    
-    // Configurar luces
-    Utils.setupBasicLights(scene);
+    escena = EscenaBase.crear(CONFIG_ESCENA);
+    carga = ControlCarga.crear();
+    historial = Historial.crear({
+        estado: obtenerParametros(),
+        aplicar: cargarDiseno,
+        etiqueta: PanelCelosia.etiqueta
+    });
+    seleccion = SeleccionPajaritas.crear(escena, {
+        objetos: () => objects,
+        pivot: () => ({ x: pivotX, y: pivotY, z: pivotZ })
+    });
     
     // Añadir objetos a la escena
     createObjects();
     
+    // Panel de presets
+    setupGUI();
+    
     // Iniciar el bucle de renderizado
-    animate();
+    EscenaBase.animar(escena, {
+        objetos: () => objects,
+        antesDeRenderizar: () => SeleccionPajaritas.actualizar(seleccion),
+        infoDepuracion: () => `Pajaritas: ${registro.entradas.length}`
+    });
 }
 
 /**
@@ -106,16 +124,6 @@ function createObjects() {
     
     // 2. Crear la celosía radial de pajaritas
     crearCelosiaRadial();
-    
-    // 3. Crear un plano como suelo
-    const floor = Utils.createMesh('cube', { width: 1000, height: 0.1, depth: 1000 }, {
-        type: 'MeshStandardMaterial',
-        color: 0x95a5a6,
-        roughness: 0.8
-    });
-    floor.position.y = -3.5;
-    floor.receiveShadow = true;
-    scene.add(floor);
 }
 
 /**
@@ -127,7 +135,7 @@ function crearAnilloInterior() {
     
     for (let i = 0; i < numPajaritas; i++) {
         const angle = i * angleStep; // 0, 60°, 120°, 180°, 240°, 300°
-        loadSVG('./pajarita001.svg', angle, numPajaritas, 0, 0, 0, 1.0, 'interior', i);
+        loadSVG('./pajarita001.svg', angle, numPajaritas, 0, 0, 0, 1.0, 'interior', i, 0);
     }
 }
 
@@ -182,7 +190,7 @@ function crearCelosiaRadial() {
             const indice = i + (rep * numPajaritasAnillo);
             
             // Cargar la pajarita en esta posición
-            loadSVG('./pajarita001.svg', rotacion, numPajaritasAnillo, x, y, z, escala, 'celosia', indice);
+            loadSVG('./pajarita001.svg', rotacion, numPajaritasAnillo, x, y, z, escala, 'celosia', indice, rep);
         }
     }
 }
@@ -191,35 +199,14 @@ function crearCelosiaRadial() {
  * Función para regenerar la celosía cuando se cambien los parámetros
  */
 function regenerarCelosia() {
-    // Eliminar todas las pajaritas de la celosía actual
-    const pajaritasCelosia = objects.filter(obj => obj.tipo === 'celosia');
+    // Las pajaritas que aún se estén cargando pertenecen a la generación anterior y se descartarán
+    ControlCarga.nuevaGeneracion(carga, 'celosia');
     
-    // Eliminar las pajaritas de la celosía de la escena y de los arrays
-    pajaritasCelosia.forEach(obj => {
-        scene.remove(obj.object);
-        
-        // Eliminar las referencias a los marcadores y líneas
-        const index = objects.indexOf(obj);
-        if (index !== -1) {
-            // Eliminar marcadores del centro correspondientes
-            if (centerMarkers[index]) {
-                centerMarkers.splice(index, 1);
-            }
-            
-            // Eliminar marcadores del pivot correspondientes
-            if (pivotMarkers[index]) {
-                pivotMarkers.splice(index, 1);
-            }
-            
-            // Eliminar líneas de conexión correspondientes
-            if (connectionLines[index]) {
-                connectionLines.splice(index, 1);
-            }
-            
-            // Eliminar el objeto de la lista
-            objects.splice(index, 1);
-        }
-    });
+    // Eliminar las pajaritas de la celosía actual con sus marcadores y liberar sus recursos
+    const eliminadas = RegistroPajaritas.eliminar(registro, obj => obj.tipo === 'celosia');
+    const pivots = new Set(Array.from(eliminadas, obj => obj.object));
+    objects = objects.filter(obj => !eliminadas.has(obj));
+    originalRotations = originalRotations.filter(rot => !pivots.has(rot.object));
     
     // Recrear la celosía con los nuevos parámetros
     crearCelosiaRadial();
@@ -238,151 +225,30 @@ function regenerarCelosia() {
  * @param {number} escala - Factor de escala para la pajarita
  * @param {string} tipo - Tipo de pajarita ('interior' o 'celosia')
  * @param {number} indice - Índice de la pajarita para cálculos de color
+ * @param {number} anillo - Anillo en el que está la pajarita (0 = anillo interior), para inspeccionarla
  */
-function loadSVG(url, rotationZ = 0, numPajaritas = 6, posX = 0, posY = 0, posZ = 0, escala = 1.0, tipo = 'interior', indice = 0) {
-    const svgLoader = new SVGLoader();
-    
+function loadSVG(url, rotationZ = 0, numPajaritas = 6, posX = 0, posY = 0, posZ = 0, escala = 1.0, tipo = 'interior', indice = 0, anillo = 0) {
     console.log(`Cargando SVG para ${tipo} #${indice} en posición (${posX.toFixed(2)}, ${posY.toFixed(2)}, ${posZ.toFixed(2)}), rotación: ${rotationZ.toFixed(2)}, escala: ${escala.toFixed(2)}`);
     
-    svgLoader.load(url, function(data) {
-        const svgGroup = new THREE.Group();
-        const paths = data.paths;
-        
-        // Calcular las dimensiones del SVG para escalarlo correctamente
-        let maxX = -Infinity;
-        let minX = Infinity;
-        let maxY = -Infinity;
-        let minY = Infinity;
-        
-        paths.forEach(path => {
-            const points = path.subPaths[0]?.getPoints() || [];
-            points.forEach(point => {
-                maxX = Math.max(maxX, point.x);
-                minX = Math.min(minX, point.x);
-                maxY = Math.max(maxY, point.y);
-                minY = Math.min(minY, point.y);
-            });
-        });
-        
-        const width = maxX - minX;
-        const height = maxY - minY;
-        const centerX = (maxX + minX) / 2;
-        const centerY = (maxY + minY) / 2;
-        
-        // Escalar para que el objeto tenga un tamaño razonable en la escena
-        // Multiplicamos por el factor de escala proporcionado
-        const scale = (1 / Math.max(width, height)) * escala;
-        
-        paths.forEach((path) => {
-            const shapes = SVGLoader.createShapes(path);
-            
-            shapes.forEach((shape) => {
-                // Crear la geometría extruida (con profundidad y bisel para mayor realismo)
-                const geometry = new THREE.ExtrudeGeometry(shape, {
-                  depth: 60 * escala, // Profundidad proporcional a la escala
-                  bevelEnabled: true,
-                  steps: 4,
-                  bevelThickness: 10 * escala,
-                  bevelSize: 4 * escala,
-                  bevelOffset: 1 * escala,
-                  bevelSegments: 3,
-                });
-                
-                // Determinar el color según el tipo y el índice
-                let materialColor;
-                
-                if (tipo === 'interior') {
-                    // Para el anillo interior: alternamos verde y dorado
-                    materialColor = indice % 2 === 0 ? 0x7D8A2E : 0xAA8A50;
-                } else {
-                    // Para la celosía: patrón alternado pero con un offset para cada dirección
-                    const colorIndex = Math.floor(indice / numPajaritas) + (indice % numPajaritas);
-                    materialColor = colorIndex % 2 === 0 ? 0x8A9D35 : 0xC09A60; // Colores ligeramente diferentes
-                }
-                
-                const material = new THREE.MeshStandardMaterial({
-                  color: materialColor,
-                  metalness: 0.5,
-                  roughness: 0.4,
-                  flatShading: false,
-                  envMapIntensity: 1.2,
-                  shadowSide: THREE.FrontSide,
-                  dithering: true
-                });
-                
-                // Crear la malla
-                const mesh = new THREE.Mesh(geometry, material);
-                
-                // Centrar y escalar el objeto
-                mesh.position.x = -centerX * scale;
-                mesh.position.y = -centerY * scale;
-                mesh.scale.set(scale, -scale, scale);  // Invertir Y porque SVG usa Y hacia abajo
-                
-                // Configurar sombras
-                mesh.castShadow = true;
-                mesh.receiveShadow = true;
-                
-                // Añadir a nuestro grupo
-                svgGroup.add(mesh);
-            });
-        });
-        
-        // Calculamos el centro geométrico del grupo
-        const bbox = new THREE.Box3().setFromObject(svgGroup);
-        const center = bbox.getCenter(new THREE.Vector3());
-        
-        // Centrar la geometría
-        svgGroup.children.forEach(mesh => {
-            mesh.position.x -= center.x;
-            mesh.position.y -= center.y;
-            mesh.position.z -= center.z;
-        });
-        
-        // Crear un marcador para el centro
-        const centerMarker = createCenterMarker();
-        centerMarker.visible = markersVisible;
-        svgGroup.add(centerMarker);
-        centerMarkers.push(centerMarker);
-        
-        // Creamos un grupo adicional que servirá como punto de pivote
-        const pivotGroup = new THREE.Group();
-        scene.add(pivotGroup);
-        
-        // Movemos la geometría para que el punto de pivot quede en el origen
-        svgGroup.position.set(pivotX, pivotY, pivotZ);
-        
-        // Añadimos el grupo SVG al grupo pivot
-        pivotGroup.add(svgGroup);
-        
-        // Posicionamos el grupo pivot en la posición indicada
-        pivotGroup.position.set(posX, posY, posZ);
-        
-        // Crear una línea que conecte el centro con el pivot
-        const connectionLine = createConnectionLine();
-        connectionLine.visible = markersVisible;
-        svgGroup.add(connectionLine);
-        connectionLines.push(connectionLine);
-        
-        // Aplicar la rotación
-        pivotGroup.rotation.z = rotationZ;
-        
-        // Crear un marcador para el pivot
-        const pivotMarker = createPivotMarker();
-        pivotMarker.position.set(0, 0, 0);
-        pivotMarker.visible = markersVisible;
-        pivotGroup.add(pivotMarker);
-        pivotMarkers.push(pivotMarker);
+    // Anotar la generación vigente de la celosía (el anillo interior no se regenera)
+    const generacion = ControlCarga.generacion(carga, tipo);
+    
+    ControlCarga.seguir(carga, CargadorPajaritas.cargar(url, {
+        escala: escala,
+        color: CargadorPajaritas.colorPajarita(tipo, indice, numPajaritas),
+        pivot: { x: pivotX, y: pivotY, z: pivotZ },
+        posicion: { x: posX, y: posY, z: posZ },
+        rotacion: rotationZ,
+        marcadoresVisibles: markersVisible
+    }).then(pajarita => {
+        // Si se ha regenerado mientras se cargaba, la pajarita ya no pertenece a la escena
+        if (!ControlCarga.esVigente(carga, tipo, generacion)) {
+            CargadorPajaritas.liberar(pajarita);
+            return;
+        }
         
-        // Crear objeto para animación
-        const svgRotator = {
-          object: pivotGroup,
-          rotateX: { active: false, speed: 0 },
-          rotateY: { active: false, speed: 0 },
-          rotateZ: { active: false, speed: 0.01 },
-          initialRotationZ: rotationZ,
-          tipo: tipo,  // Guardar el tipo para filtrar después
-          indice: indice // Guardar el índice para identificación
-        };
+        const { pivotGroup } = pajarita;
+        escena.scene.add(pivotGroup);
         
         // Guardar la rotación inicial
         originalRotations.push({
@@ -390,59 +256,104 @@ function loadSVG(url, rotationZ = 0, numPajaritas = 6, posX = 0, posY = 0, posZ
             rotationZ: rotationZ
         });
         
-        // Añadir a la lista de objetos
-        objects.push(svgRotator);
-    });
+        // Añadir a la lista de objetos animados y al registro, que guarda sus marcadores y recursos
+        const rotador = EscenaBase.crearRotador(pivotGroup, {
+            activo: rotacionActiva,
+            rotacionInicial: rotationZ,
+            tipo: tipo,
+            indice: indice,
+            anillo: anillo,
+            numPajaritasAnillo: numPajaritas
+        });
+        objects.push(rotador);
+        RegistroPajaritas.registrar(registro, pajarita, rotador);
+    }).catch(error => {
+        console.error(`Error al cargar el SVG ${url}:`, error);
+    }));
 }
 
 /**
- * Función de animación (bucle de renderizado)
+ * Reúne los parámetros de diseño de esta página
+ * @returns {Object} - Parámetros por nombre, según ParametrosCelosia.esquema
  */
-function animate() {
-    requestAnimationFrame(animate);
-    
-    // Actualizar controles
-    controls.update();
-    
-    // Animar objetos con rotación automática
-    Utils.animate(objects, (obj) => {
-        // Si es un objeto con configuración específica de rotación por eje
-        if (obj.object && (obj.hasOwnProperty('rotateX') || obj.hasOwnProperty('rotateY') || obj.hasOwnProperty('rotateZ'))) {
-            // Rotación en eje X
-            if (typeof obj.rotateX === 'object' && obj.rotateX !== null) {
-                if (obj.rotateX.active) {
-                    obj.object.rotation.x += obj.rotateX.speed;
-                }
-            }
-            
-            // Rotación en eje Y
-            if (typeof obj.rotateY === 'object' && obj.rotateY !== null) {
-                if (obj.rotateY.active) {
-                    obj.object.rotation.y += obj.rotateY.speed;
-                }
-            }
-            
-            // Rotación en eje Z
-            if (typeof obj.rotateZ === 'object' && obj.rotateZ !== null) {
-                if (obj.rotateZ.active) {
-                    // Aplicar la rotación correctamente alrededor del pivot
-                    obj.object.rotation.z += obj.rotateZ.speed;
-                }
+function obtenerParametros() {
+    return { numRepeticiones, distanciaRepeticiones, escalaUniforme, alturaZ, offsetAngular, desplazamientoRadial };
+}
+
+/**
+ * Aplica un diseño (ya validado) y regenera la celosía
+ * @param {Object} parametros - Parámetros por nombre; los que falten o no use esta página se ignoran
+ */
+function cargarDiseno(parametros) {
+    asignarParametros(parametros);
+    regenerarCelosia();
+}
+
+/**
+ * Asigna parámetros de diseño ya validados (sin regenerar la escena)
+ * @param {Object} parametros - Parámetros por nombre; los que falten o no use esta página se ignoran
+ */
+function asignarParametros(parametros) {
+    const p = parametros;
+    if ('numRepeticiones' in p) numRepeticiones = p.numRepeticiones;
+    if ('distanciaRepeticiones' in p) distanciaRepeticiones = p.distanciaRepeticiones;
+    if ('escalaUniforme' in p) escalaUniforme = p.escalaUniforme;
+    if ('alturaZ' in p) alturaZ = p.alturaZ;
+    if ('offsetAngular' in p) offsetAngular = p.offsetAngular;
+    if ('desplazamientoRadial' in p) desplazamientoRadial = p.desplazamientoRadial;
+}
+
+/**
+ * Configura el panel de dat.GUI
+ */
+function setupGUI() {
+    gui = new GUI({ width: 300 });
+    
+    // Los cambios de la celosía se aplican al dejar de mover el control
+    PanelCelosia.crear(gui, {
+        obtenerParametros: () => ({ ...obtenerParametros(), markersVisible }),
+        aplicarParametros: parametros => {
+            if ('markersVisible' in parametros) markersVisible = parametros.markersVisible;
+            asignarParametros(parametros);
+        },
+        carpetas: [
+            {
+                titulo: 'Celosía',
+                parametros: ['numRepeticiones', 'distanciaRepeticiones', 'escalaUniforme', 'alturaZ', 'offsetAngular', 'desplazamientoRadial'],
+                alCambiar: () => {
+                    regenerarCelosia();
+                    Historial.confirmar(historial, obtenerParametros());
+                },
+                retardo: 300
+            },
+            {
+                titulo: 'Marcadores',
+                parametros: ['markersVisible'],
+                alCambiar: aplicarVisibilidadMarcadores
             }
-        }
+        ]
     });
     
-    // Renderizar la escena
-    renderer.render(scene, camera);
+    PresetsCelosia.crearPanel(gui, {
+        obtenerParametros: obtenerParametros,
+        cargarParametros: parametros => {
+            cargarDiseno(parametros);
+            Historial.confirmar(historial, obtenerParametros(), 'Preset');
+        },
+        descargar: Utils.descargarArchivo
+    });
 }
 
 /**
- * Manejar el redimensionamiento de la ventana
+ * Aplica markersVisible a los marcadores y a las líneas de conexión
  */
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+function aplicarVisibilidadMarcadores() {
+    // Aplicar visibilidad a los marcadores de centro y de pivot y a las líneas de conexión
+    RegistroPajaritas.marcadores(registro).forEach(marker => {
+        marker.visible = markersVisible;
+    });
+    
+    console.log("Marcadores " + (markersVisible ? "visibles" : "ocultos"));
 }
 
 /**
@@ -450,52 +361,61 @@ function onWindowResize() {
  * @param {KeyboardEvent} event - El evento de pulsación de tecla
  */
 function handleKeyDown(event) {
+    // No interpretar como atajos las teclas escritas en los campos de la GUI
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+    
     console.log(`Tecla presionada: ${event.key}, Código: ${event.code}`); // Para depuración
     
+    // Deshacer (Ctrl+Z) y rehacer (Ctrl+Shift+Z) los cambios de parámetros
+    if ((event.ctrlKey || event.metaKey) && (event.key === 'z' || event.key === 'Z')) {
+        event.preventDefault();
+        if (event.shiftKey) {
+            Historial.rehacer(historial);
+        } else {
+            Historial.deshacer(historial);
+        }
+        return;
+    }
+    
+    // Las demás combinaciones con Ctrl, Cmd o Alt son atajos del navegador (imprimir, buscar...),
+    // no de la página; Shift sí se usa (Shift+E, Shift+X, Shift+B)
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    
     // Tecla 'r' o 'R' para activar/detener la rotación y restablecer posiciones
     if (event.key === 'r' || event.key === 'R') {
-        // Alternar rotación para todos los objetos
+        // Alternar la rotación y llevar todos los objetos al nuevo estado
+        rotacionActiva = !rotacionActiva;
         objects.forEach(obj => {
-            // Alternar el estado de rotación
-            if (obj.rotateZ && obj.rotateZ.active) {
-                // Si está activo, detenerlo
-                obj.rotateZ.active = false;
-                
-                // Restaurar la rotación inicial
+            if (!obj.rotateZ) return;
+            obj.rotateZ.active = rotacionActiva;
+            
+            // Al detenerla, restaurar la rotación inicial
+            if (!rotacionActiva) {
                 const originalRotation = originalRotations.find(rot => rot.object === obj.object);
                 if (originalRotation) {
                     obj.object.rotation.z = originalRotation.rotationZ;
                 }
-            } else if (obj.rotateZ) {
-                // Si está detenido, activarlo
-                obj.rotateZ.active = true;
             }
         });
         
-        console.log("Rotación " + (objects[0]?.rotateZ?.active ? "activada" : "desactivada") + " y posiciones restablecidas");
+        // Al activarla, la rotación empieza en las posiciones iniciales
+        if (rotacionActiva) {
+            RelojAnimacion.fijar(escena.reloj, 0);
+        }
+        
+        console.log("Rotación " + (rotacionActiva ? "activada" : "desactivada") + " y posiciones restablecidas");
     }
     
     // Tecla 'a' o 'A' para ocultar/mostrar las marcas
     if (event.key === 'a' || event.key === 'A') {
         // Cambiar el estado de visibilidad
         markersVisible = !markersVisible;
-        
-        // Aplicar visibilidad a los marcadores de centro
-        centerMarkers.forEach(marker => {
-            marker.visible = markersVisible;
-        });
-        
-        // Aplicar visibilidad a los marcadores de pivot
-        pivotMarkers.forEach(marker => {
-            marker.visible = markersVisible;
-        });
-        
-        // Aplicar visibilidad a las líneas de conexión
-        connectionLines.forEach(line => {
-            line.visible = markersVisible;
-        });
-        
-        console.log("Marcadores " + (markersVisible ? "visibles" : "ocultos"));
+        aplicarVisibilidadMarcadores();
+    }
+    
+    // Tecla 'd' o 'D' para mostrar/ocultar el panel de depuración
+    if (event.key === 'd' || event.key === 'D') {
+        EscenaBase.alternarDepuracion(escena);
     }
     
     // Control del número de repeticiones en la celosía
@@ -503,39 +423,39 @@ function handleKeyDown(event) {
     
     // Modificar el número de repeticiones
     if (event.key === '1' || event.code === 'Digit1' || event.code === 'Numpad1') {
-        // Disminuir número (mínimo 1)
-        numRepeticiones = Math.max(1, numRepeticiones - 1);
+        // Disminuir número (los límites son los de ParametrosCelosia, para que los presets sigan siendo válidos)
+        numRepeticiones = ParametrosCelosia.limitar('numRepeticiones', numRepeticiones - 1);
         console.log(`Número de repeticiones: ${numRepeticiones}`);
         regenerarCelosia();
     } else if (event.key === '2' || event.code === 'Digit2' || event.code === 'Numpad2') {
         // Aumentar número
-        numRepeticiones += 1;
+        numRepeticiones = ParametrosCelosia.limitar('numRepeticiones', numRepeticiones + 1);
         console.log(`Número de repeticiones: ${numRepeticiones}`);
         regenerarCelosia();
     }
     
     // Modificar la distancia entre repeticiones
     if (event.key === '3' || event.code === 'Digit3' || event.code === 'Numpad3') {
-        // Disminuir distancia (mínimo 0.2)
-        distanciaRepeticiones = Math.max(0.2, distanciaRepeticiones - incremento);
+        // Disminuir distancia
+        distanciaRepeticiones = ParametrosCelosia.limitar('distanciaRepeticiones', distanciaRepeticiones - incremento);
         console.log(`Distancia entre repeticiones: ${distanciaRepeticiones.toFixed(2)}`);
         regenerarCelosia();
     } else if (event.key === '4' || event.code === 'Digit4' || event.code === 'Numpad4') {
         // Aumentar distancia
-        distanciaRepeticiones += incremento;
+        distanciaRepeticiones = ParametrosCelosia.limitar('distanciaRepeticiones', distanciaRepeticiones + incremento);
         console.log(`Distancia entre repeticiones: ${distanciaRepeticiones.toFixed(2)}`);
         regenerarCelosia();
     }
     
     // Modificar el factor de escala
     if (event.key === '5' || event.code === 'Digit5' || event.code === 'Numpad5') {
-        // Disminuir escala (mínimo 0.1)
-        escalaUniforme = Math.max(0.1, escalaUniforme - incremento);
+        // Disminuir escala
+        escalaUniforme = ParametrosCelosia.limitar('escalaUniforme', escalaUniforme - incremento);
         console.log(`Escala uniforme: ${escalaUniforme.toFixed(2)}`);
         regenerarCelosia();
     } else if (event.key === '6' || event.code === 'Digit6' || event.code === 'Numpad6') {
-        // Aumentar escala (máximo 3.0)
-        escalaUniforme = Math.min(3.0, escalaUniforme + incremento);
+        // Aumentar escala
+        escalaUniforme = ParametrosCelosia.limitar('escalaUniforme', escalaUniforme + incremento);
         console.log(`Escala uniforme: ${escalaUniforme.toFixed(2)}`);
         regenerarCelosia();
     }
@@ -543,12 +463,12 @@ function handleKeyDown(event) {
     // Modificar la altura Z
     if (event.key === '7' || event.code === 'Digit7' || event.code === 'Numpad7') {
         // Disminuir altura Z
-        alturaZ = Math.max(0, alturaZ - incremento);
+        alturaZ = ParametrosCelosia.limitar('alturaZ', alturaZ - incremento);
         console.log(`Altura Z: ${alturaZ.toFixed(2)}`);
         regenerarCelosia();
     } else if (event.key === '8' || event.code === 'Digit8' || event.code === 'Numpad8') {
         // Aumentar altura Z
-        alturaZ += incremento;
+        alturaZ = ParametrosCelosia.limitar('alturaZ', alturaZ + incremento);
         console.log(`Altura Z: ${alturaZ.toFixed(2)}`);
         regenerarCelosia();
     }
@@ -556,12 +476,12 @@ function handleKeyDown(event) {
     // Modificar el offset angular
     if (event.key === '9' || event.code === 'Digit9' || event.code === 'Numpad9') {
         // Disminuir offset angular
-        offsetAngular -= incremento * 0.1; // Más pequeño para un control fino
+        offsetAngular = ParametrosCelosia.limitar('offsetAngular', offsetAngular - incremento * 0.1); // Más pequeño para un control fino
         console.log(`Offset angular: ${offsetAngular.toFixed(3)}`);
         regenerarCelosia();
     } else if (event.key === '0' || event.code === 'Digit0' || event.code === 'Numpad0') {
         // Aumentar offset angular
-        offsetAngular += incremento * 0.1;
+        offsetAngular = ParametrosCelosia.limitar('offsetAngular', offsetAngular + incremento * 0.1);
         console.log(`Offset angular: ${offsetAngular.toFixed(3)}`);
         regenerarCelosia();
     }
@@ -569,124 +489,16 @@ function handleKeyDown(event) {
     // Modificar el desplazamiento radial
     if (event.key === '-' || event.code === 'Minus' || event.code === 'NumpadSubtract') {
         // Disminuir desplazamiento radial
-        desplazamientoRadial -= incremento;
+        desplazamientoRadial = ParametrosCelosia.limitar('desplazamientoRadial', desplazamientoRadial - incremento);
         console.log(`Desplazamiento radial: ${desplazamientoRadial.toFixed(2)}`);
         regenerarCelosia();
     } else if (event.key === '=' || event.key === '+' || event.code === 'Equal' || event.code === 'NumpadAdd') {
         // Aumentar desplazamiento radial
-        desplazamientoRadial += incremento;
+        desplazamientoRadial = ParametrosCelosia.limitar('desplazamientoRadial', desplazamientoRadial + incremento);
         console.log(`Desplazamiento radial: ${desplazamientoRadial.toFixed(2)}`);
         regenerarCelosia();
     }
-}
-
-/**
- * Crea un marcador en forma de cruceta para visualizar el pivot
- * @returns {THREE.Object3D} - Objeto 3D que representa el marcador
- */
-function createPivotMarker() {
-    // Crear un grupo para contener las líneas de la cruceta
-    const markerGroup = new THREE.Group();
-    
-    // Tamaño de la cruceta
-    const size = 0.05;
-    
-    // Material para las líneas de la cruceta (azul brillante)
-    const material = new THREE.MeshBasicMaterial({ 
-        color: 0x0088ff,
-        transparent: true,
-        opacity: 0.2
-    });
-    
-    // Crear líneas en las tres direcciones (X, Y, Z)
-    // Eje X (línea horizontal)
-    const geometryX = new THREE.BoxGeometry(size * 2, size / 10, size / 10);
-    const lineX = new THREE.Mesh(geometryX, material);
-    markerGroup.add(lineX);
-    
-    // Eje Y (línea vertical)
-    const geometryY = new THREE.BoxGeometry(size / 10, size * 2, size / 10);
-    const lineY = new THREE.Mesh(geometryY, material);
-    markerGroup.add(lineY);
-    
-    // Eje Z (línea de profundidad)
-    const geometryZ = new THREE.BoxGeometry(size / 10, size / 10, size * 2);
-    const lineZ = new THREE.Mesh(geometryZ, material);
-    markerGroup.add(lineZ);
-    
-    // Añadir una pequeña esfera en el centro de la cruceta
-    const sphereGeometry = new THREE.SphereGeometry(size / 8, 16, 16);
-    const sphere = new THREE.Mesh(sphereGeometry, material);
-    markerGroup.add(sphere);
-    
-    return markerGroup;
-}
-
-/**
- * Crea una línea que conecta el centro de la pajarita con el punto de pivot
- * @returns {THREE.Object3D} - Objeto 3D que representa la línea de conexión
- */
-function createConnectionLine() {
-    // Crear puntos para la línea
-    const points = [];
-    points.push(new THREE.Vector3(0, 0, 0)); // Desde el centro (0,0,0)
-    points.push(new THREE.Vector3(-pivotX, -pivotY, -pivotZ)); // Hasta el pivot (en coordenadas locales inversas)
-    
-    // Crear la geometría de la línea
-    const geometry = new THREE.BufferGeometry().setFromPoints(points);
-    
-    // Material para la línea (verde claro)
-    const material = new THREE.LineBasicMaterial({
-        color: 0x44ff44,
-        linewidth: 2,
-        opacity: 0.7,
-        transparent: true
-    });
-    
-    // Crear la línea
-    const line = new THREE.Line(geometry, material);
-    
-    return line;
-}
-
-/**
- * Crea un marcador en forma de cruceta para visualizar el centro de la pajarita
- * @returns {THREE.Object3D} - Objeto 3D que representa el marcador
- */
-function createCenterMarker() {
-    // Crear un grupo para contener las líneas de la cruceta
-    const markerGroup = new THREE.Group();
-    
-    // Tamaño de la cruceta (ligeramente más pequeño que el marcador del pivot)
-    const size = 0.2;
-    
-    // Material para las líneas de la cruceta (rojo brillante)
-    const material = new THREE.MeshBasicMaterial({ 
-        color: 0xff2222,
-        transparent: true,
-        opacity: 0.8
-    });
-    
-    // Crear líneas en las tres direcciones (X, Y, Z)
-    // Eje X (línea horizontal)
-    const geometryX = new THREE.BoxGeometry(size * 2, size / 10, size / 10);
-    const lineX = new THREE.Mesh(geometryX, material);
-    markerGroup.add(lineX);
-    
-    // Eje Y (línea vertical)
-    const geometryY = new THREE.BoxGeometry(size / 10, size * 2, size / 10);
-    const lineY = new THREE.Mesh(geometryY, material);
-    markerGroup.add(lineY);
-    
-    // Eje Z (línea de profundidad)
-    const geometryZ = new THREE.BoxGeometry(size / 10, size / 10, size * 2);
-    const lineZ = new THREE.Mesh(geometryZ, material);
-    markerGroup.add(lineZ);
-    
-    // Añadir una pequeña esfera en el centro de la cruceta
-    const sphereGeometry = new THREE.SphereGeometry(size / 8, 16, 16);
-    const sphere = new THREE.Mesh(sphereGeometry, material);
-    markerGroup.add(sphere);
     
-    return markerGroup;
+    // Guardar en el historial los parámetros que haya cambiado la tecla
+    Historial.confirmar(historial, obtenerParametros());
 }
@@ -9,15 +9,20 @@
  * - Cruceta AZUL: Indica el punto de pivot alrededor del cual rota la pajarita
  * - Línea VERDE: Conecta el centro con el pivot para visualizar la relación entre ambos puntos
  * - Anillo interior:
- *   - Pajaritas VERDES: Las pajaritas en posiciones pares (0°, 120°, 240°) son de color verde
- *   - Pajaritas DORADAS: Las pajaritas en posiciones impares (60°, 180°, 300°) son de color dorado
+ *   - Con la paleta clásica, las pajaritas en posiciones pares (0°, 120°, 240°) son de color verde
+ *     y las de posiciones impares (60°, 180°, 300°) de color dorado
  * - Celosía radial:
- *   - Pajaritas con colores alternados que se extienden desde el centro
+ *   - Pajaritas que se extienden desde el centro, coloreadas con la paleta y la regla de la
+ *     carpeta "Colores" (por defecto, colores alternados); la carpeta "Materiales" da a cada
+ *     color de la paleta un acabado (metal, latón cepillado, azulejo, yeso, madera, pintura)
  *   - Todas las pajaritas mantienen una escala constante
  *   - Cada anillo tiene más pajaritas que el anterior, proporcional a su perímetro
  * 
  * Controles:
- * - Tecla R: Activa/detiene la rotación y vuelve a las posiciones iniciales
+ * - Tecla R: Activa/detiene la rotación y vuelve a las posiciones iniciales (al activarla, el reloj
+ *   de la animación vuelve a t = 0)
+ * - Barra espaciadora: Pausa/reanuda la animación conservando su fase; la carpeta "Animación" ajusta
+ *   la escala de tiempo y lleva la animación a cualquier instante t, que siempre da la misma imagen
  * - Tecla A: Oculta/muestra las marcas (crucetas) que indican los centros y puntos de pivot
  * - Teclas 1/2: Disminuir/Aumentar número de repeticiones en la celosía
  * - Teclas 3/4: Disminuir/Aumentar distancia entre repeticiones
@@ -26,20 +31,78 @@
  * - Teclas 9/0: Disminuir/Aumentar offset angular para distribución en espiral
  * - Teclas -/+: Disminuir/Aumentar desplazamiento radial adicional
  * - Teclas F/G: Disminuir/Aumentar factor de densidad de pajaritas por anillo
+ * - Tecla I: Alternar entre pajaritas individuales y renderizado instanciado (InstancedMesh)
+ * - Tecla T: Alternar entre disposición radial, teselado hexagonal de rosetas y grupo de simetría
+ * - Tecla Y: Cambiar el grupo de simetría (p1, p2, pm, ..., p6m) en la disposición por grupo
+ * - Tecla V: Analizar huecos y solapes entre pajaritas vecinas (las infractoras se resaltan en rojo)
+ * - Tecla E: Exportar la celosía como STL binario (Shift+E: STL en texto)
+ * - Tecla X: Exportar el contorno plano como SVG para corte láser (Shift+X: DXF)
+ * - Tecla U: Activar/desactivar la unión de pajaritas del mismo color en el contorno exportado
+ * - Tecla B: Exportar la escena como GLB (Shift+B: glTF); si la rotación está activa se incluye como animación
+ * - Tecla P: Exportar la vista como PNG a alta resolución, renderizada por teselas, con el tamaño, el
+ *   fondo transparente y el suelo de la carpeta "Imagen"; el PNG guarda los parámetros del diseño y
+ *   la misma carpeta puede volver a abrirlo
+ * - Carpeta "Grabación": Grabar la animación como vídeo WebM o secuencia de PNG en un ZIP, con la
+ *   duración, los fotogramas por segundo y la resolución elegidos; con "Una vuelta (bucle)" se graba
+ *   exactamente una vuelta de la rotación para que el vídeo encadene sin saltos
+ * - Tecla D: Mostrar/ocultar el panel de depuración con la memoria de la GPU (también con ?debug en la URL)
+ * - Tecla O: Alternar la iluminación entre las luces, el entorno procedural y ambos (la carpeta
+ *   "Entorno" ajusta su intensidad y su rotación)
+ * - Carpeta "Luces": Elegir un preset de luces (estudio, clásica, patio a mediodía, contraluz de tarde),
+ *   añadir, quitar y editar luces (tipo, color, intensidad, posición, sombras) y moverlas arrastrando
+ *   la esfera amarilla que aparece con "Mover con el ratón"
+ * - Ctrl+Z / Ctrl+Shift+Z: Deshacer/rehacer el último cambio de parámetros (teclas, panel, presets o URL)
+ * - Clic sobre una pajarita: Seleccionarla e inspeccionarla (anillo, índice, ángulo, posición, pivot),
+ *   activar o detener solo su rotación y ajustarla (ocultarla, cambiar su color o desfasar su rotación);
+ *   Escape o un clic en el vacío deshacen la selección
+ *
+ * Todos los parámetros de diseño se guardan en el hash de la URL a medida que se ajustan,
+ * de modo que el enlace reproduce el diseño al abrirlo. El panel de dat.GUI permite ajustar
+ * los mismos parámetros (sincronizado con las teclas) y su carpeta "Presets" guarda diseños
+ * con nombre en el navegador y los exporta/importa como JSON. Los ajustes de cada pajarita se
+ * guardan por su tipo, anillo e índice, de modo que sobreviven a la regeneración de la celosía y
+ * viajan con el resto de parámetros. Cada cambio queda en el historial, cuya lista (abajo a la
+ * derecha) permite volver a cualquier paso anterior.
  */
 
 // Importar los módulos de Three.js
 import * as THREE from './lib/three.module.js';
-import { OrbitControls } from './lib/examples/jsm/controls/OrbitControls.js';
-import { SVGLoader } from './lib/examples/jsm/loaders/SVGLoader.js';
-import { DirectionalLightHelper, HemisphereLightHelper } from './lib/three.module.js';
-import Utils from './simple-utils.js';
+import { GUI } from './lib/dat.gui.module.js';
+import { DirectionalLightHelper, HemisphereLightHelper, PointLightHelper, SpotLightHelper } from './lib/three.module.js';
+import Utils from './utils.js';
+import EscenaBase from './escena-base.js';
+import CargadorPajaritas from './cargador-pajaritas.js';
+import RegistroPajaritas from './registro-pajaritas.js';
+import ControlCarga from './control-carga.js';
+import SVGCache from './svg-cache.js';
+import CelosiaInstanciada from './celosia-instanciada.js';
+import TeseladoHexagonal from './teselado-hexagonal.js';
+import GruposSimetria from './grupos-simetria.js';
+import AnalisisTeselado from './analisis-teselado.js';
+import ExportarSTL from './exportar-stl.js';
+import ExportarContornos from './exportar-contornos.js';
+import ExportarGLTF from './exportar-gltf.js';
+import ExportarImagen from './exportar-imagen.js';
+import GrabadorAnimacion from './grabador-animacion.js';
+import RelojAnimacion from './reloj-animacion.js';
+import ParametrosCelosia from './parametros-celosia.js';
+import PresetsCelosia from './presets-celosia.js';
+import PanelCelosia from './panel-celosia.js';
+import Historial from './historial.js';
+import SeleccionPajaritas from './seleccion-pajaritas.js';
+import AjustesPajaritas from './ajustes-pajaritas.js';
+import PaletasColor from './paletas-color.js';
+import MaterialesPajaritas from './materiales-pajaritas.js';
+import EntornoProcedural from './entorno-procedural.js';
+import LucesEscena from './luces-escena.js';
+import GizmoPosicion from './gizmo-posicion.js';
 
 // Variables globales
-let scene, camera, renderer;
-let controls;
+let escena;
+let gui;
 let objects = [];
 let originalRotations = []; // Almacenar rotaciones iniciales
+let rotacionActiva = false; // Alternable con tecla R; las pajaritas nuevas nacen en este estado
 
 // Variables para la niebla
 let currentFog = null;
@@ -50,16 +113,39 @@ let fogDensity = 0.016; // Valor por defecto más suave
 let fogNear = 1;
 let fogFar = 20;
 
+// Variables para la iluminación de entorno (ver EntornoProcedural)
+let entorno;
+let modoIluminacion = 'luces';     // 'luces', 'entorno' o 'ambos' (alternable con tecla O)
+let intensidadEntorno = 1.0;       // Brillo del entorno
+let rotacionEntorno = 0;           // Rotación del entorno alrededor del eje vertical, en radianes
+
+// Variables para las luces (ver LucesEscena)
+let luces = LucesEscena.rig('suave'); // Rig de luces (no se modifica: se sustituye)
+let lucesEscena;                   // Luces de Three.js creadas a partir del rig
+let panelLuces;                    // Editor de luces del panel de dat.GUI
+let gizmo;                         // Gizmo para mover las luces con el ratón
+
 // Variables para helpers de luces
 let lightHelpers = [];
-let lights = null;
 let pivotX = 0.502; // Coordenada X del pivot
 let pivotY = -0.3451; // Coordenada Y del pivot
 let pivotZ = 0;      // Coordenada Z del pivot
 let markersVisible = false; // Estado de visibilidad de las marcas (inicialmente ocultas)
-let centerMarkers = []; // Array para almacenar los marcadores de centro
-let pivotMarkers = []; // Array para almacenar los marcadores de pivot
-let connectionLines = []; // Array para almacenar las líneas de conexión
+const registro = RegistroPajaritas.crear(); // Pajaritas individuales con sus marcadores y recursos
+let carga; // Generaciones de la celosía y del anillo interior, y cargas pendientes
+let historial; // Cambios de parámetros que se pueden deshacer
+let seleccion; // Pajarita seleccionada con el ratón
+let ajustes = {}; // Ajustes individuales de las pajaritas por clave (ver AjustesPajaritas)
+let panelColores; // Editor de paletas del panel de dat.GUI
+let panelMateriales; // Materiales de cada grupo de color en el panel de dat.GUI
+
+// Variables para los colores (ver PaletasColor)
+let paleta = PaletasColor.porDefecto.paleta;             // Paleta predefinida o 'personalizada'
+let colores = PaletasColor.porDefecto.colores;           // Colores de la paleta (no se modifican: se sustituyen)
+let reglaColor = PaletasColor.porDefecto.reglaColor;     // Regla de asignación de los colores
+let semillaColor = PaletasColor.porDefecto.semillaColor; // Semilla de la regla 'aleatorio'
+let sectoresColor = PaletasColor.porDefecto.sectoresColor; // Número de sectores de la regla 'sector'
+let materiales = ['metal'];        // Preset de material de cada grupo de color (ver MaterialesPajaritas)
 
 // Variables para la celosía
 let numRepeticiones = 4;           // Número de repeticiones en la celosía (ajustable con teclas 1/2)
@@ -70,55 +156,126 @@ let offsetAngular = -0.085;        // Desplazamiento angular para las pajaritas
 let desplazamientoRadial = 0;      // Desplazamiento radial adicional (ajustable con teclas -/+)
 let factorPajaritas = 2.0;         // Factor que determina cuántas pajaritas hay en cada anillo (ajustable con teclas F/G)
 
+// Variables para el renderizado instanciado
+let modoInstanciado = false;       // Usar InstancedMesh para la celosía radial (alternable con tecla I)
+let celosiaInstanciada = null;     // Mallas instanciadas de la celosía actual
+
+// Disposición de la celosía: 'radial' (anillos concéntricos), 'hexagonal' (rosetas sobre red hexagonal)
+// o 'grupo' (cualquier grupo de papel pintado sobre una red de lado distanciaRepeticiones)
+const MODOS_DISPOSICION = ['radial', 'hexagonal', 'grupo'];
+let modoDisposicion = 'radial';    // Alternable con tecla T
+let grupoSimetria = 'p6';          // Grupo de simetría de la disposición 'grupo' (alternable con tecla Y)
+
+// Tipos de pajarita que pertenecen a la celosía (y se eliminan al regenerarla)
+const TIPOS_CELOSIA = ['celosia', 'hexagonal', 'grupo'];
+
+// Parámetros de la niebla, del entorno y del pivot; los demás son de la celosía
+const PARAMETROS_NIEBLA = ['fogType', 'fogDensity', 'fogFar'];
+const PARAMETROS_ENTORNO = ['modoIluminacion', 'intensidadEntorno', 'rotacionEntorno'];
+const PARAMETROS_PIVOT = ['pivotX', 'pivotY', 'pivotZ'];
+const PARAMETROS_COLOR = ['paleta', 'colores', 'reglaColor', 'semillaColor', 'sectoresColor', 'materiales'];
+
+// Análisis de huecos y solapes
+let analisisActivo = false;        // Alternable con tecla V
+let resaltados = [];               // Materiales resaltados en rojo y su emisivo original
+
+// Exportación para fabricación
+const ESCALA_EXPORTACION = 100;    // Milímetros por unidad de escena (una pajarita mide unos 100 mm)
+let unirContornos = true;          // Unir pajaritas del mismo color en el contorno exportado (alternable con tecla U)
+
+// Exportación de imágenes (carpeta "Imagen" del panel y tecla P)
+const opcionesImagen = { anchura: 4000, altura: 4000, transparente: false, suelo: true };
+
+// Grabación de la animación (carpeta "Grabación" del panel)
+const opcionesGrabacion = { formato: 'webm', duracion: 10, fps: 30, anchura: 1920, altura: 1080, bucle: true };
+let grabacion = null;              // Grabación en curso
+
+// Configuración de la escena: fondo oscuro (el mismo color que la niebla), sombras muy suavizadas
+// y suelo lejano para que la niebla lo difumine
+const CONFIG_ESCENA = {
+    fondo: 0x333333, // 0xbfbdb7
+    sombras: THREE.VSMShadowMap, // Sombras muy suavizadas (Variance Shadow Map)
+    toneMapping: { tipo: THREE.ReinhardToneMapping, exposicion: 1.5 }, // Mayor exposición para reducir contraste en sombras
+    luces: null, // Las crea LucesEscena a partir del parámetro luces
+    alfa: true,  // Para exportar imágenes con fondo transparente
+    suelo: { tamano: 1000, y: -7 }
+};
+
 // Inicializar la aplicación cuando el documento esté listo
 window.addEventListener('load', init);
-window.addEventListener('resize', onWindowResize);
 window.addEventListener('keydown', handleKeyDown);
+window.addEventListener('hashchange', onHashChange);
 
 /**
  * Inicializar Three.js y configurar la escena
  */
 function init() {
-    // Crear escena
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x333333);//(0xbfbdb7);
-    
-    // Crear cámara
-    const aspectRatio = window.innerWidth / window.innerHeight;
-    camera = new THREE.PerspectiveCamera(75, aspectRatio, 0.1, 1000);
-    camera.position.set(0, 1, 8); // Posición ajustada para mejor visualización
-    
-    // Crear renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.VSMShadowMap; // Sombras muy suavizadas (Variance Shadow Map)
-    renderer.outputColorSpace = THREE.SRGBColorSpace; // Mejor representación de colores
-    renderer.toneMapping = THREE.ReinhardToneMapping; // Mapeo tonal más suave
-    renderer.toneMappingExposure = 1.5; // Mayor exposición para reducir contraste en sombras
-    document.getElementById('container').appendChild(renderer.domElement);
-    
-    // Añadir controles de órbita
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-    
-    // Configurar luces
-    lights = Utils.setupBasicLights(scene);
-    
-    // Crear helpers para las luces
-    createLightHelpers();
-    
-    // Configurar niebla exponencial por defecto
-    currentFog = new THREE.FogExp2(fogColor, fogDensity);
-    scene.fog = currentFog;
+    escena = EscenaBase.crear(CONFIG_ESCENA);
+    carga = ControlCarga.crear();
+    
+    // Selección de pajaritas con el ratón (individuales o instanciadas)
+    seleccion = SeleccionPajaritas.crear(escena, {
+        objetos: () => objects,
+        instancias: () => celosiaInstanciada ? celosiaInstanciada.instancias : [],
+        pivot: () => ({ x: pivotX, y: pivotY, z: pivotZ }),
+        ajustes: {
+            obtener: obj => ajustes[obj.clave],
+            cambiar: cambiarAjuste
+        },
+        // Los clics sobre el asa del gizmo de luces son del gizmo (se crea más abajo)
+        ignorar: event => Boolean(gizmo && GizmoPosicion.bajoPuntero(gizmo, event))
+    });
+    
+    // Restaurar el diseño guardado en la URL, si lo hay
+    restaurarParametrosURL();
+    
+    // El historial parte del diseño inicial
+    historial = Historial.crear({
+        estado: obtenerParametros(),
+        aplicar: cargarDiseno,
+        etiqueta: PanelCelosia.etiqueta
+    });
+    
+    // Configurar niebla (exponencial por defecto)
+    currentFog = crearNiebla();
+    escena.scene.fog = currentFog;
+    
+    // Luces del rig (con sus helpers) y gizmo para moverlas
+    lucesEscena = LucesEscena.crear(escena);
+    aplicarLuces();
+    gizmo = GizmoPosicion.crear(escena);
+    
+    // Iluminación de entorno procedural
+    entorno = EntornoProcedural.crear(escena);
+    aplicarEntorno();
     
     // Añadir objetos a la escena
     createObjects();
     
+    // Panel de presets
+    setupGUI();
+    
     // Iniciar el bucle de renderizado
-    animate();
+    EscenaBase.animar(escena, {
+        objetos: () => objects,
+        antesDeRenderizar: () => {
+            // Trasladar las rotaciones de los pivots a las matrices de instancia
+            CelosiaInstanciada.actualizar(celosiaInstanciada);
+            
+            // El contorno de la pajarita seleccionada sigue su rotación
+            SeleccionPajaritas.actualizar(seleccion);
+            
+            // Actualizar los helpers de luces si están visibles
+            if (markersVisible) {
+                lightHelpers.forEach(helper => {
+                    if (helper.update) {
+                        helper.update();
+                    }
+                });
+            }
+        },
+        infoDepuracion: () => `Pajaritas: ${registro.entradas.length} · Instancias: ${celosiaInstanciada ? celosiaInstanciada.instancias.length : 0}`
+    });
 }
 
 /**
@@ -128,30 +285,30 @@ function createObjects() {
     // 1. Crear anillo interior de seis pajaritas uniformemente distribuidas en un círculo (60° entre cada una)
     crearAnilloInterior();
     
-    // 2. Crear la celosía radial de pajaritas
-    crearCelosiaRadial();
-    
-    // 3. Crear un plano como suelo
-    const floor = Utils.createMesh('cube', { width: 1000, height: 0.1, depth: 1000 }, {
-        type: 'MeshStandardMaterial',
-        color: 0x95a5a6,
-        roughness: 0.8
-    });
-    floor.position.y = -7;
-    floor.receiveShadow = true;
-    scene.add(floor);
+    // 2. Crear la celosía de pajaritas (radial o hexagonal)
+    crearCelosia();
 }
 
 /**
  * Crea el anillo interior de pajaritas
  */
 function crearAnilloInterior() {
-    const numPajaritas = 6;
-    const angleStep = (2 * Math.PI) / numPajaritas; // 60° en radianes
-    
-    for (let i = 0; i < numPajaritas; i++) {
-        const angle = i * angleStep; // 0, 60°, 120°, 180°, 240°, 300°
-        loadSVG('./pajarita001.svg', angle, numPajaritas, 0, 0, 0, 1.0, 'interior', i);
+    // Seis pajaritas giradas 0, 60°, 120°, 180°, 240°, 300° alrededor del pivot (grupo p6)
+    GruposSimetria.presets.anilloInterior().forEach(t => {
+        loadSVG('./pajarita001.svg', t.rotacion, t.numPajaritasAnillo, t.x, t.y, t.z, 1.0, 'interior', t.indice, t.espejo, t.anillo, t.celda);
+    });
+}
+
+/**
+ * Crea la celosía con la disposición seleccionada
+ */
+function crearCelosia() {
+    if (modoDisposicion === 'hexagonal') {
+        crearCelosiaHexagonal();
+    } else if (modoDisposicion === 'grupo') {
+        crearCelosiaGrupo();
+    } else {
+        crearCelosiaRadial();
     }
 }
 
@@ -161,102 +318,949 @@ function crearAnilloInterior() {
  * con un número creciente de pajaritas en cada anillo según su distancia al centro
  */
 function crearCelosiaRadial() {
-    // Número base de pajaritas en el anillo interior
-    const numPajaritasBase = 6;
-    
-    // Para cada anillo
-    for (let rep = 1; rep <= numRepeticiones; rep++) {
-        // Calculamos la distancia desde el centro para este anillo
-        // Empezamos desde distanciaRepeticiones para dejar un espacio con el anillo interior
-        // Añadimos el desplazamiento radial que puede ser positivo o negativo
-        const distancia = (distanciaRepeticiones * rep) + (desplazamientoRadial * rep);
+    colocarPajaritas('./pajarita001.svg', calcularPosicionesCelosia());
+}
+
+/**
+ * Crea la celosía como teselado hexagonal de rosetas de 6 pajaritas
+ * Los vectores de la red se derivan de la propia pajarita y del pivot, por lo que el patrón
+ * encaja sin huecos ni solapes; numRepeticiones indica el número de anillos de rosetas
+ * alrededor de la roseta central (el anillo interior)
+ */
+function crearCelosiaHexagonal() {
+    const url = './pajarita001.svg';
+    const generacion = ControlCarga.generacion(carga, 'celosia');
+    
+    ControlCarga.seguir(carga, SVGCache.loadGeometry(url, escalaUniforme, CargadorPajaritas.extrusion(escalaUniforme)).then(function(svgData) {
+        // La celosía se ha regenerado mientras se cargaba la geometría
+        if (!ControlCarga.esVigente(carga, 'celosia', generacion)) return;
         
-        // El número de pajaritas debe ser proporcional al perímetro del anillo
-        // El perímetro es 2*π*r, así que es directamente proporcional al radio (distancia)
-        // Cada anillo tiene un perímetro de 2*π*distancia
-        // Si el anillo interior (base) tiene 6 pajaritas a una distancia fija,
-        // y queremos mantener la misma densidad lineal, calculamos:
-        // 
-        // densidad = numPajaritasBase / (2*π*radioBase)
-        // numPajaritasAnillo = densidad * (2*π*distancia) = numPajaritasBase * (distancia/radioBase)
-        //
-        // Donde radioBase es la distancia al centro del anillo interior (que es 1.0 por convención)
-        // Además, aplicamos un factor multiplicador para ajustar la densidad general
+        const vectores = TeseladoHexagonal.calcularVectores(svgData, { x: pivotX, y: pivotY, z: pivotZ });
         
-        const radioBase = 1.0; // Radio del anillo base (interior)
-        const numPajaritasAnillo = Math.max(numPajaritasBase, 
-            Math.round(numPajaritasBase * (distancia/radioBase) * factorPajaritas));
-        const angleStep = (2 * Math.PI) / numPajaritasAnillo;
+        const posiciones = GruposSimetria.presets.rosetasHexagonales({
+            ...vectores,
+            numAnillos: numRepeticiones,
+            alturaZ: alturaZ
+        }).map(p => ({ ...p, escala: escalaUniforme, tipo: 'hexagonal' }));
         
-        // Para cada pajarita en este anillo
-        for (let i = 0; i < numPajaritasAnillo; i++) {
-            // Calculamos el ángulo base para esta pajarita
-            const angulo = i * angleStep;
-            
-            // Aplicamos el offset angular
-            const anguloAjustado = angulo + (offsetAngular * rep);
-            
-            // Aplicamos una escala uniforme para todas las pajaritas
-            const escala = escalaUniforme;
-            
-            // Calcular posición en coordenadas polares (centro + vector radial)
-            const x = distancia * Math.cos(anguloAjustado);
-            const y = distancia * Math.sin(anguloAjustado);
-            
-            // Z puede incrementarse con cada repetición para crear un efecto de elevación
-            const z = alturaZ * rep;
-            
-            // Alternamos la rotación para crear un patrón interesante
-            // Esta rotación hace que las pajaritas miren hacia adentro o hacia afuera alternativamente
-            const rotacion = i % 2 === 0 ? angulo : angulo + Math.PI;
-            
-            // El índice para determinar el color, alternando colores
-            const indice = i + (rep * numPajaritasAnillo);
-            
-            // Cargar la pajarita en esta posición
-            loadSVG('./pajarita001.svg', rotacion, numPajaritasAnillo, x, y, z, escala, 'celosia', indice);
-        }
+        console.log(`Red hexagonal: a1 (${vectores.a1.x.toFixed(3)}, ${vectores.a1.y.toFixed(3)}), a2 (${vectores.a2.x.toFixed(3)}, ${vectores.a2.y.toFixed(3)})`);
+        
+        colocarPajaritas(url, posiciones);
+    }).catch(error => {
+        console.error(`Error al cargar el SVG ${url}:`, error);
+    }));
+}
+
+/**
+ * Crea la celosía con el grupo de simetría seleccionado
+ * La pajarita, con su pivot en el origen, hace de pesa en el dominio fundamental;
+ * la red tiene lado distanciaRepeticiones y la región es un círculo de numRepeticiones celdas
+ */
+function crearCelosiaGrupo() {
+    const { a1, a2 } = GruposSimetria.redPorDefecto(grupoSimetria, distanciaRepeticiones, offsetAngular);
+    const numOperaciones = GruposSimetria.numOperaciones(grupoSimetria);
+    
+    const posiciones = GruposSimetria.generar({
+        grupo: grupoSimetria,
+        a1: a1,
+        a2: a2,
+        region: { tipo: 'radio', radio: distanciaRepeticiones * numRepeticiones },
+        incluirCeldaCentral: true
+    }).map((t, i) => ({
+        ...t,
+        z: alturaZ * t.anillo,
+        escala: escalaUniforme,
+        // Como en los anillos, indice % numPajaritasAnillo es la posición dentro de la celda
+        indice: i * numOperaciones + t.operacion,
+        numPajaritasAnillo: numOperaciones,
+        tipo: 'grupo'
+    }));
+    
+    console.log(`Grupo ${grupoSimetria}: ${posiciones.length} pajaritas`);
+    
+    colocarPajaritas('./pajarita001.svg', posiciones);
+}
+
+/**
+ * Coloca las pajaritas calculadas, como mallas individuales o instanciadas
+ * @param {string} url - Ruta al archivo SVG
+ * @param {Array<Object>} posiciones - Disposición de las pajaritas
+ */
+function colocarPajaritas(url, posiciones) {
+    if (modoInstanciado) {
+        // Todas las pajaritas de un mismo color comparten un InstancedMesh
+        crearCelosiaInstanciada(url, posiciones);
+    } else {
+        // Cargar cada pajarita en su posición
+        posiciones.forEach(p => {
+            loadSVG(url, p.rotacion, p.numPajaritasAnillo, p.x, p.y, p.z, p.escala, p.tipo, p.indice, p.espejo, p.anillo, p.celda);
+        });
     }
 }
 
+/**
+ * Calcula la disposición polar de la celosía radial
+ * @returns {Array<Object>} - Una entrada por pajarita: { x, y, z, rotacion, escala, indice, numPajaritasAnillo, tipo }
+ */
+function calcularPosicionesCelosia() {
+    return GruposSimetria.presets.celosiaRadial({
+        numRepeticiones,
+        distanciaRepeticiones,
+        desplazamientoRadial,
+        offsetAngular,
+        alturaZ,
+        factorPajaritas
+    }).map(p => ({ ...p, escala: escalaUniforme, tipo: 'celosia' }));
+}
+
+/**
+ * Color de una pajarita según la paleta y la regla de color actuales
+ * @param {Object} pajarita - { tipo, indice, numPajaritasAnillo, anillo, x, y, celda }
+ * @returns {number} - Color hexadecimal (antes de sus ajustes individuales)
+ */
+function colorPajarita(pajarita) {
+    return PaletasColor.color(pajarita, obtenerParametros(), { numAnillos: numRepeticiones });
+}
+
+/**
+ * Preset de material de una pajarita: el de su grupo de color
+ * @param {Object} pajarita - Como en colorPajarita()
+ * @returns {string} - Nombre del preset en MaterialesPajaritas
+ */
+function materialPajarita(pajarita) {
+    const grupo = PaletasColor.grupo(pajarita, obtenerParametros(), { numAnillos: numRepeticiones });
+    return materiales[grupo % materiales.length];
+}
+
+/**
+ * Crea la celosía radial con mallas instanciadas (un InstancedMesh por color)
+ * Las transformaciones salen de la misma disposición polar que las pajaritas individuales
+ * y la rotación de cada instancia se sigue animando en el bucle de animación a través de su pivot
+ * @param {string} url - Ruta al archivo SVG
+ * @param {Array<Object>} posiciones - Disposición calculada por calcularPosicionesCelosia()
+ */
+function crearCelosiaInstanciada(url, posiciones) {
+    const extrudeSettings = CargadorPajaritas.extrusion(escalaUniforme);
+    const generacion = ControlCarga.generacion(carga, 'celosia');
+    
+    ControlCarga.seguir(carga, SVGCache.loadGeometry(url, escalaUniforme, extrudeSettings).then(function(svgData) {
+        // La celosía se ha regenerado mientras se cargaba la geometría
+        if (!ControlCarga.esVigente(carga, 'celosia', generacion)) return;
+        
+        // Las pajaritas ocultas no tienen instancia; las demás llevan su color y rotación ajustados
+        const tiles = [];
+        posiciones.forEach(p => {
+            const clave = AjustesPajaritas.clave(p.tipo, p.anillo, p.indice);
+            const color = colorPajarita(p);
+            const ajustada = AjustesPajaritas.resolver(ajustes, clave, color, p.rotacion);
+            if (ajustada) {
+                tiles.push({ ...p, clave: clave, color: ajustada.color, rotacion: ajustada.rotacion, material: materialPajarita(p) });
+            }
+        });
+        
+        celosiaInstanciada = CelosiaInstanciada.crear(svgData, tiles, { x: pivotX, y: pivotY, z: pivotZ }, MaterialesPajaritas.crear.bind(MaterialesPajaritas));
+        escena.scene.add(celosiaInstanciada.group);
+        
+        // Registrar cada instancia como un objeto animable, igual que un pivotGroup
+        celosiaInstanciada.instancias.forEach(instancia => {
+            objects.push({
+                object: instancia.pivot,
+                rotateX: { active: false, speed: 0 },
+                rotateY: { active: false, speed: 0 },
+                rotateZ: { active: rotacionActiva, speed: 0.6 },
+                initialRotationZ: instancia.tile.rotacion,
+                tipo: 'celosia-instanciada',
+                indice: instancia.tile.indice,
+                anillo: instancia.tile.anillo,
+                numPajaritasAnillo: instancia.tile.numPajaritasAnillo,
+                clave: instancia.tile.clave
+            });
+            
+            originalRotations.push({
+                object: instancia.pivot,
+                rotationZ: instancia.tile.rotacion
+            });
+        });
+        
+        console.log(`Celosía instanciada: ${tiles.length} pajaritas en ${celosiaInstanciada.meshes.length} mallas`);
+    }).catch(error => {
+        console.error(`Error al cargar el SVG ${url}:`, error);
+    }));
+}
+
+/**
+ * Quita de la lista de objetos animados (y de las rotaciones iniciales) los registros indicados
+ * @param {Set<Object>} eliminados - Registros de objects
+ */
+function quitarObjetos(eliminados) {
+    const pivots = new Set(Array.from(eliminados, obj => obj.object));
+    objects = objects.filter(obj => !eliminados.has(obj));
+    originalRotations = originalRotations.filter(rot => !pivots.has(rot.object));
+}
+
+/**
+ * Elimina la celosía instanciada de la escena y de la lista de objetos animados
+ */
+function eliminarCelosiaInstanciada() {
+    if (!celosiaInstanciada) return;
+    
+    const pivots = new Set(celosiaInstanciada.instancias.map(instancia => instancia.pivot));
+    objects = objects.filter(obj => !pivots.has(obj.object));
+    originalRotations = originalRotations.filter(rot => !pivots.has(rot.object));
+    
+    CelosiaInstanciada.dispose(celosiaInstanciada);
+    celosiaInstanciada = null;
+}
+
 /**
  * Función para regenerar la celosía cuando se cambien los parámetros
  */
 function regenerarCelosia() {
-    // Eliminar todas las pajaritas de la celosía actual
-    const pajaritasCelosia = objects.filter(obj => obj.tipo === 'celosia');
+    // Las pajaritas que aún se estén cargando pertenecen a la generación anterior y se descartarán
+    ControlCarga.nuevaGeneracion(carga, 'celosia');
+    
+    // Eliminar las pajaritas de la celosía actual con sus marcadores y liberar sus recursos
+    quitarObjetos(RegistroPajaritas.eliminar(registro, obj => TIPOS_CELOSIA.includes(obj.tipo)));
+    
+    // Eliminar la celosía instanciada, si existe
+    eliminarCelosiaInstanciada();
     
-    // Eliminar las pajaritas de la celosía de la escena y de los arrays
-    pajaritasCelosia.forEach(obj => {
-        scene.remove(obj.object);
+    // Recrear la celosía con los nuevos parámetros
+    crearCelosia();
+    
+    // Repetir el análisis cuando las nuevas pajaritas estén en la escena
+    if (analisisActivo) {
+        ControlCarga.cuandoTermine(carga, analizarTeselado);
+    }
+    
+    console.log(`Celosía regenerada: ${numRepeticiones} repeticiones, distancia ${distanciaRepeticiones.toFixed(2)}, escala ${escalaUniforme.toFixed(2)}, offset angular ${offsetAngular.toFixed(3)}, desplazamiento radial ${desplazamientoRadial.toFixed(2)}, factor pajaritas ${factorPajaritas.toFixed(1)}`);
+}
+
+/**
+ * Recoge las mallas de todas las pajaritas de la escena con su transformación de mundo
+ * Solo incluye las mallas extruidas del SVG: marcadores, líneas, helpers y suelo quedan fuera
+ * @returns {Array<Object>} - { id, geometry, matrix, color } por malla, donde id es el registro
+ * de objects (pajaritas individuales) o la instancia (celosía instanciada) a la que pertenece
+ */
+function recogerMallasPajaritas() {
+    const mallas = [];
+    
+    objects.forEach(obj => {
+        if (obj.tipo === 'celosia-instanciada') return;
         
-        // Eliminar las referencias a los marcadores y líneas
-        const index = objects.indexOf(obj);
-        if (index !== -1) {
-            // Eliminar marcadores del centro correspondientes
-            if (centerMarkers[index]) {
-                centerMarkers.splice(index, 1);
+        obj.object.updateMatrixWorld(true);
+        obj.object.traverse(child => {
+            if (child.isMesh && child.geometry.parameters?.shapes) {
+                mallas.push({
+                    id: obj,
+                    geometry: child.geometry,
+                    matrix: child.matrixWorld.clone(),
+                    color: child.material.color.getHex()
+                });
             }
-            
-            // Eliminar marcadores del pivot correspondientes
-            if (pivotMarkers[index]) {
-                pivotMarkers.splice(index, 1);
+        });
+    });
+    
+    if (celosiaInstanciada) {
+        celosiaInstanciada.group.updateMatrixWorld(true);
+        celosiaInstanciada.instancias.forEach(instancia => {
+            instancia.meshes.forEach(mesh => {
+                const matrix = new THREE.Matrix4();
+                mesh.getMatrixAt(instancia.index, matrix);
+                mallas.push({
+                    id: instancia,
+                    geometry: mesh.geometry,
+                    matrix: matrix.premultiply(mesh.matrixWorld),
+                    color: mesh.material.color.getHex()
+                });
+            });
+        });
+    }
+    
+    return mallas;
+}
+
+/**
+ * Proyecta al plano XY el contorno de todas las pajaritas de la escena
+ * @returns {Array<Object>} - Pesas para AnalisisTeselado.analizar, con id el registro de objects
+ * (pajaritas individuales) o la instancia (celosía instanciada)
+ */
+function recogerPesasAnalisis() {
+    const pesas = new Map();
+    
+    recogerMallasPajaritas().forEach(({ id, geometry, matrix }) => {
+        if (!pesas.has(id)) {
+            pesas.set(id, { id: id, contornos: [] });
+        }
+        pesas.get(id).contornos.push(AnalisisTeselado.proyectarForma(geometry.parameters.shapes, matrix));
+    });
+    
+    return Array.from(pesas.values());
+}
+
+/**
+ * Analiza huecos y solapes, muestra los totales en el panel de información
+ * y resalta en rojo las pajaritas infractoras
+ */
+function analizarTeselado() {
+    limpiarResaltado();
+    
+    const resultado = AnalisisTeselado.analizar(recogerPesasAnalisis());
+    const { areaSolape, areaHuecos, areaLimites, areaPesa, infractores } = resultado;
+    
+    resaltarPajaritas(infractores);
+    
+    const porcentaje = area => areaLimites > 0 ? (100 * area / areaLimites).toFixed(2) : '0.00';
+    const texto = `Solape: ${areaSolape.toFixed(4)} u² (${porcentaje(areaSolape)}%)<br>` +
+        `Huecos: ${areaHuecos.toFixed(4)} u² (${porcentaje(areaHuecos)}%)<br>` +
+        `Área analizada: ${areaLimites.toFixed(2)} u², pajarita: ${areaPesa.toFixed(4)} u²<br>` +
+        `Pajaritas resaltadas: ${infractores.length}`;
+    
+    const panel = document.getElementById('analisis');
+    if (panel) {
+        panel.innerHTML = `<strong>Análisis (${modoDisposicion}):</strong><br>${texto}`;
+        panel.style.display = 'block';
+    }
+    const infoPanel = document.getElementById('info');
+    if (infoPanel) {
+        infoPanel.style.display = 'block';
+    }
+    
+    console.log(`Análisis del teselado: solape ${areaSolape.toFixed(4)}, huecos ${areaHuecos.toFixed(4)}, ${infractores.length} pajaritas resaltadas`);
+    resultado.pares.slice(0, 5).forEach(par => {
+        const nombre = id => id.tipo ? `${id.tipo} #${id.indice}` : `instancia #${id.tile.indice}`;
+        console.log(`  Solape ${nombre(par.a)} / ${nombre(par.b)}: ${par.area.toFixed(4)}`);
+    });
+}
+
+/**
+ * Resalta en rojo un conjunto de pajaritas
+ * @param {Array<Object>} ids - Registros de objects o instancias de la celosía instanciada
+ */
+function resaltarPajaritas(ids) {
+    const rojo = new THREE.Color(0xff0000);
+    const blanco = new THREE.Color(0xffffff);
+    
+    // Las instancias se tiñen con su color de instancia (blanco deja el material intacto)
+    if (celosiaInstanciada) {
+        celosiaInstanciada.instancias.forEach(instancia => {
+            instancia.meshes.forEach(mesh => mesh.setColorAt(instancia.index, ids.includes(instancia) ? rojo : blanco));
+        });
+        celosiaInstanciada.meshes.forEach(mesh => {
+            if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+        });
+    }
+    
+    // Las pajaritas individuales tienen materiales propios, así que basta con su emisivo
+    ids.filter(id => id.object).forEach(obj => {
+        obj.object.traverse(child => {
+            if (child.isMesh && child.material.emissive) {
+                resaltados.push({ material: child.material, emissive: child.material.emissive.getHex() });
+                child.material.emissive.copy(rojo);
             }
-            
-            // Eliminar líneas de conexión correspondientes
-            if (connectionLines[index]) {
-                connectionLines.splice(index, 1);
+        });
+    });
+}
+
+/**
+ * Quita el resaltado del último análisis
+ */
+function limpiarResaltado() {
+    resaltados.forEach(({ material, emissive }) => material.emissive.setHex(emissive));
+    resaltados = [];
+    
+    if (celosiaInstanciada && celosiaInstanciada.meshes.some(mesh => mesh.instanceColor)) {
+        resaltarPajaritas([]);
+    }
+}
+
+/**
+ * Exporta las pajaritas de la escena como un único archivo STL
+ * @param {boolean} binario - true para STL binario, false para STL en texto
+ */
+function exportarSTL(binario = true) {
+    const mallas = recogerMallasPajaritas();
+    if (mallas.length === 0) {
+        console.error('No hay pajaritas que exportar');
+        return;
+    }
+    
+    const contenido = binario
+        ? ExportarSTL.binario(mallas, ESCALA_EXPORTACION)
+        : ExportarSTL.ascii(mallas, ESCALA_EXPORTACION, 'celosia');
+    
+    Utils.descargarArchivo(contenido, `celosia-${modoDisposicion}.stl`, binario ? 'model/stl' : 'text/plain');
+    console.log(`STL ${binario ? 'binario' : 'en texto'} exportado: ${mallas.length} mallas`);
+}
+
+/**
+ * Exporta el contorno plano de las pajaritas, con una capa por color
+ * @param {string} formato - 'svg' o 'dxf'
+ */
+function exportarContornos(formato = 'svg') {
+    const pesas = recogerMallasPajaritas().map(({ geometry, matrix, color }) => ({
+        color: color,
+        formas: [AnalisisTeselado.proyectarForma(geometry.parameters.shapes, matrix)]
+    }));
+    if (pesas.length === 0) {
+        console.error('No hay pajaritas que exportar');
+        return;
+    }
+    
+    const capas = ExportarContornos.crearCapas(pesas, { unir: unirContornos });
+    const contenido = formato === 'dxf'
+        ? ExportarContornos.dxf(capas, ESCALA_EXPORTACION)
+        : ExportarContornos.svg(capas, ESCALA_EXPORTACION);
+    
+    Utils.descargarArchivo(contenido, `celosia-${modoDisposicion}.${formato}`, formato === 'dxf' ? 'application/dxf' : 'image/svg+xml');
+    console.log(`Contorno ${formato.toUpperCase()} exportado: ${capas.length} capas, ${capas.reduce((total, capa) => total + capa.trazados.length, 0)} trazados`);
+}
+
+/**
+ * Exporta las pajaritas como glTF, conservando un nodo por pivot
+ * Si la rotación está activa, se añade como clip de animación
+ * @param {boolean} binario - true para GLB, false para glTF en JSON
+ */
+function exportarGLTF(binario = true) {
+    const pajaritas = [];
+    
+    // Velocidad de cada pivot: solo giran en el clip los que giran en la escena
+    const rotadores = new Map(objects.map(obj => [obj.object, obj]));
+    const velocidad = pivot => {
+        const rotacion = rotadores.get(pivot)?.rotateZ;
+        return rotacion && rotacion.active ? rotacion.speed : 0;
+    };
+    
+    objects.forEach(obj => {
+        if (obj.tipo === 'celosia-instanciada') return;
+        
+        // Matriz de cada malla respecto a su pivotGroup
+        obj.object.updateMatrixWorld(true);
+        const inversa = obj.object.matrixWorld.clone().invert();
+        const mallas = [];
+        obj.object.traverse(child => {
+            if (child.isMesh && child.geometry.parameters?.shapes) {
+                mallas.push({
+                    geometry: child.geometry,
+                    material: child.material,
+                    matrix: inversa.clone().multiply(child.matrixWorld)
+                });
             }
+        });
+        pajaritas.push({ nombre: `pivot_${obj.tipo}_${pajaritas.length}`, pivot: obj.object, mallas: mallas, velocidad: velocidad(obj.object) });
+    });
+    
+    if (celosiaInstanciada) {
+        celosiaInstanciada.instancias.forEach(instancia => {
+            pajaritas.push({
+                nombre: `pivot_celosia_${pajaritas.length}`,
+                pivot: instancia.pivot,
+                mallas: instancia.meshes.map(mesh => ({
+                    geometry: mesh.geometry,
+                    material: mesh.material,
+                    matrix: celosiaInstanciada.matrizLocal
+                })),
+                velocidad: velocidad(instancia.pivot)
+            });
+        });
+    }
+    
+    if (pajaritas.length === 0) {
+        console.error('No hay pajaritas que exportar');
+        return;
+    }
+    
+    const animar = pajaritas.some(pajarita => pajarita.velocidad);
+    
+    ExportarGLTF.exportar(pajaritas, { binario: binario, animar: animar }).then(resultado => {
+        const nombre = `celosia-${modoDisposicion}.${binario ? 'glb' : 'gltf'}`;
+        if (binario) {
+            Utils.descargarArchivo(resultado, nombre, 'model/gltf-binary');
+        } else {
+            Utils.descargarArchivo(JSON.stringify(resultado, null, 2), nombre, 'model/gltf+json');
+        }
+        console.log(`${binario ? 'GLB' : 'glTF'} exportado: ${pajaritas.length} pajaritas${animar ? ', con animación de rotación' : ''}`);
+    }).catch(error => {
+        console.error('Error al exportar glTF:', error);
+    });
+}
+
+/**
+ * Exporta la vista de la cámara como PNG con las opciones de la carpeta "Imagen"
+ * Los marcadores, los helpers de luces, el gizmo y el contorno de la selección no aparecen, y
+ * los parámetros del diseño se guardan en la imagen
+ */
+function exportarImagen() {
+    const { anchura, altura } = opcionesImagen;
+    const ocultar = [...RegistroPajaritas.marcadores(registro), ...lightHelpers, gizmo.asa, seleccion.contorno];
+    console.log(`Renderizando imagen de ${anchura}×${altura}...`);
+    
+    ExportarImagen.exportar(escena, {
+        ...opcionesImagen,
+        ocultar: ocultar,
+        parametros: ParametrosCelosia.aHash(obtenerParametros()),
+        software: 'celosia-mejorada'
+    }).then(blob => {
+        Utils.descargarArchivo(blob, `celosia-${modoDisposicion}-${anchura}x${altura}.png`, 'image/png');
+        console.log(`Imagen PNG exportada: ${anchura}×${altura}${opcionesImagen.transparente ? ', fondo transparente' : ''}`);
+    }).catch(error => {
+        console.error('Error al exportar la imagen:', error);
+    });
+}
+
+/**
+ * Segundos del reloj que tarda una vuelta completa de la rotación
+ * Con velocidades distintas se toma la más lenta, la única cuya vuelta cabe entera en el bucle
+ * @returns {number|null} - Periodo, o null si no gira ninguna pajarita
+ */
+function periodoRotacion() {
+    const velocidades = objects
+        .filter(obj => obj.rotateZ?.active && obj.rotateZ.speed)
+        .map(obj => Math.abs(obj.rotateZ.speed));
+    if (velocidades.length === 0) return null;
+    
+    // Las velocidades son radianes por segundo del reloj
+    return (2 * Math.PI) / Math.min(...velocidades);
+}
+
+/**
+ * Graba la animación con las opciones de la carpeta "Grabación" y descarga el resultado
+ * Los marcadores, los helpers de luces, el gizmo y el contorno de la selección no aparecen
+ * @param {Function} alProgresar - Recibe (fotograma, total) tras cada fotograma
+ * @returns {Promise<void>} - Se resuelve al terminar, haya ido bien o no
+ */
+function grabarAnimacion(alProgresar) {
+    const periodo = periodoRotacion();
+    if (periodo === null) {
+        console.warn('La rotación está detenida (tecla R): la grabación será una imagen fija');
+    }
+    
+    const { formato, anchura, altura } = opcionesGrabacion;
+    grabacion = GrabadorAnimacion.crear(escena, {
+        ...opcionesGrabacion,
+        periodo: periodo,
+        ocultar: [...RegistroPajaritas.marcadores(registro), ...lightHelpers, gizmo.asa, seleccion.contorno]
+    });
+    
+    return GrabadorAnimacion.grabar(grabacion, alProgresar).then(blob => {
+        const nombre = `celosia-${modoDisposicion}-${anchura}x${altura}${formato === 'png' ? '-png.zip' : '.webm'}`;
+        Utils.descargarArchivo(blob, nombre, blob.type);
+        console.log(`Animación grabada: ${nombre} (${(blob.size / 1048576).toFixed(1)} MB)`);
+    }).catch(error => {
+        console.error('Error al grabar la animación:', error);
+    }).finally(() => {
+        grabacion = null;
+    });
+}
+
+/**
+ * Aplica el diseño guardado en una imagen PNG exportada
+ * @param {string} texto - Parámetros tal como los escribe ParametrosCelosia.aHash
+ */
+function cargarDisenoImagen(texto) {
+    const { parametros, errores } = ParametrosCelosia.desdeHash(texto);
+    errores.forEach(error => console.warn(`Parámetro de la imagen ignorado: ${error}`));
+    
+    // Una imagen sin ajustes por pajarita no tiene ninguno
+    cargarDiseno({ ajustes: {}, ...parametros });
+    Historial.confirmar(historial, obtenerParametros(), 'Imagen');
+}
+
+/**
+ * Crea la niebla correspondiente al tipo y los valores actuales
+ * @returns {THREE.Fog|THREE.FogExp2|null} - Niebla para scene.fog
+ */
+function crearNiebla() {
+    switch (fogType) {
+        case 'linear':
+            return new THREE.Fog(fogColor, fogNear, fogFar);
+        case 'exponential':
+            return new THREE.FogExp2(fogColor, fogDensity);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Aplica a la escena el tipo y los valores actuales de la niebla
+ * Si el tipo no cambia se modifican los valores de la niebla existente en lugar de crear otra
+ */
+function actualizarNiebla() {
+    if (fogType === 'exponential' && currentFog && currentFog.isFogExp2) {
+        currentFog.density = fogDensity;
+    } else if (fogType === 'linear' && currentFog && currentFog.isFog) {
+        currentFog.far = fogFar;
+    } else {
+        currentFog = crearNiebla();
+        escena.scene.fog = currentFog;
+    }
+}
+
+/**
+ * Aplica el modo de iluminación y el entorno procedural con los parámetros actuales
+ */
+function aplicarEntorno() {
+    EntornoProcedural.aplicar(entorno, {
+        modo: modoIluminacion,
+        intensidad: intensidadEntorno,
+        rotacion: rotacionEntorno
+    });
+}
+
+/**
+ * Lleva el rig de luces actual a la escena
+ * Si las luces se vuelven a crear se rehacen sus helpers y se aplica de nuevo el modo de
+ * iluminación, que las apaga en el modo 'entorno'
+ */
+function aplicarLuces() {
+    if (LucesEscena.aplicar(lucesEscena, luces)) {
+        createLightHelpers();
+        if (entorno) aplicarEntorno();
+    }
+}
+
+/**
+ * Reúne los parámetros de diseño actuales
+ * @returns {Object} - Parámetros por nombre, según ParametrosCelosia.esquema
+ */
+function obtenerParametros() {
+    return {
+        numRepeticiones, distanciaRepeticiones, escalaUniforme, alturaZ, offsetAngular,
+        desplazamientoRadial, factorPajaritas, modoDisposicion, grupoSimetria, modoInstanciado,
+        fogType, fogDensity, fogFar, modoIluminacion, intensidadEntorno, rotacionEntorno, pivotX, pivotY, pivotZ,
+        paleta, colores, reglaColor, semillaColor, sectoresColor, materiales, ajustes, luces
+    };
+}
+
+/**
+ * Aplica parámetros de diseño ya validados (sin regenerar la escena)
+ * @param {Object} parametros - Parámetros por nombre; los que falten no se modifican
+ */
+function aplicarParametros(parametros) {
+    const p = parametros;
+    if ('numRepeticiones' in p) numRepeticiones = p.numRepeticiones;
+    if ('distanciaRepeticiones' in p) distanciaRepeticiones = p.distanciaRepeticiones;
+    if ('escalaUniforme' in p) escalaUniforme = p.escalaUniforme;
+    if ('alturaZ' in p) alturaZ = p.alturaZ;
+    if ('offsetAngular' in p) offsetAngular = p.offsetAngular;
+    if ('desplazamientoRadial' in p) desplazamientoRadial = p.desplazamientoRadial;
+    if ('factorPajaritas' in p) factorPajaritas = p.factorPajaritas;
+    if ('modoDisposicion' in p) modoDisposicion = p.modoDisposicion;
+    if ('grupoSimetria' in p) grupoSimetria = p.grupoSimetria;
+    if ('modoInstanciado' in p) modoInstanciado = p.modoInstanciado;
+    if ('fogType' in p) fogType = p.fogType;
+    if ('fogDensity' in p) fogDensity = p.fogDensity;
+    if ('fogFar' in p) fogFar = p.fogFar;
+    if ('modoIluminacion' in p) modoIluminacion = p.modoIluminacion;
+    if ('intensidadEntorno' in p) intensidadEntorno = p.intensidadEntorno;
+    if ('rotacionEntorno' in p) rotacionEntorno = p.rotacionEntorno;
+    if ('pivotX' in p) pivotX = p.pivotX;
+    if ('pivotY' in p) pivotY = p.pivotY;
+    if ('pivotZ' in p) pivotZ = p.pivotZ;
+    if ('paleta' in p) paleta = p.paleta;
+    if ('colores' in p) colores = p.colores;
+    if ('reglaColor' in p) reglaColor = p.reglaColor;
+    if ('semillaColor' in p) semillaColor = p.semillaColor;
+    if ('sectoresColor' in p) sectoresColor = p.sectoresColor;
+    if ('materiales' in p) materiales = p.materiales;
+    if ('ajustes' in p) ajustes = p.ajustes;
+    if ('luces' in p) luces = p.luces;
+}
+
+/**
+ * Lee los parámetros del hash de la URL y los aplica
+ * Los campos inválidos se ignoran y se informa de ellos en la consola
+ * @returns {boolean} - true si el hash contenía algún parámetro válido
+ */
+function restaurarParametrosURL() {
+    if (!window.location.hash) return false;
+    
+    const { parametros, errores } = ParametrosCelosia.desdeHash(window.location.hash);
+    errores.forEach(error => console.warn(`Parámetro de la URL ignorado: ${error}`));
+    
+    aplicarParametros(parametros);
+    console.log(`Parámetros restaurados desde la URL: ${Object.keys(parametros).join(', ')}`);
+    return Object.keys(parametros).length > 0;
+}
+
+/**
+ * Guarda los parámetros actuales en el hash de la URL
+ * Usa replaceState para no llenar el historial del navegador con cada tecla
+ */
+function actualizarURL() {
+    const hash = '#' + ParametrosCelosia.aHash(obtenerParametros());
+    if (hash !== window.location.hash) {
+        history.replaceState(null, '', hash);
+    }
+}
+
+/**
+ * Aplica un diseño cuando el hash cambia sin recargar la página (por ejemplo, al pegar un enlace)
+ */
+function onHashChange() {
+    const { parametros, errores } = ParametrosCelosia.desdeHash(window.location.hash);
+    errores.forEach(error => console.warn(`Parámetro de la URL ignorado: ${error}`));
+    
+    if (Object.keys(parametros).length > 0) {
+        // Un enlace sin ajustes por pajarita no tiene ninguno
+        cargarDiseno({ ajustes: {}, ...parametros });
+        Historial.confirmar(historial, obtenerParametros(), 'URL');
+    }
+}
+
+/**
+ * Aplica un diseño completo y regenera la escena
+ * @param {Object} parametros - Parámetros validados por ParametrosCelosia
+ */
+function cargarDiseno(parametros) {
+    const anteriores = obtenerParametros();
+    aplicarParametros(parametros);
+    actualizarNiebla();
+    
+    const actuales = obtenerParametros();
+    const cambiado = nombres => nombres.some(nombre => actuales[nombre] !== anteriores[nombre]);
+    
+    if (cambiado(PARAMETROS_ENTORNO)) {
+        aplicarEntorno();
+    }
+    
+    if (cambiado(['luces'])) {
+        aplicarLuces();
+        if (panelLuces) panelLuces.actualizar();
+    }
+    
+    // El pivot, los colores y los ajustes por pajarita afectan también al anillo interior
+    if (cambiado([...PARAMETROS_PIVOT, ...PARAMETROS_COLOR, 'ajustes'])) {
+        regenerarAnilloInterior();
+    }
+    
+    // El editor de paletas y el de materiales no escuchan sus parámetros: hay que rehacerlos
+    if (cambiado(PARAMETROS_COLOR) && panelColores) {
+        panelColores.actualizar();
+        panelMateriales.actualizar();
+    }
+    
+    // La niebla, el entorno y las luces no necesitan regenerar la celosía
+    const deLaEscena = [...PARAMETROS_NIEBLA, ...PARAMETROS_ENTORNO, 'luces'];
+    if (cambiado(Object.keys(actuales).filter(nombre => !deLaEscena.includes(nombre)))) {
+        regenerarCelosia();
+    }
+    
+    actualizarURL();
+}
+
+/**
+ * Cambia los ajustes de una pajarita desde el panel de selección
+ * El color y el desfase de una pajarita individual se aplican sobre la marcha; ocultarla, quitarle
+ * el color propio (el de la paleta depende de su posición) o ajustar una pajarita de la celosía
+ * instanciada regenera la parte a la que pertenece
+ * @param {Object} obj - Registro de objects de la pajarita
+ * @param {Object} cambios - { oculta, color, desfase } como en AjustesPajaritas.cambiar
+ */
+function cambiarAjuste(obj, cambios) {
+    const anterior = ajustes[obj.clave] || {};
+    ajustes = AjustesPajaritas.cambiar(ajustes, obj.clave, cambios);
+    const ajuste = ajustes[obj.clave] || {};
+    
+    const entrada = registro.entradas.find(({ rotador }) => rotador === obj);
+    const colorQuitado = anterior.color !== undefined && ajuste.color === undefined;
+    if (!entrada || ajuste.oculta || colorQuitado) {
+        if (obj.tipo === 'interior') {
+            regenerarAnilloInterior();
+        } else {
+            regenerarCelosia();
+        }
+    } else {
+        if (ajuste.color !== undefined) {
+            entrada.pajarita.contornos.forEach(({ mesh }) => mesh.material.color.setHex(ajuste.color));
+        }
+        
+        // La rotación inicial es la de la disposición más el desfase
+        const rotacion = obj.initialRotationZ - (anterior.desfase || 0) + (ajuste.desfase || 0);
+        obj.initialRotationZ = rotacion;
+        if (!obj.rotateZ.active) {
+            obj.object.rotation.z = rotacion;
+        }
+        const original = originalRotations.find(rot => rot.object === obj.object);
+        if (original) {
+            original.rotationZ = rotacion;
+        }
+    }
+    
+    console.log(`Ajustes de ${obj.clave}: ${JSON.stringify(ajuste)}`);
+    Historial.confirmar(historial, obtenerParametros());
+    actualizarURL();
+}
+
+/**
+ * Vuelve a crear el anillo interior (por ejemplo, tras cambiar el pivot)
+ */
+function regenerarAnilloInterior() {
+    ControlCarga.nuevaGeneracion(carga, 'interior');
+    quitarObjetos(RegistroPajaritas.eliminar(registro, obj => obj.tipo === 'interior'));
+    
+    crearAnilloInterior();
+}
+
+/**
+ * Configura el panel de dat.GUI
+ */
+function setupGUI() {
+    gui = new GUI({ width: 300 });
+    
+    // Los parámetros se leen y escriben en las variables de la página; los cambios de la
+    // celosía y del pivot se aplican al dejar de mover el control
+    PanelCelosia.crear(gui, {
+        obtenerParametros: () => ({ ...obtenerParametros(), markersVisible }),
+        aplicarParametros: parametros => {
+            if ('markersVisible' in parametros) markersVisible = parametros.markersVisible;
+            aplicarParametros(parametros);
+        },
+        carpetas: [
+            {
+                titulo: 'Celosía',
+                parametros: ['numRepeticiones', 'distanciaRepeticiones', 'escalaUniforme', 'alturaZ', 'offsetAngular',
+                    'desplazamientoRadial', 'factorPajaritas', 'modoDisposicion', 'grupoSimetria', 'modoInstanciado'],
+                alCambiar: () => {
+                    regenerarCelosia();
+                    Historial.confirmar(historial, obtenerParametros());
+                    actualizarURL();
+                },
+                retardo: 300
+            },
+            {
+                titulo: 'Pivot',
+                parametros: PARAMETROS_PIVOT,
+                alCambiar: () => {
+                    regenerarAnilloInterior();
+                    regenerarCelosia();
+                    Historial.confirmar(historial, obtenerParametros());
+                    actualizarURL();
+                },
+                retardo: 300
+            },
+            {
+                titulo: 'Niebla',
+                parametros: PARAMETROS_NIEBLA,
+                alCambiar: () => {
+                    actualizarNiebla();
+                    Historial.confirmar(historial, obtenerParametros());
+                    actualizarURL();
+                }
+            },
+            {
+                titulo: 'Entorno',
+                parametros: PARAMETROS_ENTORNO,
+                alCambiar: () => {
+                    aplicarEntorno();
+                    Historial.confirmar(historial, obtenerParametros());
+                    actualizarURL();
+                },
+                retardo: 300
+            },
+            {
+                titulo: 'Marcadores',
+                parametros: ['markersVisible'],
+                alCambiar: aplicarVisibilidadMarcadores
+            }
+        ]
+    });
+    
+    // Paleta, regla y colores: el anillo interior también se colorea con ellos
+    panelColores = PaletasColor.crearPanel(gui, {
+        obtener: obtenerParametros,
+        cambiar: cambios => {
+            aplicarParametros(cambios);
+            regenerarAnilloInterior();
+            regenerarCelosia();
+            Historial.confirmar(historial, obtenerParametros());
+            actualizarURL();
             
-            // Eliminar el objeto de la lista
-            objects.splice(index, 1);
+            // Los grupos de material siguen a los colores de la paleta
+            panelMateriales.actualizar();
         }
     });
     
-    // Recrear la celosía con los nuevos parámetros
-    crearCelosiaRadial();
+    // Un material por color de la paleta
+    panelMateriales = MaterialesPajaritas.crearPanel(gui, {
+        obtener: obtenerParametros,
+        cambiar: materialesNuevos => {
+            materiales = materialesNuevos;
+            regenerarAnilloInterior();
+            regenerarCelosia();
+            Historial.confirmar(historial, obtenerParametros());
+            actualizarURL();
+        }
+    });
     
-    console.log(`Celosía regenerada: ${numRepeticiones} repeticiones, distancia ${distanciaRepeticiones.toFixed(2)}, escala ${escalaUniforme.toFixed(2)}, offset angular ${offsetAngular.toFixed(3)}, desplazamiento radial ${desplazamientoRadial.toFixed(2)}, factor pajaritas ${factorPajaritas.toFixed(1)}`);
+    // Luces: los controles deslizantes se aplican mientras se arrastran y se confirman al soltarlos
+    panelLuces = LucesEscena.crearPanel(gui, {
+        obtener: () => luces,
+        cambiar: (rig, confirmar) => {
+            luces = rig;
+            aplicarLuces();
+            if (confirmar) {
+                Historial.confirmar(historial, obtenerParametros());
+                actualizarURL();
+            }
+        },
+        gizmo: gizmo
+    });
+    
+    // Los ajustes por pajarita se editan desde el panel de selección; aquí se pueden quitar todos
+    const carpetaAjustes = gui.addFolder('Ajustes por pajarita');
+    carpetaAjustes.add({
+        quitarTodos: () => {
+            cargarDiseno({ ajustes: {} });
+            Historial.confirmar(historial, obtenerParametros());
+        }
+    }, 'quitarTodos').name('Quitar todos');
+    
+    PresetsCelosia.crearPanel(gui, {
+        obtenerParametros: obtenerParametros,
+        cargarParametros: parametros => {
+            // Los presets guardados sin ajustes por pajarita no tienen ninguno
+            cargarDiseno({ ajustes: {}, ...parametros });
+            Historial.confirmar(historial, obtenerParametros(), 'Preset');
+        },
+        descargar: Utils.descargarArchivo
+    });
+    
+    // Imagen PNG a alta resolución y diseño guardado en ella
+    ExportarImagen.crearPanel(gui, {
+        opciones: opcionesImagen,
+        exportar: exportarImagen,
+        cargar: cargarDisenoImagen
+    });
+    
+    // Reloj de la animación: pausa, escala de tiempo e instante
+    RelojAnimacion.crearPanel(gui, escena.reloj);
+    
+    // Grabación de la animación en vídeo o secuencia de PNG
+    GrabadorAnimacion.crearPanel(gui, {
+        opciones: opcionesGrabacion,
+        grabar: grabarAnimacion,
+        cancelar: () => {
+            if (grabacion) GrabadorAnimacion.cancelar(grabacion);
+        }
+    });
+}
+
+/**
+ * Aplica markersVisible a los marcadores, las líneas de conexión y los helpers de luces
+ */
+function aplicarVisibilidadMarcadores() {
+    // Aplicar visibilidad a los marcadores de centro y de pivot y a las líneas de conexión
+    RegistroPajaritas.marcadores(registro).forEach(marker => {
+        marker.visible = markersVisible;
+    });
+    
+    // Aplicar visibilidad a los helpers de luces
+    lightHelpers.forEach(helper => {
+        helper.visible = markersVisible;
+    });
+    
+    console.log("Marcadores " + (markersVisible ? "visibles" : "ocultos"));
 }
 
 /**
@@ -264,57 +1268,62 @@ function regenerarCelosia() {
  * @param {KeyboardEvent} event - El evento de pulsación de tecla
  */
 function handleKeyDown(event) {
+    // No interpretar como atajos las teclas escritas en los campos de la GUI
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+    
     console.log(`Tecla presionada: ${event.key}, Código: ${event.code}`); // Para depuración
     
+    // Deshacer (Ctrl+Z) y rehacer (Ctrl+Shift+Z) los cambios de parámetros
+    if ((event.ctrlKey || event.metaKey) && (event.key === 'z' || event.key === 'Z')) {
+        event.preventDefault();
+        if (event.shiftKey) {
+            Historial.rehacer(historial);
+        } else {
+            Historial.deshacer(historial);
+        }
+        return;
+    }
+    
+    // Las demás combinaciones con Ctrl, Cmd o Alt son atajos del navegador (imprimir, buscar...),
+    // no de la página; Shift sí se usa (Shift+E, Shift+X, Shift+B)
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    
     // Tecla 'r' o 'R' para activar/detener la rotación y restablecer posiciones
     if (event.key === 'r' || event.key === 'R') {
-        // Alternar rotación para todos los objetos
+        // Alternar la rotación y llevar todos los objetos al nuevo estado
+        rotacionActiva = !rotacionActiva;
         objects.forEach(obj => {
-            // Alternar el estado de rotación
-            if (obj.rotateZ && obj.rotateZ.active) {
-                // Si está activo, detenerlo
-                obj.rotateZ.active = false;
-                
-                // Restaurar la rotación inicial
+            if (!obj.rotateZ) return;
+            obj.rotateZ.active = rotacionActiva;
+            
+            // Al detenerla, restaurar la rotación inicial
+            if (!rotacionActiva) {
                 const originalRotation = originalRotations.find(rot => rot.object === obj.object);
                 if (originalRotation) {
                     obj.object.rotation.z = originalRotation.rotationZ;
                 }
-            } else if (obj.rotateZ) {
-                // Si está detenido, activarlo
-                obj.rotateZ.active = true;
             }
         });
         
-        console.log("Rotación " + (objects[0]?.rotateZ?.active ? "activada" : "desactivada") + " y posiciones restablecidas");
+        // Al activarla, la rotación empieza en las posiciones iniciales
+        if (rotacionActiva) {
+            RelojAnimacion.fijar(escena.reloj, 0);
+        }
+        
+        console.log("Rotación " + (rotacionActiva ? "activada" : "desactivada") + " y posiciones restablecidas");
+    }
+    
+    // Barra espaciadora para pausar/reanudar la animación
+    if (event.code === 'Space') {
+        event.preventDefault();
+        RelojAnimacion.pausar(escena.reloj);
     }
     
     // Tecla 'a' o 'A' para ocultar/mostrar las marcas
     if (event.key === 'a' || event.key === 'A') {
         // Cambiar el estado de visibilidad
         markersVisible = !markersVisible;
-        
-        // Aplicar visibilidad a los marcadores de centro
-        centerMarkers.forEach(marker => {
-            marker.visible = markersVisible;
-        });
-        
-        // Aplicar visibilidad a los marcadores de pivot
-        pivotMarkers.forEach(marker => {
-            marker.visible = markersVisible;
-        });
-        
-        // Aplicar visibilidad a las líneas de conexión
-        connectionLines.forEach(line => {
-            line.visible = markersVisible;
-        });
-        
-        // Aplicar visibilidad a los helpers de luces
-        lightHelpers.forEach(helper => {
-            helper.visible = markersVisible;
-        });
-        
-        console.log("Marcadores " + (markersVisible ? "visibles" : "ocultos"));
+        aplicarVisibilidadMarcadores();
     }
     
     // Control del número de repeticiones en la celosía
@@ -322,39 +1331,39 @@ function handleKeyDown(event) {
     
     // Modificar el número de repeticiones
     if (event.key === '1' || event.code === 'Digit1' || event.code === 'Numpad1') {
-        // Disminuir número (mínimo 1)
-        numRepeticiones = Math.max(1, numRepeticiones - 1);
+        // Disminuir número (los límites son los de ParametrosCelosia, para que la URL siga siendo válida)
+        numRepeticiones = ParametrosCelosia.limitar('numRepeticiones', numRepeticiones - 1);
         console.log(`Número de repeticiones: ${numRepeticiones}`);
         regenerarCelosia();
     } else if (event.key === '2' || event.code === 'Digit2' || event.code === 'Numpad2') {
         // Aumentar número
-        numRepeticiones += 1;
+        numRepeticiones = ParametrosCelosia.limitar('numRepeticiones', numRepeticiones + 1);
         console.log(`Número de repeticiones: ${numRepeticiones}`);
         regenerarCelosia();
     }
     
     // Modificar la distancia entre repeticiones
     if (event.key === '3' || event.code === 'Digit3' || event.code === 'Numpad3') {
-        // Disminuir distancia (mínimo 0.2)
-        distanciaRepeticiones = Math.max(0.2, distanciaRepeticiones - incremento);
+        // Disminuir distancia
+        distanciaRepeticiones = ParametrosCelosia.limitar('distanciaRepeticiones', distanciaRepeticiones - incremento);
         console.log(`Distancia entre repeticiones: ${distanciaRepeticiones.toFixed(2)}`);
         regenerarCelosia();
     } else if (event.key === '4' || event.code === 'Digit4' || event.code === 'Numpad4') {
         // Aumentar distancia
-        distanciaRepeticiones += incremento;
+        distanciaRepeticiones = ParametrosCelosia.limitar('distanciaRepeticiones', distanciaRepeticiones + incremento);
         console.log(`Distancia entre repeticiones: ${distanciaRepeticiones.toFixed(2)}`);
         regenerarCelosia();
     }
     
     // Modificar el factor de escala
     if (event.key === '5' || event.code === 'Digit5' || event.code === 'Numpad5') {
-        // Disminuir escala (mínimo 0.1)
-        escalaUniforme = Math.max(0.1, escalaUniforme - incremento);
+        // Disminuir escala
+        escalaUniforme = ParametrosCelosia.limitar('escalaUniforme', escalaUniforme - incremento);
         console.log(`Escala uniforme: ${escalaUniforme.toFixed(2)}`);
         regenerarCelosia();
     } else if (event.key === '6' || event.code === 'Digit6' || event.code === 'Numpad6') {
-        // Aumentar escala (máximo 3.0)
-        escalaUniforme = Math.min(3.0, escalaUniforme + incremento);
+        // Aumentar escala
+        escalaUniforme = ParametrosCelosia.limitar('escalaUniforme', escalaUniforme + incremento);
         console.log(`Escala uniforme: ${escalaUniforme.toFixed(2)}`);
         regenerarCelosia();
     }
@@ -362,12 +1371,12 @@ function handleKeyDown(event) {
     // Modificar la altura Z
     if (event.key === '7' || event.code === 'Digit7' || event.code === 'Numpad7') {
         // Disminuir altura Z
-        alturaZ = Math.max(0, alturaZ - incremento);
+        alturaZ = ParametrosCelosia.limitar('alturaZ', alturaZ - incremento);
         console.log(`Altura Z: ${alturaZ.toFixed(2)}`);
         regenerarCelosia();
     } else if (event.key === '8' || event.code === 'Digit8' || event.code === 'Numpad8') {
         // Aumentar altura Z
-        alturaZ += incremento;
+        alturaZ = ParametrosCelosia.limitar('alturaZ', alturaZ + incremento);
         console.log(`Altura Z: ${alturaZ.toFixed(2)}`);
         regenerarCelosia();
     }
@@ -375,12 +1384,12 @@ function handleKeyDown(event) {
     // Modificar el offset angular
     if (event.key === '9' || event.code === 'Digit9' || event.code === 'Numpad9') {
         // Disminuir offset angular
-        offsetAngular -= incremento * 0.1; // Más pequeño para un control fino
+        offsetAngular = ParametrosCelosia.limitar('offsetAngular', offsetAngular - incremento * 0.1); // Más pequeño para un control fino
         console.log(`Offset angular: ${offsetAngular.toFixed(3)}`);
         regenerarCelosia();
     } else if (event.key === '0' || event.code === 'Digit0' || event.code === 'Numpad0') {
         // Aumentar offset angular
-        offsetAngular += incremento * 0.1;
+        offsetAngular = ParametrosCelosia.limitar('offsetAngular', offsetAngular + incremento * 0.1);
         console.log(`Offset angular: ${offsetAngular.toFixed(3)}`);
         regenerarCelosia();
     }
@@ -388,47 +1397,110 @@ function handleKeyDown(event) {
     // Modificar el desplazamiento radial
     if (event.key === '-' || event.code === 'Minus' || event.code === 'NumpadSubtract') {
         // Disminuir desplazamiento radial
-        desplazamientoRadial -= incremento;
+        desplazamientoRadial = ParametrosCelosia.limitar('desplazamientoRadial', desplazamientoRadial - incremento);
         console.log(`Desplazamiento radial: ${desplazamientoRadial.toFixed(2)}`);
         regenerarCelosia();
     } else if (event.key === '=' || event.key === '+' || event.code === 'Equal' || event.code === 'NumpadAdd') {
         // Aumentar desplazamiento radial
-        desplazamientoRadial += incremento;
+        desplazamientoRadial = ParametrosCelosia.limitar('desplazamientoRadial', desplazamientoRadial + incremento);
         console.log(`Desplazamiento radial: ${desplazamientoRadial.toFixed(2)}`);
         regenerarCelosia();
     }
     
     // Modificar el factor de densidad de pajaritas (NUEVO)
     if (event.key === 'f' || event.key === 'F') {
-        // Disminuir factor de pajaritas (mínimo 1.0)
-        factorPajaritas = Math.max(1.0, factorPajaritas - 0.1);
+        // Disminuir factor de pajaritas
+        factorPajaritas = ParametrosCelosia.limitar('factorPajaritas', factorPajaritas - 0.1);
         console.log(`Factor de pajaritas: ${factorPajaritas.toFixed(1)}`);
         regenerarCelosia();
     } else if (event.key === 'g' || event.key === 'G') {
         // Aumentar factor de pajaritas
-        factorPajaritas += 0.1;
+        factorPajaritas = ParametrosCelosia.limitar('factorPajaritas', factorPajaritas + 0.1);
         console.log(`Factor de pajaritas: ${factorPajaritas.toFixed(1)}`);
         regenerarCelosia();
     }
 
+    // Alternar el renderizado instanciado de la celosía
+    if (event.key === 'i' || event.key === 'I') {
+        modoInstanciado = !modoInstanciado;
+        console.log(`Renderizado instanciado: ${modoInstanciado ? 'activado' : 'desactivado'}`);
+        regenerarCelosia();
+    }
+
+    // Alternar la disposición de la celosía
+    if (event.key === 't' || event.key === 'T') {
+        modoDisposicion = MODOS_DISPOSICION[(MODOS_DISPOSICION.indexOf(modoDisposicion) + 1) % MODOS_DISPOSICION.length];
+        console.log(`Disposición de la celosía: ${modoDisposicion}`);
+        regenerarCelosia();
+    }
+    
+    // Cambiar el grupo de simetría
+    if (event.key === 'y' || event.key === 'Y') {
+        const grupos = GruposSimetria.grupos;
+        grupoSimetria = grupos[(grupos.indexOf(grupoSimetria) + 1) % grupos.length];
+        console.log(`Grupo de simetría: ${grupoSimetria}`);
+        if (modoDisposicion === 'grupo') {
+            regenerarCelosia();
+        }
+    }
+
+    // Analizar huecos y solapes
+    if (event.key === 'v' || event.key === 'V') {
+        analisisActivo = !analisisActivo;
+        if (analisisActivo) {
+            // Si la celosía se está generando, esperar a que estén todas las pajaritas
+            ControlCarga.cuandoTermine(carga, analizarTeselado);
+        } else {
+            limpiarResaltado();
+            const panel = document.getElementById('analisis');
+            if (panel) {
+                panel.style.display = 'none';
+            }
+        }
+    }
+
+    // Exportar a STL (con Shift, en texto)
+    if (event.key === 'e' || event.key === 'E') {
+        exportarSTL(!event.shiftKey);
+    }
+
+    // Exportar el contorno plano (con Shift, en DXF)
+    if (event.key === 'x' || event.key === 'X') {
+        exportarContornos(event.shiftKey ? 'dxf' : 'svg');
+    }
+    
+    // Alternar la unión de pajaritas del mismo color en el contorno exportado
+    if (event.key === 'u' || event.key === 'U') {
+        unirContornos = !unirContornos;
+        console.log(`Unión de contornos del mismo color: ${unirContornos ? 'activada' : 'desactivada'}`);
+    }
+
+    // Exportar a glTF (GLB; con Shift, glTF en JSON)
+    if (event.key === 'b' || event.key === 'B') {
+        exportarGLTF(!event.shiftKey);
+    }
+    
+    // Exportar la vista como imagen PNG
+    if (event.key === 'p' || event.key === 'P') {
+        exportarImagen();
+    }
+
     // Controles de niebla
     if (event.key === 'n' || event.key === 'N') {
         // Cambiar tipo de niebla
         switch (fogType) {
             case 'none':
                 fogType = 'linear';
-                currentFog = new THREE.Fog(fogColor, fogNear, fogFar);
                 break;
             case 'linear':
                 fogType = 'exponential';
-                currentFog = new THREE.FogExp2(fogColor, fogDensity);
                 break;
             case 'exponential':
                 fogType = 'none';
-                currentFog = null;
                 break;
         }
-        scene.fog = currentFog;
+        currentFog = crearNiebla();
+        escena.scene.fog = currentFog;
         console.log(`Tipo de niebla: ${fogType}`);
     }
     
@@ -436,7 +1508,7 @@ function handleKeyDown(event) {
     if (event.key === 'm' || event.key === 'M') {
         // Aumentar densidad/distancia de niebla
         if (fogType === 'exponential') {
-            fogDensity = Math.min(0.2, fogDensity + 0.005);
+            fogDensity = ParametrosCelosia.limitar('fogDensity', fogDensity + 0.005);
             currentFog.density = fogDensity;
             console.log(`Densidad de niebla exponencial: ${fogDensity.toFixed(3)}`);
         } else if (fogType === 'linear') {
@@ -447,16 +1519,29 @@ function handleKeyDown(event) {
     } else if (event.key === 'l' || event.key === 'L') {
         // Disminuir densidad/distancia de niebla
         if (fogType === 'exponential') {
-            fogDensity = Math.max(0.001, fogDensity - 0.005);
+            fogDensity = ParametrosCelosia.limitar('fogDensity', fogDensity - 0.005);
             currentFog.density = fogDensity;
             console.log(`Densidad de niebla exponencial: ${fogDensity.toFixed(3)}`);
         } else if (fogType === 'linear') {
-            fogFar += 1;
+            fogFar = ParametrosCelosia.limitar('fogFar', fogFar + 1);
             currentFog.far = fogFar;
             console.log(`Distancia de niebla lineal: ${fogFar.toFixed(1)}`);
         }
     }
 
+    // Alternar la iluminación: luces, entorno procedural o ambos
+    if (event.key === 'o' || event.key === 'O') {
+        const modos = EntornoProcedural.modos;
+        modoIluminacion = modos[(modos.indexOf(modoIluminacion) + 1) % modos.length];
+        console.log(`Iluminación: ${modoIluminacion}`);
+        aplicarEntorno();
+    }
+
+    // Mostrar/ocultar el panel de depuración
+    if (event.key === 'd' || event.key === 'D') {
+        EscenaBase.alternarDepuracion(escena);
+    }
+    
     // Mostrar/ocultar panel de control
     if (event.key === 'h' || event.key === 'H') {
         const infoPanel = document.getElementById('info');
@@ -464,65 +1549,10 @@ function handleKeyDown(event) {
             infoPanel.style.display = infoPanel.style.display === 'none' ? 'block' : 'none';
         }
     }
-}
-
-/**
- * Función de animación (bucle de renderizado)
- */
-function animate() {
-    requestAnimationFrame(animate);
-    
-    // Actualizar controles
-    controls.update();
     
-    // Animar objetos con rotación automática
-    Utils.animate(objects, (obj) => {
-        // Si es un objeto con configuración específica de rotación por eje
-        if (obj.object && (obj.hasOwnProperty('rotateX') || obj.hasOwnProperty('rotateY') || obj.hasOwnProperty('rotateZ'))) {
-            // Rotación en eje X
-            if (typeof obj.rotateX === 'object' && obj.rotateX !== null) {
-                if (obj.rotateX.active) {
-                    obj.object.rotation.x += obj.rotateX.speed;
-                }
-            }
-            
-            // Rotación en eje Y
-            if (typeof obj.rotateY === 'object' && obj.rotateY !== null) {
-                if (obj.rotateY.active) {
-                    obj.object.rotation.y += obj.rotateY.speed;
-                }
-            }
-            
-            // Rotación en eje Z
-            if (typeof obj.rotateZ === 'object' && obj.rotateZ !== null) {
-                if (obj.rotateZ.active) {
-                    // Aplicar la rotación correctamente alrededor del pivot
-                    obj.object.rotation.z += obj.rotateZ.speed;
-                }
-            }
-        }
-    });
-    
-    // Actualizar los helpers de luces si están visibles
-    if (markersVisible) {
-        lightHelpers.forEach(helper => {
-            if (helper.update) {
-                helper.update();
-            }
-        });
-    }
-    
-    // Renderizar la escena
-    renderer.render(scene, camera);
-}
-
-/**
- * Manejar el redimensionamiento de la ventana
- */
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    // Guardar en el historial y en la URL los parámetros que haya cambiado la tecla
+    Historial.confirmar(historial, obtenerParametros());
+    actualizarURL();
 }
 
 /**
@@ -534,307 +1564,97 @@ function onWindowResize() {
  * @param {number} posY - Posición Y en la escena
  * @param {number} posZ - Posición Z en la escena
  * @param {number} escala - Factor de escala para la pajarita
- * @param {string} tipo - Tipo de pajarita ('interior' o 'celosia')
+ * @param {string} tipo - Tipo de pajarita ('interior', 'celosia', 'hexagonal' o 'grupo')
  * @param {number} indice - Índice de la pajarita para cálculos de color
+ * @param {boolean} espejo - Reflejar la pajarita respecto a su eje X local (grupos con espejos)
+ * @param {number} anillo - Anillo (o anillo de celdas) en el que está la pajarita, para inspeccionarla
+ * y para buscar sus ajustes
+ * @param {Array<number>|null} celda - Celda [i, j] de la red, si la disposición tiene red (regla de color 'damero')
  */
-function loadSVG(url, rotationZ = 0, numPajaritas = 6, posX = 0, posY = 0, posZ = 0, escala = 1.0, tipo = 'interior', indice = 0) {
-    const svgLoader = new SVGLoader();
-    
+function loadSVG(url, rotationZ = 0, numPajaritas = 6, posX = 0, posY = 0, posZ = 0, escala = 1.0, tipo = 'interior', indice = 0, espejo = false, anillo = 0, celda = null) {
     console.log(`Cargando SVG para ${tipo} #${indice} en posición (${posX.toFixed(2)}, ${posY.toFixed(2)}, ${posZ.toFixed(2)}), rotación: ${rotationZ.toFixed(2)}, escala: ${escala.toFixed(2)}`);
     
-    svgLoader.load(url, function(data) {
-        const svgGroup = new THREE.Group();
-        const paths = data.paths;
-        
-        // Calcular las dimensiones del SVG para escalarlo correctamente
-        let maxX = -Infinity;
-        let minX = Infinity;
-        let maxY = -Infinity;
-        let minY = Infinity;
-        
-        paths.forEach(path => {
-            const points = path.subPaths[0]?.getPoints() || [];
-            points.forEach(point => {
-                maxX = Math.max(maxX, point.x);
-                minX = Math.min(minX, point.x);
-                maxY = Math.max(maxY, point.y);
-                minY = Math.min(minY, point.y);
-            });
-        });
-        
-        const width = maxX - minX;
-        const height = maxY - minY;
-        const centerX = (maxX + minX) / 2;
-        const centerY = (maxY + minY) / 2;
-        
-        // Escalar para que el objeto tenga un tamaño razonable en la escena
-        // Multiplicamos por el factor de escala proporcionado
-        const scale = (1 / Math.max(width, height)) * escala;
-        
-        paths.forEach((path) => {
-            const shapes = SVGLoader.createShapes(path);
-            
-            shapes.forEach((shape) => {
-                // Crear la geometría extruida (con profundidad y bisel para mayor realismo)
-                const geometry = new THREE.ExtrudeGeometry(shape, {
-                  depth: 60 * escala, // Profundidad proporcional a la escala
-                  bevelEnabled: true,
-                  steps: 4,
-                  bevelThickness: 10 * escala,
-                  bevelSize: 4 * escala,
-                  bevelOffset: 1 * escala,
-                  bevelSegments: 3,
-                });
-                
-                // Determinar el color según el tipo y el índice
-                let materialColor;
-                
-                if (tipo === 'interior') {
-                    // Para el anillo interior: alternamos verde y dorado
-                    materialColor = indice % 2 === 0 ? 0x7D8A2E : 0xAA8A50;
-                } else {
-                    // Para la celosía: patrón alternado pero con un offset para cada dirección
-                    const colorIndex = Math.floor(indice / numPajaritas) + (indice % numPajaritas);
-                    materialColor = colorIndex % 2 === 0 ? 0x8A9D35 : 0xC09A60; // Colores ligeramente diferentes
-                }
-                
-                const material = new THREE.MeshStandardMaterial({
-                  color: materialColor,
-                  metalness: 0.5,
-                  roughness: 0.4,
-                  flatShading: false,
-                  envMapIntensity: 1.2,
-                  shadowSide: THREE.FrontSide,
-                  dithering: true
-                });
-                
-                // Crear la malla
-                const mesh = new THREE.Mesh(geometry, material);
-                
-                // Centrar y escalar el objeto
-                mesh.position.x = -centerX * scale;
-                mesh.position.y = -centerY * scale;
-                mesh.scale.set(scale, -scale, scale);  // Invertir Y porque SVG usa Y hacia abajo
-                
-                // Configurar sombras
-                mesh.castShadow = true;
-                mesh.receiveShadow = true;
-                
-                // Añadir a nuestro grupo
-                svgGroup.add(mesh);
-            });
-        });
-        
-        // Calculamos el centro geométrico del grupo
-        const bbox = new THREE.Box3().setFromObject(svgGroup);
-        const center = bbox.getCenter(new THREE.Vector3());
-        
-        // Centrar la geometría
-        svgGroup.children.forEach(mesh => {
-            mesh.position.x -= center.x;
-            mesh.position.y -= center.y;
-            mesh.position.z -= center.z;
-        });
-        
-        // Crear un marcador para el centro
-        const centerMarker = createCenterMarker();
-        centerMarker.visible = markersVisible;
-        svgGroup.add(centerMarker);
-        centerMarkers.push(centerMarker);
-        
-        // Creamos un grupo adicional que servirá como punto de pivote
-        const pivotGroup = new THREE.Group();
-        scene.add(pivotGroup);
-        
-        // Movemos la geometría para que el punto de pivot quede en el origen
-        svgGroup.position.set(pivotX, pivotY, pivotZ);
-        
-        // Añadimos el grupo SVG al grupo pivot
-        pivotGroup.add(svgGroup);
-        
-        // Posicionamos el grupo pivot en la posición indicada
-        pivotGroup.position.set(posX, posY, posZ);
-        
-        // Crear una línea que conecte el centro con el pivot
-        const connectionLine = createConnectionLine();
-        connectionLine.visible = markersVisible;
-        svgGroup.add(connectionLine);
-        connectionLines.push(connectionLine);
-        
-        // Aplicar la rotación
-        pivotGroup.rotation.z = rotationZ;
-        
-        // Crear un marcador para el pivot
-        const pivotMarker = createPivotMarker();
-        pivotMarker.position.set(0, 0, 0);
-        pivotMarker.visible = markersVisible;
-        pivotGroup.add(pivotMarker);
-        pivotMarkers.push(pivotMarker);
+    // Aplicar los ajustes de la pajarita; las ocultas no se cargan
+    const clave = AjustesPajaritas.clave(tipo, anillo, indice);
+    const datos = { tipo, indice, numPajaritasAnillo: numPajaritas, anillo, x: posX, y: posY, celda };
+    const ajustada = AjustesPajaritas.resolver(ajustes, clave, colorPajarita(datos), rotationZ);
+    if (!ajustada) return;
+    const material = materialPajarita(datos);
+    
+    // Anotar la generación vigente de la parte a la que pertenece la pajarita
+    const parte = tipo === 'interior' ? 'interior' : 'celosia';
+    const generacion = ControlCarga.generacion(carga, parte);
+    
+    ControlCarga.seguir(carga, CargadorPajaritas.cargar(url, {
+        escala: escala,
+        color: ajustada.color,
+        crearMaterial: color => MaterialesPajaritas.crear(material, color),
+        pivot: { x: pivotX, y: pivotY, z: pivotZ },
+        posicion: { x: posX, y: posY, z: posZ },
+        rotacion: ajustada.rotacion,
+        espejo: espejo,
+        marcadoresVisibles: markersVisible
+    }).then(pajarita => {
+        // Si se ha regenerado mientras se cargaba, la pajarita ya no pertenece a la escena
+        if (!ControlCarga.esVigente(carga, parte, generacion)) {
+            CargadorPajaritas.liberar(pajarita);
+            return;
+        }
         
-        // Crear objeto para animación
-        const svgRotator = {
-          object: pivotGroup,
-          rotateX: { active: false, speed: 0 },
-          rotateY: { active: false, speed: 0 },
-          rotateZ: { active: false, speed: 0.01 },
-          initialRotationZ: rotationZ,
-          tipo: tipo,  // Guardar el tipo para filtrar después
-          indice: indice // Guardar el índice para identificación
-        };
+        const { pivotGroup } = pajarita;
+        escena.scene.add(pivotGroup);
         
         // Guardar la rotación inicial
         originalRotations.push({
             object: pivotGroup,
-            rotationZ: rotationZ
+            rotationZ: ajustada.rotacion
         });
         
-        // Añadir a la lista de objetos
-        objects.push(svgRotator);
-    });
-}
-
-/**
- * Crea un marcador en forma de cruceta para visualizar el pivot
- * @returns {THREE.Object3D} - Objeto 3D que representa el marcador
- */
-function createPivotMarker() {
-    // Crear un grupo para contener las líneas de la cruceta
-    const markerGroup = new THREE.Group();
-    
-    // Tamaño de la cruceta
-    const size = 0.05;
-    
-    // Material para las líneas de la cruceta (azul brillante)
-    const material = new THREE.MeshBasicMaterial({ 
-        color: 0x0088ff,
-        transparent: true,
-        opacity: 0.2
-    });
-    
-    // Crear líneas en las tres direcciones (X, Y, Z)
-    // Eje X (línea horizontal)
-    const geometryX = new THREE.BoxGeometry(size * 2, size / 10, size / 10);
-    const lineX = new THREE.Mesh(geometryX, material);
-    markerGroup.add(lineX);
-    
-    // Eje Y (línea vertical)
-    const geometryY = new THREE.BoxGeometry(size / 10, size * 2, size / 10);
-    const lineY = new THREE.Mesh(geometryY, material);
-    markerGroup.add(lineY);
-    
-    // Eje Z (línea de profundidad)
-    const geometryZ = new THREE.BoxGeometry(size / 10, size / 10, size * 2);
-    const lineZ = new THREE.Mesh(geometryZ, material);
-    markerGroup.add(lineZ);
-    
-    // Añadir una pequeña esfera en el centro de la cruceta
-    const sphereGeometry = new THREE.SphereGeometry(size / 8, 16, 16);
-    const sphere = new THREE.Mesh(sphereGeometry, material);
-    markerGroup.add(sphere);
-    
-    return markerGroup;
-}
-
-/**
- * Crea una línea que conecta el centro de la pajarita con el punto de pivot
- * @returns {THREE.Object3D} - Objeto 3D que representa la línea de conexión
- */
-function createConnectionLine() {
-    // Crear puntos para la línea
-    const points = [];
-    points.push(new THREE.Vector3(0, 0, 0)); // Desde el centro (0,0,0)
-    points.push(new THREE.Vector3(-pivotX, -pivotY, -pivotZ)); // Hasta el pivot (en coordenadas locales inversas)
-    
-    // Crear la geometría de la línea
-    const geometry = new THREE.BufferGeometry().setFromPoints(points);
-    
-    // Material para la línea (verde claro)
-    const material = new THREE.LineBasicMaterial({
-        color: 0x44ff44,
-        linewidth: 2,
-        opacity: 0.7,
-        transparent: true
-    });
-    
-    // Crear la línea
-    const line = new THREE.Line(geometry, material);
-    
-    return line;
-}
-
-/**
- * Crea un marcador en forma de cruceta para visualizar el centro de la pajarita
- * @returns {THREE.Object3D} - Objeto 3D que representa el marcador
- */
-function createCenterMarker() {
-    // Crear un grupo para contener las líneas de la cruceta
-    const markerGroup = new THREE.Group();
-    
-    // Tamaño de la cruceta (ligeramente más pequeño que el marcador del pivot)
-    const size = 0.2;
-    
-    // Material para las líneas de la cruceta (rojo brillante)
-    const material = new THREE.MeshBasicMaterial({ 
-        color: 0xff2222,
-        transparent: true,
-        opacity: 0.8
-    });
-    
-    // Crear líneas en las tres direcciones (X, Y, Z)
-    // Eje X (línea horizontal)
-    const geometryX = new THREE.BoxGeometry(size * 2, size / 10, size / 10);
-    const lineX = new THREE.Mesh(geometryX, material);
-    markerGroup.add(lineX);
-    
-    // Eje Y (línea vertical)
-    const geometryY = new THREE.BoxGeometry(size / 10, size * 2, size / 10);
-    const lineY = new THREE.Mesh(geometryY, material);
-    markerGroup.add(lineY);
-    
-    // Eje Z (línea de profundidad)
-    const geometryZ = new THREE.BoxGeometry(size / 10, size / 10, size * 2);
-    const lineZ = new THREE.Mesh(geometryZ, material);
-    markerGroup.add(lineZ);
-    
-    // Añadir una pequeña esfera en el centro de la cruceta
-    const sphereGeometry = new THREE.SphereGeometry(size / 8, 16, 16);
-    const sphere = new THREE.Mesh(sphereGeometry, material);
-    markerGroup.add(sphere);
-    
-    return markerGroup;
+        // Añadir a la lista de objetos animados y al registro, que guarda sus marcadores y recursos
+        const rotador = EscenaBase.crearRotador(pivotGroup, {
+            activo: rotacionActiva,
+            rotacionInicial: ajustada.rotacion,
+            tipo: tipo,
+            indice: indice,
+            anillo: anillo,
+            numPajaritasAnillo: numPajaritas,
+            clave: clave
+        });
+        objects.push(rotador);
+        RegistroPajaritas.registrar(registro, pajarita, rotador);
+    }).catch(error => {
+        console.error(`Error al cargar el SVG ${url}:`, error);
+    }));
 }
 
 /**
  * Crea los helpers para visualizar las luces
+ * Cada helper toma el color de su luz; las luces ambientes no tienen helper
  */
 function createLightHelpers() {
     // Limpiar helpers existentes
-    lightHelpers.forEach(helper => scene.remove(helper));
+    lightHelpers.forEach(helper => {
+        escena.scene.remove(helper);
+        helper.dispose();
+    });
     lightHelpers = [];
     
-    if (lights) {
-        // Helper para la luz direccional principal
-        if (lights.main) {
-            const directionalHelper = new DirectionalLightHelper(lights.main, 1, 0xff0000);
-            directionalHelper.visible = markersVisible;
-            scene.add(directionalHelper);
-            lightHelpers.push(directionalHelper);
-        }
-        
-        // Helper para la luz de relleno
-        if (lights.fill) {
-            const fillHelper = new DirectionalLightHelper(lights.fill, 0.8, 0x00ff00);
-            fillHelper.visible = markersVisible;
-            scene.add(fillHelper);
-            lightHelpers.push(fillHelper);
+    escena.lights.forEach(luz => {
+        let helper = null;
+        if (luz.isDirectionalLight) {
+            helper = new DirectionalLightHelper(luz, 1);
+        } else if (luz.isSpotLight) {
+            helper = new SpotLightHelper(luz);
+        } else if (luz.isPointLight) {
+            helper = new PointLightHelper(luz, 0.3);
+        } else if (luz.isHemisphereLight) {
+            helper = new HemisphereLightHelper(luz, 1);
         }
         
-        // Helper para la luz hemisférica
-        if (lights.hemi) {
-            const hemiHelper = new HemisphereLightHelper(lights.hemi, 1);
-            hemiHelper.visible = markersVisible;
-            scene.add(hemiHelper);
-            lightHelpers.push(hemiHelper);
+        if (helper) {
+            helper.visible = markersVisible;
+            escena.scene.add(helper);
+            lightHelpers.push(helper);
         }
-    }
+    });
 }
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Control de las cargas asíncronas de la celosía
+ * Cada parte de la escena que se regenera (la celosía, el anillo interior...) lleva un número
+ * de generación: las cargas anotan la generación vigente al empezar y, al terminar, se descartan
+ * si entretanto se ha pedido una generación nueva. Así, al pulsar teclas seguidas, solo llegan
+ * a la escena las pajaritas de los últimos parámetros.
+ * Mientras quede alguna carga pendiente se muestra un indicador de carga.
+ */
+
+/**
+ * Crea el indicador de carga (oculto)
+ * @returns {HTMLElement} - Indicador
+ */
+function crearIndicador() {
+    const indicador = document.createElement('div');
+    indicador.id = 'indicador-carga';
+    indicador.style.position = 'absolute';
+    indicador.style.bottom = '20px';
+    indicador.style.left = '50%';
+    indicador.style.transform = 'translateX(-50%)';
+    indicador.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    indicador.style.color = 'white';
+    indicador.style.padding = '6px 14px';
+    indicador.style.fontFamily = 'Arial, sans-serif';
+    indicador.style.fontSize = '13px';
+    indicador.style.borderRadius = '5px';
+    indicador.style.zIndex = '1000';
+    indicador.style.pointerEvents = 'none';
+    indicador.style.display = 'none';
+    document.body.appendChild(indicador);
+    return indicador;
+}
+
+/**
+ * Muestra el número de cargas pendientes u oculta el indicador si no queda ninguna
+ * @param {Object} control - Control devuelto por ControlCarga.crear()
+ */
+function actualizarIndicador(control) {
+    control.indicador.style.display = control.pendientes > 0 ? 'block' : 'none';
+    control.indicador.textContent = `Generando celosía… (${control.pendientes} pendientes)`;
+}
+
+const ControlCarga = {
+    /**
+     * Crea un control de carga con su indicador
+     * @returns {Object} - { generaciones, pendientes, alTerminar, indicador }
+     */
+    crear: function() {
+        return {
+            generaciones: {},  // Generación vigente de cada parte
+            pendientes: 0,     // Cargas en curso, de cualquier generación
+            alTerminar: [],    // Funciones a llamar cuando no quede ninguna carga
+            indicador: crearIndicador()
+        };
+    },
+    
+    /**
+     * Generación vigente de una parte
+     * @param {Object} control - Control devuelto por crear()
+     * @param {string} parte - Nombre de la parte ('celosia', 'interior'...)
+     * @returns {number} - Número de generación
+     */
+    generacion: function(control, parte) {
+        return control.generaciones[parte] || 0;
+    },
+    
+    /**
+     * Empieza una generación nueva de una parte: las cargas anteriores quedan obsoletas
+     * @param {Object} control - Control devuelto por crear()
+     * @param {string} parte - Nombre de la parte
+     * @returns {number} - Número de la nueva generación
+     */
+    nuevaGeneracion: function(control, parte) {
+        control.generaciones[parte] = this.generacion(control, parte) + 1;
+        return control.generaciones[parte];
+    },
+    
+    /**
+     * Indica si una generación sigue siendo la vigente
+     * @param {Object} control - Control devuelto por crear()
+     * @param {string} parte - Nombre de la parte
+     * @param {number} generacion - Generación anotada al empezar la carga
+     * @returns {boolean} - false si la carga debe descartarse
+     */
+    esVigente: function(control, parte, generacion) {
+        return this.generacion(control, parte) === generacion;
+    },
+    
+    /**
+     * Cuenta una carga como pendiente hasta que termine, con éxito o con error
+     * @param {Object} control - Control devuelto por crear()
+     * @param {Promise} promesa - Carga en curso
+     * @returns {Promise} - La misma carga
+     */
+    seguir: function(control, promesa) {
+        control.pendientes++;
+        actualizarIndicador(control);
+        
+        promesa.finally(() => {
+            control.pendientes--;
+            actualizarIndicador(control);
+            
+            if (control.pendientes === 0) {
+                const funciones = control.alTerminar;
+                control.alTerminar = [];
+                funciones.forEach(funcion => funcion());
+            }
+        }).catch(() => {}); // El error ya lo trata quien creó la carga
+        
+        return promesa;
+    },
+    
+    /**
+     * Llama a una función cuando no quede ninguna carga pendiente (una sola vez aunque se pida varias)
+     * @param {Object} control - Control devuelto por crear()
+     * @param {Function} funcion - Función a llamar
+     */
+    cuandoTermine: function(control, funcion) {
+        if (control.pendientes === 0) {
+            funcion();
+        } else if (!control.alTerminar.includes(funcion)) {
+            control.alTerminar.push(funcion);
+        }
+    }
+};
+
+export default ControlCarga;
@@ -0,0 +1,154 @@
+/**
+ * Detección automática de pivots de rotación de una pesa
+ * Analiza el contorno de la pajarita y busca los puntos del borde alrededor de los cuales
+ * N copias giradas 360°/N encajan borde con borde (centros de rotación del teselado).
+ *
+ * Para un candidato p del contorno y un orden N:
+ * - el ángulo interior de la pesa en p debe ser 360°/N, para que las N copias llenen el entorno de p
+ * - el tramo de contorno que sale de p hacia delante, girado 360°/N alrededor de p,
+ *   debe coincidir con el tramo que sale hacia atrás (la copia vecina comparte ese borde)
+ */
+
+import * as THREE from './lib/three.module.js';
+
+// Órdenes de rotación compatibles con un teselado periódico
+const ORDENES = [6, 4, 3, 2];
+
+/**
+ * Prepara un contorno cerrado para muestrearlo por longitud de arco
+ * @param {Array<THREE.Vector2>} puntos - Contorno de la pesa
+ * @returns {Object} - { puntos, acumulada, perimetro, antihorario }
+ */
+function prepararContorno(puntos) {
+    const contorno = puntos.slice();
+    
+    // Quitar el punto de cierre duplicado
+    if (contorno.length > 1 && contorno[0].distanceTo(contorno[contorno.length - 1]) < 1e-9) {
+        contorno.pop();
+    }
+    
+    const acumulada = [0];
+    let area = 0;
+    for (let i = 0; i < contorno.length; i++) {
+        const p = contorno[i];
+        const q = contorno[(i + 1) % contorno.length];
+        acumulada.push(acumulada[i] + p.distanceTo(q));
+        area += p.x * q.y - q.x * p.y;
+    }
+    
+    return {
+        puntos: contorno,
+        acumulada: acumulada,
+        perimetro: acumulada[contorno.length],
+        antihorario: area > 0
+    };
+}
+
+/**
+ * Punto del contorno a una longitud de arco dada (con vuelta completa)
+ * @param {Object} contorno - Resultado de prepararContorno
+ * @param {number} s - Longitud de arco
+ * @returns {THREE.Vector2} - Punto interpolado
+ */
+function puntoEn(contorno, s) {
+    const { puntos, acumulada, perimetro } = contorno;
+    s = ((s % perimetro) + perimetro) % perimetro;
+    
+    // Búsqueda binaria del segmento
+    let lo = 0;
+    let hi = puntos.length;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (acumulada[mid] <= s) lo = mid; else hi = mid;
+    }
+    
+    const p = puntos[lo];
+    const q = puntos[(lo + 1) % puntos.length];
+    const longitud = acumulada[lo + 1] - acumulada[lo];
+    const t = longitud > 0 ? (s - acumulada[lo]) / longitud : 0;
+    
+    return new THREE.Vector2(p.x + (q.x - p.x) * t, p.y + (q.y - p.y) * t);
+}
+
+const DeteccionPivot = {
+    /**
+     * Busca los centros de rotación del contorno de una pesa
+     * @param {Array<THREE.Vector2>} puntos - Contorno cerrado de la pesa
+     * @param {Object} opciones - Parámetros de la búsqueda
+     * @param {number} opciones.muestras - Número de candidatos a lo largo del contorno
+     * @param {number} opciones.ventana - Fracción del perímetro que debe encajar a cada lado del candidato
+     * @param {number} opciones.tolerancia - Error medio máximo, como fracción del perímetro
+     * @param {number} opciones.toleranciaAngular - Desviación máxima del ángulo interior (radianes)
+     * @returns {Array<Object>} - Candidatos { x, y, orden, error } ordenados de mayor a menor orden
+     * y de menor a mayor error; error es relativo al perímetro
+     */
+    detectar: function(puntos, opciones = {}) {
+        const {
+            muestras = 720,
+            ventana = 0.1,
+            tolerancia = 0.004,
+            toleranciaAngular = 8 * Math.PI / 180
+        } = opciones;
+        
+        const contorno = prepararContorno(puntos);
+        const { perimetro } = contorno;
+        const longitudVentana = perimetro * ventana;
+        const pasosVentana = 24;
+        const delta = perimetro / 2000;
+        
+        const encontrados = [];
+        
+        for (let k = 0; k < muestras; k++) {
+            const s = (k / muestras) * perimetro;
+            const p = puntoEn(contorno, s);
+            
+            // Direcciones del contorno hacia delante y hacia atrás
+            const adelante = puntoEn(contorno, s + delta).sub(p);
+            const atras = puntoEn(contorno, s - delta).sub(p);
+            
+            // Ángulo interior: giro desde "adelante" hasta "atrás" por el lado interior
+            let interior = Math.atan2(adelante.x * atras.y - adelante.y * atras.x, adelante.dot(atras));
+            if (!contorno.antihorario) interior = -interior;
+            if (interior <= 0) interior += 2 * Math.PI;
+            
+            ORDENES.forEach(orden => {
+                const angulo = (2 * Math.PI) / orden;
+                if (Math.abs(interior - angulo) > toleranciaAngular) return;
+                
+                // El giro que lleva el borde de delante sobre el de atrás
+                const giro = contorno.antihorario ? angulo : -angulo;
+                const cos = Math.cos(giro);
+                const sin = Math.sin(giro);
+                
+                let error = 0;
+                for (let i = 1; i <= pasosVentana; i++) {
+                    const t = (i / pasosVentana) * longitudVentana;
+                    const f = puntoEn(contorno, s + t).sub(p);
+                    const b = puntoEn(contorno, s - t).sub(p);
+                    error += Math.hypot(cos * f.x - sin * f.y - b.x, sin * f.x + cos * f.y - b.y);
+                }
+                error /= pasosVentana * perimetro;
+                
+                if (error < tolerancia) {
+                    encontrados.push({ x: p.x, y: p.y, orden: orden, error: error, s: s });
+                }
+            });
+        }
+        
+        // Quedarse con el mejor candidato de cada grupo de candidatos vecinos del mismo orden
+        encontrados.sort((a, b) => a.error - b.error);
+        const radioSupresion = perimetro / 40;
+        const candidatos = [];
+        encontrados.forEach(c => {
+            const repetido = candidatos.some(otro =>
+                otro.orden === c.orden && Math.hypot(otro.x - c.x, otro.y - c.y) < radioSupresion);
+            if (!repetido) {
+                candidatos.push({ x: c.x, y: c.y, orden: c.orden, error: c.error });
+            }
+        });
+        
+        return candidatos.sort((a, b) => b.orden - a.orden || a.error - b.error);
+    }
+};
+
+export default DeteccionPivot;
@@ -0,0 +1,135 @@
+/**
+ * Iluminación de entorno procedural
+ * Construye en código una pequeña "sala" (una cúpula con degradado de cielo a suelo y varios
+ * paneles luminosos, como los softboxes de un estudio) y la convierte con PMREMGenerator en
+ * el mapa de entorno de la escena, sin archivos HDR externos. Los materiales metálicos y
+ * barnizados reflejan así algo más que el color de fondo.
+ * Three.js r160 no permite rotar ni escalar scene.environment, así que la rotación y la
+ * intensidad se aplican a la sala y el mapa se vuelve a generar cuando cambian.
+ * El modo decide qué ilumina la escena: sus luces (las de Utils.setupBasicLights o las de
+ * LucesEscena) ('luces'), solo el entorno ('entorno') o ambos ('ambos').
+ */
+
+import * as THREE from './lib/three.module.js';
+
+// Modos de iluminación
+const MODOS = ['luces', 'entorno', 'ambos'];
+
+// Desenfoque (en radianes) de la sala antes de prefiltrar, para suavizar los bordes de los paneles
+const DESENFOQUE = 0.04;
+
+// Colores de la cúpula: cenit, horizonte y suelo
+const CIELO = { cenit: 0xcfe0f5, horizonte: 0xf2e6d0, suelo: 0x3a3632 };
+
+// Paneles luminosos: posición, tamaño y color (con intensidad mayor que 1 para que destaquen)
+const PANELES = [
+    { posicion: [0, 14, 8], tamano: [10, 10], color: 0xffffff, intensidad: 6 },    // Principal, arriba y delante
+    { posicion: [-16, 4, 0], tamano: [3, 14], color: 0xfff4e0, intensidad: 3 },    // Tira lateral izquierda, cálida
+    { posicion: [16, 4, -4], tamano: [3, 14], color: 0xe0ecff, intensidad: 3 },    // Tira lateral derecha, fría
+    { posicion: [0, 6, -18], tamano: [14, 5], color: 0xffffff, intensidad: 1.5 }   // Contraluz, detrás
+];
+
+/**
+ * Construye la sala procedural
+ * @returns {Object} - { escena, raiz, materiales } donde raiz es el grupo que se rota y
+ * materiales son { material, base } con su color sin escalar
+ */
+function crearSala() {
+    const escena = new THREE.Scene();
+    const raiz = new THREE.Group();
+    escena.add(raiz);
+    const materiales = [];
+    
+    // Cúpula con degradado por vértice según la altura
+    const cupula = new THREE.SphereGeometry(40, 32, 16);
+    const posiciones = cupula.attributes.position;
+    const colores = new Float32Array(posiciones.count * 3);
+    const cenit = new THREE.Color(CIELO.cenit);
+    const horizonte = new THREE.Color(CIELO.horizonte);
+    const suelo = new THREE.Color(CIELO.suelo);
+    const color = new THREE.Color();
+    for (let i = 0; i < posiciones.count; i++) {
+        const altura = posiciones.getY(i) / 40;
+        if (altura >= 0) {
+            color.copy(horizonte).lerp(cenit, Math.pow(altura, 0.6));
+        } else {
+            color.copy(horizonte).lerp(suelo, Math.min(1, -altura * 4));
+        }
+        color.toArray(colores, i * 3);
+    }
+    cupula.setAttribute('color', new THREE.BufferAttribute(colores, 3));
+    const materialCupula = new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.BackSide });
+    raiz.add(new THREE.Mesh(cupula, materialCupula));
+    materiales.push({ material: materialCupula, base: new THREE.Color(1, 1, 1) });
+    
+    // Paneles orientados hacia el centro
+    PANELES.forEach(panel => {
+        const material = new THREE.MeshBasicMaterial({ side: THREE.DoubleSide });
+        const base = new THREE.Color(panel.color).multiplyScalar(panel.intensidad);
+        const malla = new THREE.Mesh(new THREE.PlaneGeometry(panel.tamano[0], panel.tamano[1]), material);
+        malla.position.set(...panel.posicion);
+        malla.lookAt(0, 0, 0);
+        raiz.add(malla);
+        materiales.push({ material, base });
+    });
+    
+    return { escena, raiz, materiales };
+}
+
+const EntornoProcedural = {
+    /**
+     * Modos de iluminación disponibles
+     */
+    modos: MODOS,
+    
+    /**
+     * Crea el entorno de una escena (el mapa se genera en aplicar())
+     * @param {Object} contexto - Objeto devuelto por EscenaBase.crear()
+     * @returns {Object} - { contexto, pmrem, sala, objetivo, intensidad, rotacion }
+     */
+    crear: function(contexto) {
+        return {
+            contexto: contexto,
+            pmrem: new THREE.PMREMGenerator(contexto.renderer),
+            sala: crearSala(),
+            objetivo: null,   // WebGLRenderTarget con el mapa prefiltrado actual
+            intensidad: null, // Intensidad y rotación con las que se generó
+            rotacion: null
+        };
+    },
+    
+    /**
+     * Aplica el modo de iluminación y, si hace falta, vuelve a generar el mapa de entorno
+     * @param {Object} entorno - Objeto devuelto por crear()
+     * @param {Object} opciones - { modo, intensidad, rotacion } con la rotación en radianes
+     * alrededor del eje vertical
+     */
+    aplicar: function(entorno, opciones) {
+        const { modo, intensidad, rotacion } = opciones;
+        const { scene, lights } = entorno.contexto;
+        const conEntorno = modo !== 'luces';
+        
+        if (conEntorno && (intensidad !== entorno.intensidad || rotacion !== entorno.rotacion || !entorno.objetivo)) {
+            const { escena, raiz, materiales } = entorno.sala;
+            raiz.rotation.y = rotacion;
+            materiales.forEach(({ material, base }) => material.color.copy(base).multiplyScalar(intensidad));
+            
+            if (entorno.objetivo) {
+                entorno.objetivo.dispose();
+            }
+            entorno.objetivo = entorno.pmrem.fromScene(escena, DESENFOQUE);
+            entorno.intensidad = intensidad;
+            entorno.rotacion = rotacion;
+            console.log(`Entorno generado: intensidad ${intensidad.toFixed(2)}, rotación ${THREE.MathUtils.radToDeg(rotacion).toFixed(0)}°`);
+        }
+        
+        scene.environment = conEntorno ? entorno.objetivo.texture : null;
+        
+        // Las luces de la escena solo se apagan en el modo 'entorno'
+        Object.values(lights).forEach(luz => {
+            if (luz) luz.visible = modo !== 'entorno';
+        });
+    }
+};
+
+export default EntornoProcedural;
@@ -0,0 +1,306 @@
+/**
+ * Núcleo común de las páginas
+ * Crea la escena, la cámara, el renderer, los controles de órbita, las luces y el suelo a partir
+ * de una configuración declarativa, mantiene el tamaño del renderer al redimensionar la ventana
+ * y ejecuta el bucle de animación, que gira los objetos registrados y llama a los hooks de la página.
+ * La animación es una función del instante t del reloj (ver RelojAnimacion), no de cuántos fotogramas
+ * se han dibujado: cada objeto activo está en su rotación inicial más velocidad·t, con las velocidades
+ * en radianes por segundo, así que gira igual a 60 que a 120 Hz y evaluar() reproduce cualquier
+ * instante. Mientras contexto.grabando es true el bucle no avanza ni renderiza (lo hace quien graba,
+ * con un paso fijo; ver GrabadorAnimacion).
+ * En modo depuración (?debug en la URL o alternarDepuracion) muestra la memoria de la GPU
+ * que informa renderer.info, para comprobar que regenerar la escena no la hace crecer.
+ *
+ * Los objetos animados tienen la forma
+ *   { object, rotateX, rotateY, rotateZ, initialRotationZ, ... }
+ * donde cada rotateN es { active, speed } (o, en el formato anterior, un booleano). La rotación
+ * inicial de Z es initialRotationZ; la de los ejes sin ella es la que tenga el objeto la primera vez
+ * que se evalúa, y se guarda en rotacionInicial.
+ */
+
+import * as THREE from './lib/three.module.js';
+import { OrbitControls } from './lib/examples/jsm/controls/OrbitControls.js';
+import Utils from './utils.js';
+import RelojAnimacion from './reloj-animacion.js';
+
+// Configuración por defecto; cada página indica solo lo que cambia
+const CONFIG_POR_DEFECTO = {
+    contenedor: 'container',                 // id del elemento donde se inserta el canvas
+    fondo: 0xbfbdb7,                         // Color de fondo
+    camara: { fov: 75, posicion: { x: 0, y: 1, z: 8 } },
+    sombras: THREE.PCFSoftShadowMap,         // Tipo de mapa de sombras
+    toneMapping: null,                       // { tipo, exposicion } o null para no aplicar mapeo tonal
+    alfa: false,                             // Canal alfa en el canvas (para exportar imágenes con fondo transparente)
+    luces: 'suave',                          // Tipo de luces de Utils.setupBasicLights, o null si la página crea las suyas
+    suelo: { tamano: 1000, y: -3.5, material: { color: 0x95a5a6, roughness: 0.8 } }, // o null
+    depuracion: false                        // Mostrar el panel de depuración desde el principio
+};
+
+// Milisegundos entre actualizaciones del panel de depuración
+const INTERVALO_DEPURACION = 250;
+
+// Velocidad de las rotaciones en el formato anterior (booleano), en radianes por segundo
+const VELOCIDAD_BOOLEANA = { x: 0.6, y: 0.6, z: -0.6 };
+
+/**
+ * Crea el panel de depuración (oculto)
+ * @returns {HTMLElement} - Panel
+ */
+function crearPanelDepuracion() {
+    const panel = document.createElement('div');
+    panel.id = 'depuracion';
+    panel.style.position = 'absolute';
+    panel.style.top = '10px';
+    panel.style.left = '10px';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    panel.style.color = '#7fff7f';
+    panel.style.padding = '6px 10px';
+    panel.style.fontFamily = 'monospace';
+    panel.style.fontSize = '12px';
+    panel.style.lineHeight = '1.4';
+    panel.style.borderRadius = '5px';
+    panel.style.zIndex = '1000';
+    panel.style.pointerEvents = 'none';
+    panel.style.display = 'none';
+    document.body.appendChild(panel);
+    return panel;
+}
+
+const EscenaBase = {
+    /**
+     * Crea la escena y sus elementos comunes
+     * @param {Object} config - Configuración de la página (se combina con CONFIG_POR_DEFECTO)
+     * @returns {Object} - { scene, camera, renderer, controls, lights, floor, config, depuracion, panelDepuracion,
+     * reloj, animacion, grabando } donde animacion guarda los hooks de animar()
+     */
+    crear: function(config = {}) {
+        const c = { ...CONFIG_POR_DEFECTO, ...config };
+        const camara = { ...CONFIG_POR_DEFECTO.camara, ...config.camara };
+        
+        // Crear escena
+        const scene = new THREE.Scene();
+        scene.background = new THREE.Color(c.fondo);
+        
+        // Crear cámara
+        const aspectRatio = window.innerWidth / window.innerHeight;
+        const camera = new THREE.PerspectiveCamera(camara.fov, aspectRatio, 0.1, 1000);
+        camera.position.set(camara.posicion.x, camara.posicion.y, camara.posicion.z);
+        
+        // Crear renderer
+        const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: c.alfa });
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = c.sombras;
+        renderer.outputColorSpace = THREE.SRGBColorSpace; // Mejor representación de colores
+        if (c.toneMapping) {
+            renderer.toneMapping = c.toneMapping.tipo;
+            renderer.toneMappingExposure = c.toneMapping.exposicion;
+        }
+        document.getElementById(c.contenedor).appendChild(renderer.domElement);
+        
+        // Añadir controles de órbita
+        const controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+        
+        // Configurar luces
+        const lights = c.luces ? Utils.setupBasicLights(scene, c.luces) : [];
+        
+        // Crear un plano como suelo
+        let floor = null;
+        if (c.suelo) {
+            const suelo = { ...CONFIG_POR_DEFECTO.suelo, ...c.suelo };
+            floor = Utils.createMesh('cube', { width: suelo.tamano, height: 0.1, depth: suelo.tamano }, suelo.material);
+            floor.position.y = suelo.y;
+            floor.receiveShadow = true;
+            scene.add(floor);
+        }
+        
+        // Con la pestaña oculta no se llama a requestAnimationFrame: al volver, la animación sigue
+        // donde estaba en lugar de saltar el tiempo que ha estado oculta
+        const reloj = RelojAnimacion.crear();
+        document.addEventListener('visibilitychange', () => RelojAnimacion.descartarPaso(reloj));
+        
+        // Panel de depuración, visible con ?debug en la URL
+        const depuracion = c.depuracion || new URLSearchParams(window.location.search).has('debug');
+        const panelDepuracion = crearPanelDepuracion();
+        panelDepuracion.style.display = depuracion ? 'block' : 'none';
+        
+        const contexto = { scene, camera, renderer, controls, lights, floor, config: c, depuracion, panelDepuracion, reloj, animacion: null, grabando: false };
+        
+        // Manejar el redimensionamiento de la ventana; durante una grabación el renderer tiene el
+        // tamaño de los fotogramas, y el grabador ajusta el de la ventana al terminar
+        window.addEventListener('resize', () => {
+            if (!contexto.grabando) this.ajustarTamano(contexto);
+        });
+        
+        return contexto;
+    },
+    
+    /**
+     * Ajusta el renderer y la cámara al tamaño de la ventana
+     * @param {Object} contexto - Objeto devuelto por crear()
+     */
+    ajustarTamano: function(contexto) {
+        const { camera, renderer } = contexto;
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+        renderer.setSize(window.innerWidth, window.innerHeight);
+    },
+    
+    /**
+     * Muestra u oculta el panel de depuración
+     * @param {Object} contexto - Objeto devuelto por crear()
+     * @returns {boolean} - true si el modo depuración queda activado
+     */
+    alternarDepuracion: function(contexto) {
+        contexto.depuracion = !contexto.depuracion;
+        contexto.panelDepuracion.style.display = contexto.depuracion ? 'block' : 'none';
+        console.log(`Modo depuración ${contexto.depuracion ? 'activado' : 'desactivado'}`);
+        return contexto.depuracion;
+    },
+    
+    /**
+     * Escribe en el panel de depuración los contadores de renderer.info
+     * @param {Object} contexto - Objeto devuelto por crear()
+     * @param {string} extra - Líneas adicionales de la página (HTML), o cadena vacía
+     */
+    actualizarDepuracion: function(contexto, extra = '') {
+        const { memory, render, programs } = contexto.renderer.info;
+        
+        contexto.panelDepuracion.innerHTML =
+            `Geometrías: ${memory.geometries} · Texturas: ${memory.textures}<br>` +
+            `Programas: ${programs ? programs.length : 0}<br>` +
+            `Draw calls: ${render.calls} · Triángulos: ${render.triangles}` +
+            (extra ? `<br>${extra}` : '');
+    },
+    
+    /**
+     * Crea el registro de un objeto que gira alrededor de su eje Z
+     * @param {THREE.Object3D} object - Objeto a girar (normalmente un pivotGroup)
+     * @param {Object} opciones - { activo, velocidad, rotacionInicial, tipo, indice, anillo, numPajaritasAnillo, clave }
+     * con la velocidad en radianes por segundo
+     * @returns {Object} - Registro para la lista de objetos animados
+     */
+    crearRotador: function(object, opciones = {}) {
+        const {
+            activo = false,
+            velocidad = 0.6,
+            rotacionInicial = object.rotation.z,
+            tipo,
+            indice,
+            anillo,
+            numPajaritasAnillo,
+            clave
+        } = opciones;
+        
+        return {
+            object: object,
+            rotateX: { active: false, speed: 0 },
+            rotateY: { active: false, speed: 0 },
+            rotateZ: { active: activo, speed: velocidad },
+            initialRotationZ: rotacionInicial,
+            tipo: tipo,  // Guardar el tipo para filtrar después
+            indice: indice, // Guardar el índice para identificación
+            anillo: anillo, // Anillo (o anillo de celdas) en el que está la pajarita
+            numPajaritasAnillo: numPajaritasAnillo, // indice % numPajaritasAnillo es su posición en el anillo
+            clave: clave // Clave de sus ajustes individuales (ver AjustesPajaritas)
+        };
+    },
+    
+    /**
+     * Coloca un objeto animado en su rotación del instante t
+     * Los ejes detenidos no se tocan: la página decide dónde se quedan
+     * @param {Object} obj - Registro de la lista de objetos animados
+     * @param {number} tiempo - Instante de la animación en segundos
+     */
+    rotarObjeto: function(obj, tiempo) {
+        if (!obj.object) return;
+        
+        if (!obj.rotacionInicial) {
+            const { x, y, z } = obj.object.rotation;
+            obj.rotacionInicial = { x, y, z };
+        }
+        
+        ['x', 'y', 'z'].forEach(eje => {
+            const rotacion = obj['rotate' + eje.toUpperCase()];
+            let velocidad = 0;
+            
+            if (typeof rotacion === 'object' && rotacion !== null) {
+                // Formato { active: bool, speed: number }
+                if (!rotacion.active) return;
+                velocidad = rotacion.speed;
+            } else if (rotacion === true) {
+                // Formato anterior: booleano
+                velocidad = VELOCIDAD_BOOLEANA[eje];
+            } else {
+                return;
+            }
+            
+            const inicial = eje === 'z' && obj.initialRotationZ !== undefined ? obj.initialRotationZ : obj.rotacionInicial[eje];
+            obj.object.rotation[eje] = inicial + velocidad * tiempo;
+        });
+    },
+    
+    /**
+     * Evalúa la animación en el instante del reloj sin renderizar: coloca los objetos y llama
+     * al hook antesDeRenderizar
+     * @param {Object} contexto - Objeto devuelto por crear(), tras llamar a animar()
+     */
+    evaluar: function(contexto) {
+        const { objetos, rotacionActiva, antesDeRenderizar } = contexto.animacion;
+        
+        // Animar objetos con rotación automática
+        if (rotacionActiva()) {
+            Utils.animate(objetos(), obj => this.rotarObjeto(obj, contexto.reloj.tiempo));
+        }
+        
+        if (antesDeRenderizar) {
+            antesDeRenderizar();
+        }
+    },
+    
+    /**
+     * Inicia el bucle de renderizado
+     * @param {Object} contexto - Objeto devuelto por crear()
+     * @param {Object} hooks - Funciones de la página
+     * @param {Function} hooks.objetos - Devuelve la lista actual de objetos animados
+     * @param {Function} hooks.rotacionActiva - Devuelve false para detener todas las rotaciones (opcional)
+     * @param {Function} hooks.antesDeRenderizar - Se llama en cada fotograma tras las rotaciones (opcional)
+     * @param {Function} hooks.infoDepuracion - Devuelve líneas propias de la página para el panel de depuración (opcional)
+     */
+    animar: function(contexto, hooks = {}) {
+        const { scene, camera, renderer, controls } = contexto;
+        const { objetos = () => [], rotacionActiva = () => true, antesDeRenderizar = null, infoDepuracion = () => '' } = hooks;
+        contexto.animacion = { objetos, rotacionActiva, antesDeRenderizar };
+        let ultimaDepuracion = 0;
+        
+        const bucle = (ahora = performance.now()) => {
+            requestAnimationFrame(bucle);
+            
+            // Durante una grabación los fotogramas los avanza y renderiza el grabador
+            if (contexto.grabando) return;
+            
+            // Actualizar controles
+            controls.update();
+            
+            // Avanzar el reloj el tiempo real transcurrido y colocar los objetos en ese instante
+            RelojAnimacion.avanzar(contexto.reloj, ahora);
+            this.evaluar(contexto);
+            
+            // Renderizar la escena
+            renderer.render(scene, camera);
+            
+            // Los contadores de render son los del fotograma que se acaba de dibujar
+            if (contexto.depuracion && performance.now() - ultimaDepuracion > INTERVALO_DEPURACION) {
+                ultimaDepuracion = performance.now();
+                this.actualizarDepuracion(contexto, infoDepuracion());
+            }
+        };
+        
+        bucle();
+    }
+};
+
+export default EscenaBase;
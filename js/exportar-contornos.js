@@ -0,0 +1,312 @@
+/**
+ * Exportación del contorno plano de la celosía para corte láser (SVG y DXF)
+ * Recibe los contornos de las pajaritas ya proyectados al plano XY (AnalisisTeselado.proyectarForma)
+ * y los agrupa en una capa por color.
+ * La unión de pajaritas del mismo color elimina los tramos de borde que están sobre el borde
+ * de otra pajarita (dentro de una tolerancia, porque las vecinas no muestrean sus curvas en los
+ * mismos puntos) y vuelve a encadenar el resto en polilíneas, de modo que el láser no corta
+ * dos veces el mismo borde.
+ */
+
+// Colores ACI de AutoCAD para las capas del DXF, por orden de aparición
+const COLORES_ACI = [3, 2, 1, 4, 5, 6, 7];
+
+/**
+ * Nombre de capa para un color
+ * @param {number} color - Color hexadecimal
+ * @returns {string} - Nombre de la capa
+ */
+function nombreCapa(color) {
+    return `pajaritas_${color.toString(16).toUpperCase().padStart(6, '0')}`;
+}
+
+/**
+ * Distancia de un punto a un segmento
+ * @param {Object} p - Punto {x, y}
+ * @param {Object} a - Extremo inicial {x, y}
+ * @param {Object} b - Extremo final {x, y}
+ * @returns {number} - Distancia
+ */
+function distanciaSegmento(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const longitud2 = dx * dx + dy * dy;
+    let t = longitud2 > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / longitud2 : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(a.x + t * dx - p.x, a.y + t * dy - p.y);
+}
+
+/**
+ * Une los contornos de una capa eliminando los tramos compartidos
+ * @param {Array<Array<Object>>} poligonos - Contornos cerrados como vértices {x, y}
+ * @param {number} tolerancia - Distancia máxima entre dos bordes para considerarlos el mismo
+ * @returns {Array<Object>} - Trazados { puntos, cerrado }
+ */
+function unirPoligonos(poligonos, tolerancia) {
+    // Todos los segmentos, indexados en una rejilla para buscar vecinos rápidamente
+    const segmentos = [];
+    const rejilla = new Map();
+    const tamCelda = tolerancia * 8;
+    const celdasDe = (a, b) => {
+        const claves = [];
+        const i0 = Math.floor((Math.min(a.x, b.x) - tolerancia) / tamCelda);
+        const i1 = Math.floor((Math.max(a.x, b.x) + tolerancia) / tamCelda);
+        const j0 = Math.floor((Math.min(a.y, b.y) - tolerancia) / tamCelda);
+        const j1 = Math.floor((Math.max(a.y, b.y) + tolerancia) / tamCelda);
+        for (let i = i0; i <= i1; i++) {
+            for (let j = j0; j <= j1; j++) {
+                claves.push(`${i},${j}`);
+            }
+        }
+        return claves;
+    };
+    
+    poligonos.forEach((poligono, k) => {
+        poligono.forEach((a, i) => {
+            const segmento = { a: a, b: poligono[(i + 1) % poligono.length], poligono: k };
+            segmentos.push(segmento);
+            celdasDe(segmento.a, segmento.b).forEach(clave => {
+                if (!rejilla.has(clave)) rejilla.set(clave, []);
+                rejilla.get(clave).push(segmento);
+            });
+        });
+    });
+    
+    // Un segmento es compartido si sus extremos y su punto medio están sobre el borde de otro contorno
+    const cercaDeOtro = (p, poligono) => {
+        const clave = `${Math.floor(p.x / tamCelda)},${Math.floor(p.y / tamCelda)}`;
+        return (rejilla.get(clave) || []).some(s =>
+            s.poligono !== poligono && distanciaSegmento(p, s.a, s.b) < tolerancia);
+    };
+    const restantes = segmentos.filter(({ a, b, poligono }) => {
+        const medio = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        return !(cercaDeOtro(a, poligono) && cercaDeOtro(medio, poligono) && cercaDeOtro(b, poligono));
+    });
+    
+    // Vértices canónicos: los extremos a menos de la tolerancia se funden en uno
+    const vertices = [];
+    const rejillaVertices = new Map();
+    const canonico = p => {
+        const i = Math.round(p.x / tolerancia);
+        const j = Math.round(p.y / tolerancia);
+        for (let di = -1; di <= 1; di++) {
+            for (let dj = -1; dj <= 1; dj++) {
+                const candidatos = rejillaVertices.get(`${i + di},${j + dj}`) || [];
+                const id = candidatos.find(k => Math.hypot(vertices[k].x - p.x, vertices[k].y - p.y) < tolerancia);
+                if (id !== undefined) return id;
+            }
+        }
+        vertices.push({ x: p.x, y: p.y });
+        const clave = `${i},${j}`;
+        if (!rejillaVertices.has(clave)) rejillaVertices.set(clave, []);
+        rejillaVertices.get(clave).push(vertices.length - 1);
+        return vertices.length - 1;
+    };
+    
+    const incidentes = new Map();
+    const aristas = [];
+    restantes.forEach(segmento => {
+        const arista = { a: canonico(segmento.a), b: canonico(segmento.b), usado: false };
+        if (arista.a === arista.b) return;
+        aristas.push(arista);
+        [arista.a, arista.b].forEach(v => {
+            if (!incidentes.has(v)) incidentes.set(v, []);
+            incidentes.get(v).push(arista);
+        });
+    });
+    
+    // Avanza desde un vértice por aristas no usadas mientras sea posible
+    const avanzar = (cadena, desde) => {
+        let actual = desde;
+        for (;;) {
+            const siguiente = incidentes.get(actual).find(s => !s.usado);
+            if (!siguiente) return;
+            siguiente.usado = true;
+            actual = siguiente.a === actual ? siguiente.b : siguiente.a;
+            cadena.push(actual);
+        }
+    };
+    
+    // Encadenar las aristas en polilíneas
+    const trazados = [];
+    aristas.forEach(arista => {
+        if (arista.usado) return;
+        arista.usado = true;
+        
+        const cadena = [arista.a, arista.b];
+        avanzar(cadena, arista.b);
+        
+        const cerrado = cadena.length > 2 && cadena[cadena.length - 1] === cadena[0];
+        if (cerrado) {
+            cadena.pop();
+        } else {
+            // Extender también hacia atrás desde el primer vértice
+            const atras = [];
+            avanzar(atras, arista.a);
+            cadena.unshift(...atras.reverse());
+        }
+        
+        trazados.push({ puntos: cadena.map(id => vertices[id]), cerrado: cerrado });
+    });
+    
+    // Empalmar los trazados abiertos cuyos extremos quedan cerca: en las esquinas donde se
+    // juntan varias pajaritas el filtro puede dejar un hueco algo mayor que la tolerancia
+    const distancia = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+    const empalmados = new Set();
+    let cambios = true;
+    while (cambios) {
+        cambios = false;
+        trazados.forEach(trazado => {
+            if (trazado.cerrado || empalmados.has(trazado)) return;
+            const fin = trazado.puntos[trazado.puntos.length - 1];
+            
+            if (trazado.puntos.length > 2 && distancia(fin, trazado.puntos[0]) < 2 * tolerancia) {
+                trazado.cerrado = true;
+                cambios = true;
+                return;
+            }
+            
+            const otro = trazados.find(t => t !== trazado && !t.cerrado && !empalmados.has(t) &&
+                (distancia(fin, t.puntos[0]) < 2 * tolerancia || distancia(fin, t.puntos[t.puntos.length - 1]) < 2 * tolerancia));
+            if (otro) {
+                const puntos = distancia(fin, otro.puntos[0]) < 2 * tolerancia ? otro.puntos : otro.puntos.slice().reverse();
+                trazado.puntos.push(...puntos);
+                empalmados.add(otro);
+                cambios = true;
+            }
+        });
+    }
+    
+    return trazados.filter(trazado => !empalmados.has(trazado));
+}
+
+const ExportarContornos = {
+    /**
+     * Agrupa los contornos proyectados en capas, una por color
+     * @param {Array<Object>} pesas - { color, formas } donde formas son contornos proyectados
+     * (cada uno, exterior + agujeros, como devuelve AnalisisTeselado.proyectarForma)
+     * @param {Object} opciones - { unir: eliminar bordes compartidos entre pajaritas del mismo color,
+     * tolerancia: distancia para considerar dos vértices el mismo (unidades de los contornos) }
+     * @returns {Array<Object>} - Capas { nombre, color, trazados: [{ puntos, cerrado }] }
+     */
+    crearCapas: function(pesas, opciones = {}) {
+        const { unir = false, tolerancia = 0.005 } = opciones;
+        
+        const poligonosPorColor = new Map();
+        pesas.forEach(({ color, formas }) => {
+            if (!poligonosPorColor.has(color)) {
+                poligonosPorColor.set(color, []);
+            }
+            formas.forEach(forma => poligonosPorColor.get(color).push(...forma));
+        });
+        
+        const capas = [];
+        poligonosPorColor.forEach((poligonos, color) => {
+            const trazados = unir
+                ? unirPoligonos(poligonos, tolerancia)
+                : poligonos.map(puntos => ({ puntos: puntos, cerrado: true }));
+            
+            capas.push({ nombre: nombreCapa(color), color: color, trazados: trazados });
+        });
+        
+        return capas;
+    },
+    
+    /**
+     * Genera un documento SVG con una capa (grupo) por color
+     * @param {Array<Object>} capas - Resultado de crearCapas
+     * @param {number} escala - Milímetros por unidad de los contornos
+     * @returns {string} - Documento SVG
+     */
+    svg: function(capas, escala = 1) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        capas.forEach(capa => capa.trazados.forEach(({ puntos }) => puntos.forEach(p => {
+            minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+            minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+        })));
+        if (minX === Infinity) {
+            minX = minY = maxX = maxY = 0;
+        }
+        
+        const ancho = (maxX - minX) * escala;
+        const alto = (maxY - minY) * escala;
+        
+        // El eje Y del SVG apunta hacia abajo
+        const coord = p => `${((p.x - minX) * escala).toFixed(4)},${((maxY - p.y) * escala).toFixed(4)}`;
+        
+        const lineas = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${ancho.toFixed(3)}mm" height="${alto.toFixed(3)}mm" viewBox="0 0 ${ancho.toFixed(4)} ${alto.toFixed(4)}">`
+        ];
+        
+        capas.forEach(capa => {
+            const color = `#${capa.color.toString(16).padStart(6, '0')}`;
+            lineas.push(`  <g id="${capa.nombre}" fill="none" stroke="${color}" stroke-width="0.1">`);
+            capa.trazados.forEach(({ puntos, cerrado }) => {
+                const d = 'M ' + puntos.map(coord).join(' L ') + (cerrado ? ' Z' : '');
+                lineas.push(`    <path d="${d}"/>`);
+            });
+            lineas.push('  </g>');
+        });
+        
+        lineas.push('</svg>');
+        return lineas.join('\n') + '\n';
+    },
+    
+    /**
+     * Genera un DXF (R12) con polilíneas y una capa por color
+     * @param {Array<Object>} capas - Resultado de crearCapas
+     * @param {number} escala - Milímetros por unidad de los contornos
+     * @returns {string} - Documento DXF
+     */
+    dxf: function(capas, escala = 1) {
+        const lineas = [];
+        const par = (codigo, valor) => lineas.push(String(codigo), String(valor));
+        
+        // Tabla de capas
+        par(0, 'SECTION');
+        par(2, 'TABLES');
+        par(0, 'TABLE');
+        par(2, 'LAYER');
+        par(70, capas.length);
+        capas.forEach((capa, i) => {
+            par(0, 'LAYER');
+            par(2, capa.nombre);
+            par(70, 0);
+            par(62, COLORES_ACI[i % COLORES_ACI.length]);
+            par(6, 'CONTINUOUS');
+        });
+        par(0, 'ENDTAB');
+        par(0, 'ENDSEC');
+        
+        // Entidades: una polilínea por trazado
+        par(0, 'SECTION');
+        par(2, 'ENTITIES');
+        capas.forEach(capa => {
+            capa.trazados.forEach(({ puntos, cerrado }) => {
+                par(0, 'POLYLINE');
+                par(8, capa.nombre);
+                par(66, 1);
+                par(10, 0);
+                par(20, 0);
+                par(30, 0);
+                par(70, cerrado ? 1 : 0);
+                puntos.forEach(p => {
+                    par(0, 'VERTEX');
+                    par(8, capa.nombre);
+                    par(10, (p.x * escala).toFixed(4));
+                    par(20, (p.y * escala).toFixed(4));
+                    par(30, 0);
+                });
+                par(0, 'SEQEND');
+                par(8, capa.nombre);
+            });
+        });
+        par(0, 'ENDSEC');
+        par(0, 'EOF');
+        
+        return lineas.join('\n') + '\n';
+    }
+};
+
+export default ExportarContornos;
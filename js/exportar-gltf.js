@@ -0,0 +1,89 @@
+/**
+ * Exportación de la celosía a glTF 2.0 / GLB
+ * Construye una escena limpia solo con las pajaritas (sin marcadores, líneas, luces ni suelo):
+ * un nodo por pivotGroup, con su posición, rotación y reflejo, y bajo él las mallas de la
+ * pajarita con su transformación respecto al pivot. Así, en Blender o en un visor AR cada
+ * pajarita se puede girar alrededor de su pivot igual que en la escena.
+ * Opcionalmente añade la rotación de los pivots que giran como un clip de animación.
+ */
+
+import * as THREE from './lib/three.module.js';
+import { GLTFExporter } from './lib/examples/jsm/exporters/GLTFExporter.js';
+
+/**
+ * Crea la pista de rotación de un pivot: una vuelta completa alrededor de Z
+ * @param {THREE.Object3D} nodo - Nodo del pivot en la escena exportada
+ * @param {number} velocidad - Radianes por segundo (negativa para girar en sentido horario)
+ * @returns {THREE.QuaternionKeyframeTrack} - Pista de animación
+ */
+function crearPistaRotacion(nodo, velocidad) {
+    const duracion = (2 * Math.PI) / Math.abs(velocidad);
+    const sentido = Math.sign(velocidad);
+    // Cuatro cuartos de vuelta: entre claves consecutivas la interpolación esférica es inequívoca
+    const pasos = 4;
+    const tiempos = [];
+    const valores = [];
+    const euler = new THREE.Euler().copy(nodo.rotation);
+    const quaternion = new THREE.Quaternion();
+    
+    for (let i = 0; i <= pasos; i++) {
+        tiempos.push((i / pasos) * duracion);
+        euler.z = nodo.rotation.z + sentido * (i / pasos) * 2 * Math.PI;
+        quaternion.setFromEuler(euler);
+        valores.push(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    }
+    
+    return new THREE.QuaternionKeyframeTrack(`${nodo.uuid}.quaternion`, tiempos, valores);
+}
+
+const ExportarGLTF = {
+    /**
+     * Exporta un conjunto de pajaritas
+     * @param {Array<Object>} pajaritas - { nombre, pivot, mallas, velocidad } donde pivot es el Object3D
+     * que hace de pivotGroup, mallas es una lista de { geometry, material, matrix } con la matriz
+     * de cada malla respecto al pivot y velocidad son los radianes por segundo de su rotación
+     * (0 si está detenida)
+     * @param {Object} opciones - Parámetros de la exportación
+     * @param {boolean} opciones.binario - true para GLB, false para glTF en JSON
+     * @param {boolean} opciones.animar - Incluir como clip de animación la rotación de los pivots que giran
+     * @returns {Promise<ArrayBuffer|Object>} - GLB binario o documento glTF
+     */
+    exportar: function(pajaritas, opciones = {}) {
+        const { binario = true, animar = false } = opciones;
+        
+        const escena = new THREE.Scene();
+        escena.name = 'celosia';
+        const pistas = [];
+        
+        pajaritas.forEach(({ nombre, pivot, mallas, velocidad = 0 }) => {
+            // Nodo del pivot con la transformación del pivotGroup
+            const nodoPivot = new THREE.Group();
+            nodoPivot.name = nombre;
+            nodoPivot.position.copy(pivot.position);
+            nodoPivot.rotation.copy(pivot.rotation);
+            nodoPivot.scale.copy(pivot.scale);
+            escena.add(nodoPivot);
+            
+            mallas.forEach(({ geometry, material, matrix }, k) => {
+                const mesh = new THREE.Mesh(geometry, material);
+                mesh.name = `${nombre}_malla${k}`;
+                matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+                nodoPivot.add(mesh);
+            });
+            
+            if (animar && velocidad) {
+                pistas.push(crearPistaRotacion(nodoPivot, velocidad));
+            }
+        });
+        
+        const animaciones = pistas.length > 0 ? [new THREE.AnimationClip('rotacion', -1, pistas)] : [];
+        
+        return new GLTFExporter().parseAsync(escena, {
+            binary: binario,
+            animations: animaciones,
+            onlyVisible: false
+        });
+    }
+};
+
+export default ExportarGLTF;
@@ -0,0 +1,277 @@
+/**
+ * Exportación de imágenes PNG a alta resolución
+ * Renderiza la vista de la cámara al tamaño pedido (por ejemplo 8000×8000) dividiendo la
+ * proyección en teselas con camera.setViewOffset: cada tesela se renderiza en el canvas del
+ * renderer, con el mismo mapeo tonal y espacio de color que en pantalla, y se copia en su sitio
+ * de un canvas 2D del tamaño final. Así el tamaño no está limitado por el de los render targets.
+ * Los parámetros del diseño se guardan en un bloque tEXt del PNG, de modo que la imagen se puede
+ * volver a abrir en la página y reproduce el diseño.
+ */
+
+import * as THREE from './lib/three.module.js';
+import Utils from './utils.js';
+
+// Lado máximo de una tesela (se reduce si la GPU no admite tanto)
+const TAMANO_TESELA = 2048;
+
+// Lado máximo de la imagen: los navegadores no crean canvas 2D mayores
+const MAX_LADO = 16384;
+
+// Palabras clave de los bloques tEXt
+const CLAVE_PARAMETROS = 'celosia-parametros';
+const CLAVE_SOFTWARE = 'Software';
+
+// Firma de los archivos PNG
+const FIRMA_PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Crea un bloque tEXt
+ * @param {string} clave - Palabra clave (Latin-1, de 1 a 79 caracteres)
+ * @param {string} texto - Texto (Latin-1)
+ * @returns {Uint8Array} - Bloque completo: longitud, tipo, datos y CRC
+ */
+function bloqueTexto(clave, texto) {
+    const datos = clave + '\0' + texto;
+    const bloque = new Uint8Array(12 + datos.length);
+    const vista = new DataView(bloque.buffer);
+    
+    vista.setUint32(0, datos.length);
+    bloque.set([0x74, 0x45, 0x58, 0x74], 4); // 'tEXt'
+    for (let i = 0; i < datos.length; i++) {
+        bloque[8 + i] = datos.charCodeAt(i) & 0xff;
+    }
+    vista.setUint32(8 + datos.length, Utils.crc32(bloque.subarray(4, 8 + datos.length)));
+    return bloque;
+}
+
+/**
+ * Comprueba la firma PNG
+ * @param {Uint8Array} bytes - Contenido del archivo
+ * @returns {boolean} - true si empieza como un PNG
+ */
+function esPNG(bytes) {
+    return bytes.length > FIRMA_PNG.length && FIRMA_PNG.every((valor, i) => bytes[i] === valor);
+}
+
+const ExportarImagen = {
+    /**
+     * Renderiza la vista actual de la cámara a un tamaño cualquiera
+     * Durante el render se ocultan los objetos indicados y, si se pide, el fondo y el suelo;
+     * al terminar se restauran el tamaño del renderer, la cámara y la visibilidad
+     * @param {Object} contexto - Objeto devuelto por EscenaBase.crear()
+     * @param {Object} opciones - Parámetros de la imagen
+     * @param {number} opciones.anchura - Anchura en píxeles
+     * @param {number} opciones.altura - Altura en píxeles
+     * @param {boolean} opciones.transparente - Fondo transparente (el renderer debe tener canal alfa)
+     * @param {boolean} opciones.suelo - Incluir el suelo
+     * @param {Array<THREE.Object3D>} opciones.ocultar - Objetos que no deben aparecer (marcadores, helpers...)
+     * @returns {HTMLCanvasElement} - Canvas 2D con la imagen
+     */
+    renderizar: function(contexto, opciones) {
+        const { renderer, scene, camera, floor } = contexto;
+        const { anchura, altura, transparente = false, suelo = true, ocultar = [] } = opciones;
+        const lado = Math.min(TAMANO_TESELA, renderer.capabilities.maxTextureSize);
+        
+        const lienzo = document.createElement('canvas');
+        lienzo.width = anchura;
+        lienzo.height = altura;
+        const contexto2d = lienzo.getContext('2d');
+        
+        // Estado que se restaura al terminar
+        const tamano = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = renderer.getPixelRatio();
+        const colorLimpieza = renderer.getClearColor(new THREE.Color());
+        const alfaLimpieza = renderer.getClearAlpha();
+        const fondo = scene.background;
+        const aspecto = camera.aspect;
+        const ocultos = [...ocultar, ...(!suelo && floor ? [floor] : [])].filter(Boolean);
+        const visibles = ocultos.map(objeto => objeto.visible);
+        
+        try {
+            ocultos.forEach(objeto => { objeto.visible = false; });
+            if (transparente) {
+                scene.background = null;
+                renderer.setClearColor(0x000000, 0);
+            }
+            
+            // La cámara conserva su campo de visión vertical con la proporción de la imagen
+            renderer.setPixelRatio(1);
+            camera.aspect = anchura / altura;
+            
+            for (let y = 0; y < altura; y += lado) {
+                for (let x = 0; x < anchura; x += lado) {
+                    const w = Math.min(lado, anchura - x);
+                    const h = Math.min(lado, altura - y);
+                    renderer.setSize(w, h, false);
+                    camera.setViewOffset(anchura, altura, x, y, w, h);
+                    renderer.render(scene, camera);
+                    
+                    // El canvas aún conserva el fotograma: se copia antes de devolver el control
+                    contexto2d.drawImage(renderer.domElement, 0, 0, w, h, x, y, w, h);
+                }
+            }
+        } finally {
+            ocultos.forEach((objeto, i) => { objeto.visible = visibles[i]; });
+            scene.background = fondo;
+            renderer.setClearColor(colorLimpieza, alfaLimpieza);
+            camera.clearViewOffset();
+            camera.aspect = aspecto;
+            camera.updateProjectionMatrix();
+            renderer.setPixelRatio(pixelRatio);
+            renderer.setSize(tamano.x, tamano.y, false);
+        }
+        
+        return lienzo;
+    },
+    
+    /**
+     * Añade bloques tEXt a un PNG, justo después de su cabecera
+     * @param {ArrayBuffer|Uint8Array} png - Archivo PNG
+     * @param {Object} textos - Texto por palabra clave
+     * @returns {Uint8Array} - PNG con los textos
+     */
+    insertarTextos: function(png, textos) {
+        const bytes = png instanceof Uint8Array ? png : new Uint8Array(png);
+        if (!esPNG(bytes)) throw new Error('El archivo no es un PNG');
+        
+        // La cabecera IHDR ocupa 25 bytes tras la firma
+        const finCabecera = FIRMA_PNG.length + 25;
+        const bloques = Object.keys(textos).map(clave => bloqueTexto(clave, textos[clave]));
+        const longitud = bloques.reduce((total, bloque) => total + bloque.length, 0);
+        
+        const resultado = new Uint8Array(bytes.length + longitud);
+        resultado.set(bytes.subarray(0, finCabecera), 0);
+        let posicion = finCabecera;
+        bloques.forEach(bloque => {
+            resultado.set(bloque, posicion);
+            posicion += bloque.length;
+        });
+        resultado.set(bytes.subarray(finCabecera), posicion);
+        return resultado;
+    },
+    
+    /**
+     * Lee los bloques tEXt de un PNG
+     * @param {ArrayBuffer|Uint8Array} png - Archivo PNG
+     * @returns {Object} - Texto por palabra clave (vacío si no es un PNG o no tiene textos)
+     */
+    leerTextos: function(png) {
+        const bytes = png instanceof Uint8Array ? png : new Uint8Array(png);
+        const textos = {};
+        if (!esPNG(bytes)) return textos;
+        
+        const vista = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let posicion = FIRMA_PNG.length;
+        while (posicion + 12 <= bytes.length) {
+            const longitud = vista.getUint32(posicion);
+            const tipo = String.fromCharCode(...bytes.subarray(posicion + 4, posicion + 8));
+            if (tipo === 'IEND' || posicion + 12 + longitud > bytes.length) break;
+            
+            if (tipo === 'tEXt') {
+                const datos = bytes.subarray(posicion + 8, posicion + 8 + longitud);
+                const separador = datos.indexOf(0);
+                if (separador > 0) {
+                    const latin1 = parte => Array.from(parte, byte => String.fromCharCode(byte)).join('');
+                    textos[latin1(datos.subarray(0, separador))] = latin1(datos.subarray(separador + 1));
+                }
+            }
+            posicion += 12 + longitud;
+        }
+        return textos;
+    },
+    
+    /**
+     * Renderiza la vista y la codifica como PNG con los parámetros del diseño
+     * @param {Object} contexto - Objeto devuelto por EscenaBase.crear()
+     * @param {Object} opciones - Las de renderizar() más parametros, el texto que se guarda en el
+     * PNG (por ejemplo el hash de ParametrosCelosia) y software, el nombre de la página
+     * @returns {Promise<Blob>} - Imagen PNG
+     */
+    exportar: function(contexto, opciones) {
+        const lienzo = this.renderizar(contexto, opciones);
+        
+        return new Promise((resolve, reject) => {
+            lienzo.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`El navegador no ha podido codificar una imagen de ${opciones.anchura}×${opciones.altura}`));
+                }
+            }, 'image/png');
+        }).then(blob => blob.arrayBuffer()).then(png => {
+            const textos = { [CLAVE_PARAMETROS]: opciones.parametros };
+            if (opciones.software) textos[CLAVE_SOFTWARE] = opciones.software;
+            return new Blob([this.insertarTextos(png, textos)], { type: 'image/png' });
+        });
+    },
+    
+    /**
+     * Lee los parámetros de diseño guardados en un PNG exportado
+     * @param {Blob} archivo - Archivo PNG
+     * @returns {Promise<string|null>} - Texto de los parámetros, o null si la imagen no los tiene
+     */
+    leerParametros: function(archivo) {
+        return archivo.arrayBuffer().then(png => {
+            const textos = this.leerTextos(png);
+            return CLAVE_PARAMETROS in textos ? textos[CLAVE_PARAMETROS] : null;
+        });
+    },
+    
+    /**
+     * Crea la carpeta "Imagen" del panel de dat.GUI
+     * @param {Object} gui - Instancia de dat.GUI
+     * @param {Object} pagina - Enlace con la página
+     * @param {Object} pagina.opciones - { anchura, altura, transparente, suelo }, que el panel modifica
+     * @param {Function} pagina.exportar - Exporta la imagen con las opciones
+     * @param {Function} pagina.cargar - Recibe el texto de los parámetros de una imagen abierta
+     * @returns {Object} - Carpeta de dat.GUI
+     */
+    crearPanel: function(gui, pagina) {
+        const folder = gui.addFolder('Imagen');
+        const opciones = pagina.opciones;
+        
+        // Selector de archivo oculto para abrir imágenes exportadas
+        const selectorArchivo = document.createElement('input');
+        selectorArchivo.type = 'file';
+        selectorArchivo.accept = '.png,image/png';
+        selectorArchivo.style.display = 'none';
+        document.body.appendChild(selectorArchivo);
+        selectorArchivo.addEventListener('change', () => {
+            const archivo = selectorArchivo.files[0];
+            selectorArchivo.value = '';
+            if (!archivo) return;
+            
+            this.leerParametros(archivo).then(texto => {
+                if (texto === null) {
+                    console.error(`La imagen ${archivo.name} no contiene parámetros de diseño`);
+                    alert(`La imagen ${archivo.name} no contiene parámetros de diseño`);
+                    return;
+                }
+                pagina.cargar(texto);
+            }).catch(error => {
+                console.error('Error al leer la imagen:', error);
+            });
+        });
+        
+        const acciones = {
+            proporcionVista: () => {
+                opciones.altura = Math.round(opciones.anchura * window.innerHeight / window.innerWidth);
+                folder.updateDisplay();
+            },
+            exportar: pagina.exportar,
+            abrir: () => selectorArchivo.click()
+        };
+        
+        folder.add(opciones, 'anchura', 16, MAX_LADO, 1).name('Anchura (px)');
+        folder.add(opciones, 'altura', 16, MAX_LADO, 1).name('Altura (px)');
+        folder.add(acciones, 'proporcionVista').name('Proporción de la vista');
+        folder.add(opciones, 'transparente').name('Fondo transparente');
+        folder.add(opciones, 'suelo').name('Incluir suelo');
+        folder.add(acciones, 'exportar').name('Exportar PNG');
+        folder.add(acciones, 'abrir').name('Abrir diseño de un PNG');
+        
+        return folder;
+    }
+};
+
+export default ExportarImagen;
@@ -0,0 +1,130 @@
+/**
+ * Exportación de la celosía a STL para impresión 3D
+ * Cada malla se exporta con su transformación de mundo ya aplicada (pivotGroup, svgGroup
+ * y la inversión del eje Y del SVG), de modo que el archivo reproduce la escena tal cual.
+ * Cuando la matriz de una malla tiene determinante negativo (inversión del SVG o pajarita
+ * reflejada), el orden de los vértices se invierte para que las caras sigan mirando hacia fuera,
+ * y la normal de cada faceta se recalcula a partir de los vértices ya transformados.
+ */
+
+import * as THREE from './lib/three.module.js';
+
+// Vectores temporales reutilizados para no crear objetos por triángulo
+const vA = new THREE.Vector3();
+const vB = new THREE.Vector3();
+const vC = new THREE.Vector3();
+const ab = new THREE.Vector3();
+const ac = new THREE.Vector3();
+const normal = new THREE.Vector3();
+
+/**
+ * Recorre los triángulos de un conjunto de mallas en coordenadas de mundo
+ * @param {Array<Object>} mallas - { geometry, matrix }
+ * @param {number} escala - Factor aplicado a las coordenadas (unidades de escena a unidades del archivo)
+ * @param {Function} callback - Recibe (a, b, c, normal) para cada triángulo, ya orientado
+ */
+function recorrerTriangulos(mallas, escala, callback) {
+    mallas.forEach(({ geometry, matrix }) => {
+        const position = geometry.getAttribute('position');
+        const index = geometry.getIndex();
+        const numTriangulos = (index ? index.count : position.count) / 3;
+        const invertir = matrix.determinant() < 0;
+        
+        for (let t = 0; t < numTriangulos; t++) {
+            let a = 3 * t;
+            let b = 3 * t + 1;
+            let c = 3 * t + 2;
+            if (index) {
+                a = index.getX(a);
+                b = index.getX(b);
+                c = index.getX(c);
+            }
+            
+            // Con determinante negativo el triángulo transformado queda del revés
+            if (invertir) {
+                [b, c] = [c, b];
+            }
+            
+            vA.fromBufferAttribute(position, a).applyMatrix4(matrix).multiplyScalar(escala);
+            vB.fromBufferAttribute(position, b).applyMatrix4(matrix).multiplyScalar(escala);
+            vC.fromBufferAttribute(position, c).applyMatrix4(matrix).multiplyScalar(escala);
+            
+            normal.crossVectors(ab.subVectors(vB, vA), ac.subVectors(vC, vA));
+            
+            // Descartar triángulos degenerados
+            if (normal.lengthSq() === 0) continue;
+            normal.normalize();
+            
+            callback(vA, vB, vC, normal);
+        }
+    });
+}
+
+const ExportarSTL = {
+    /**
+     * Genera un STL binario
+     * @param {Array<Object>} mallas - { geometry, matrix } con la matriz de mundo de cada malla
+     * @param {number} escala - Factor aplicado a las coordenadas
+     * @returns {ArrayBuffer} - Contenido del archivo
+     */
+    binario: function(mallas, escala = 1) {
+        // Primera pasada para contar los triángulos válidos
+        let numTriangulos = 0;
+        recorrerTriangulos(mallas, escala, () => numTriangulos++);
+        
+        // Cabecera de 80 bytes, número de triángulos y 50 bytes por triángulo
+        const buffer = new ArrayBuffer(84 + 50 * numTriangulos);
+        const view = new DataView(buffer);
+        const cabecera = 'Celosia de pajaritas - P03GeoVisual3D';
+        for (let i = 0; i < cabecera.length; i++) {
+            view.setUint8(i, cabecera.charCodeAt(i));
+        }
+        view.setUint32(80, numTriangulos, true);
+        
+        let offset = 84;
+        const escribir = v => {
+            view.setFloat32(offset, v.x, true);
+            view.setFloat32(offset + 4, v.y, true);
+            view.setFloat32(offset + 8, v.z, true);
+            offset += 12;
+        };
+        
+        recorrerTriangulos(mallas, escala, (a, b, c, n) => {
+            escribir(n);
+            escribir(a);
+            escribir(b);
+            escribir(c);
+            view.setUint16(offset, 0, true); // Atributos (sin uso)
+            offset += 2;
+        });
+        
+        return buffer;
+    },
+    
+    /**
+     * Genera un STL en texto (ASCII)
+     * @param {Array<Object>} mallas - { geometry, matrix } con la matriz de mundo de cada malla
+     * @param {number} escala - Factor aplicado a las coordenadas
+     * @param {string} nombre - Nombre del sólido
+     * @returns {string} - Contenido del archivo
+     */
+    ascii: function(mallas, escala = 1, nombre = 'celosia') {
+        const lineas = [`solid ${nombre}`];
+        const formato = v => `${v.x.toExponential(6)} ${v.y.toExponential(6)} ${v.z.toExponential(6)}`;
+        
+        recorrerTriangulos(mallas, escala, (a, b, c, n) => {
+            lineas.push(`  facet normal ${formato(n)}`);
+            lineas.push('    outer loop');
+            lineas.push(`      vertex ${formato(a)}`);
+            lineas.push(`      vertex ${formato(b)}`);
+            lineas.push(`      vertex ${formato(c)}`);
+            lineas.push('    endloop');
+            lineas.push('  endfacet');
+        });
+        
+        lineas.push(`endsolid ${nombre}`);
+        return lineas.join('\n') + '\n';
+    }
+};
+
+export default ExportarSTL;
@@ -0,0 +1,172 @@
+/**
+ * Gizmo para mover un punto con el ratón
+ * Muestra una esfera (el asa) sobre el punto; al arrastrarla se desplaza por el plano que pasa
+ * por ella y mira a la cámara, de modo que sigue al puntero desde cualquier punto de vista.
+ * Mientras se arrastra se desactivan los controles de órbita. Las páginas lo usan, por
+ * ejemplo, para colocar las luces (ver LucesEscena).
+ */
+
+import * as THREE from './lib/three.module.js';
+
+// Radio del asa en unidades de la escena
+const RADIO_ASA = 0.25;
+
+// Color del asa en reposo y mientras se arrastra
+const COLOR_ASA = 0xffd400;
+const COLOR_ARRASTRE = 0xff7a00;
+
+/**
+ * Convierte un evento del puntero a coordenadas normalizadas del canvas
+ * @param {PointerEvent} event - Evento del puntero
+ * @param {HTMLCanvasElement} canvas - Canvas del renderer
+ * @returns {THREE.Vector2} - Coordenadas entre -1 y 1
+ */
+function coordenadasPuntero(event, canvas) {
+    const rect = canvas.getBoundingClientRect();
+    return new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+}
+
+const GizmoPosicion = {
+    /**
+     * Crea el gizmo (oculto) en una escena
+     * @param {Object} contexto - Objeto devuelto por EscenaBase.crear()
+     * @returns {Object} - Estado del gizmo
+     */
+    crear: function(contexto) {
+        // El asa se dibuja siempre encima, aunque quede detrás de las pajaritas
+        const asa = new THREE.Mesh(
+            new THREE.SphereGeometry(RADIO_ASA, 16, 12),
+            new THREE.MeshBasicMaterial({ color: COLOR_ASA, depthTest: false, transparent: true, opacity: 0.85 })
+        );
+        asa.renderOrder = 999;
+        asa.visible = false;
+        contexto.scene.add(asa);
+        
+        const gizmo = {
+            contexto: contexto,
+            asa: asa,
+            raycaster: new THREE.Raycaster(),
+            plano: new THREE.Plane(),
+            desfase: new THREE.Vector3(), // Del punto donde se agarró el asa a su centro
+            arrastrando: false,
+            alMover: null,
+            alSoltar: null
+        };
+        
+        const canvas = contexto.renderer.domElement;
+        canvas.addEventListener('pointerdown', event => this.agarrar(gizmo, event));
+        canvas.addEventListener('pointermove', event => this.arrastrar(gizmo, event));
+        canvas.addEventListener('pointerup', () => this.soltar(gizmo));
+        
+        return gizmo;
+    },
+    
+    /**
+     * Muestra el asa sobre un punto
+     * @param {Object} gizmo - Objeto devuelto por crear()
+     * @param {Array<number>} posicion - [x, y, z] inicial
+     * @param {Object} callbacks - { alMover(posicion), alSoltar(posicion) } con la posición como [x, y, z];
+     * alMover se llama mientras se arrastra y alSoltar al terminar el arrastre
+     */
+    mostrar: function(gizmo, posicion, callbacks) {
+        gizmo.asa.position.fromArray(posicion);
+        gizmo.asa.visible = true;
+        gizmo.alMover = callbacks.alMover || null;
+        gizmo.alSoltar = callbacks.alSoltar || null;
+    },
+    
+    /**
+     * Oculta el asa y olvida sus callbacks
+     * @param {Object} gizmo - Objeto devuelto por crear()
+     */
+    ocultar: function(gizmo) {
+        this.soltar(gizmo);
+        gizmo.asa.visible = false;
+        gizmo.alMover = null;
+        gizmo.alSoltar = null;
+    },
+    
+    /**
+     * Indica si el asa está visible
+     * @param {Object} gizmo - Objeto devuelto por crear()
+     * @returns {boolean} - true si se está mostrando
+     */
+    visible: function(gizmo) {
+        return gizmo.asa.visible;
+    },
+    
+    /**
+     * Busca el asa bajo el puntero
+     * Sirve también a otros manejadores del puntero (la selección de pajaritas, por ejemplo) para
+     * no interpretar como suyo un clic sobre el asa
+     * @param {Object} gizmo - Objeto devuelto por crear()
+     * @param {PointerEvent} event - Evento del puntero
+     * @returns {Object|null} - Intersección con el asa, o null si no está visible o el puntero no está sobre ella
+     */
+    bajoPuntero: function(gizmo, event) {
+        if (!gizmo.asa.visible) return null;
+        
+        const { camera, renderer } = gizmo.contexto;
+        gizmo.raycaster.setFromCamera(coordenadasPuntero(event, renderer.domElement), camera);
+        return gizmo.raycaster.intersectObject(gizmo.asa)[0] || null;
+    },
+    
+    /**
+     * Empieza a arrastrar si el puntero está sobre el asa
+     * @param {Object} gizmo - Objeto devuelto por crear()
+     * @param {PointerEvent} event - Evento pointerdown
+     */
+    agarrar: function(gizmo, event) {
+        if (event.button !== 0) return;
+        
+        const interseccion = this.bajoPuntero(gizmo, event);
+        if (!interseccion) return;
+        
+        const { camera, controls } = gizmo.contexto;
+        
+        // Plano perpendicular a la vista que pasa por el asa
+        const normal = camera.getWorldDirection(new THREE.Vector3());
+        gizmo.plano.setFromNormalAndCoplanarPoint(normal, gizmo.asa.position);
+        gizmo.desfase.copy(gizmo.asa.position).sub(interseccion.point);
+        
+        // Los controles de órbita ya han recibido el evento: desactivados, ignoran el arrastre
+        controls.enabled = false;
+        gizmo.arrastrando = true;
+        gizmo.asa.material.color.setHex(COLOR_ARRASTRE);
+    },
+    
+    /**
+     * Mueve el asa con el puntero durante el arrastre
+     * @param {Object} gizmo - Objeto devuelto por crear()
+     * @param {PointerEvent} event - Evento pointermove
+     */
+    arrastrar: function(gizmo, event) {
+        if (!gizmo.arrastrando) return;
+        
+        const { camera, renderer } = gizmo.contexto;
+        gizmo.raycaster.setFromCamera(coordenadasPuntero(event, renderer.domElement), camera);
+        const punto = gizmo.raycaster.ray.intersectPlane(gizmo.plano, new THREE.Vector3());
+        if (!punto) return;
+        
+        gizmo.asa.position.copy(punto).add(gizmo.desfase);
+        if (gizmo.alMover) gizmo.alMover(gizmo.asa.position.toArray());
+    },
+    
+    /**
+     * Termina el arrastre, si lo hay
+     * @param {Object} gizmo - Objeto devuelto por crear()
+     */
+    soltar: function(gizmo) {
+        if (!gizmo.arrastrando) return;
+        
+        gizmo.arrastrando = false;
+        gizmo.contexto.controls.enabled = true;
+        gizmo.asa.material.color.setHex(COLOR_ASA);
+        if (gizmo.alSoltar) gizmo.alSoltar(gizmo.asa.position.toArray());
+    }
+};
+
+export default GizmoPosicion;
@@ -0,0 +1,320 @@
+/**
+ * Grabación de la animación como vídeo WebM o secuencia de PNG
+ * El grabador detiene el bucle de EscenaBase y evalúa él mismo la animación en instantes fijos del
+ * reloj (1/fps segundos por fotograma multiplicados por la escala de tiempo, sin contar la pausa ni el
+ * tiempo real de requestAnimationFrame), de modo que el resultado no depende de lo que tarde cada
+ * fotograma en renderizarse y la misma grabación desde el mismo instante da el mismo vídeo.
+ * Cada fotograma se renderiza a la resolución pedida y se copia en un canvas 2D, del que se graba:
+ * - 'webm': con MediaRecorder sobre captureStream(0), pidiendo un fotograma cada 1/fps segundos
+ *   (si el renderizado no llega a tiempo, ese fotograma dura más en el vídeo y se avisa)
+ * - 'png': cada fotograma como PNG, empaquetados en un ZIP (ver ArchivoZip)
+ * Con la opción bucle la duración es exactamente una vuelta de la rotación: el paso se ajusta
+ * para que el fotograma siguiente al último coincida con el primero y el vídeo encadene sin saltos.
+ */
+
+import EscenaBase from './escena-base.js';
+import RelojAnimacion from './reloj-animacion.js';
+import ArchivoZip from './archivo-zip.js';
+
+// Formatos de salida
+const FORMATOS = ['webm', 'png'];
+
+// Fotogramas por segundo disponibles en el panel
+const OPCIONES_FPS = [24, 25, 30, 50, 60];
+
+// Tipos de vídeo por orden de preferencia
+const TIPOS_WEBM = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Calidad del vídeo: bits por píxel y fotograma
+const BITS_POR_PIXEL = 0.15;
+
+// Lado máximo de los fotogramas
+const MAX_LADO = 4096;
+
+/**
+ * Espera un tiempo
+ * @param {number} milisegundos - Tiempo de espera
+ * @returns {Promise<void>} - Se resuelve al cumplirse
+ */
+function esperar(milisegundos) {
+    return new Promise(resolve => setTimeout(resolve, milisegundos));
+}
+
+/**
+ * Codifica un canvas como PNG
+ * @param {HTMLCanvasElement} lienzo - Canvas
+ * @returns {Promise<Blob>} - Imagen PNG
+ */
+function aPNG(lienzo) {
+    return new Promise((resolve, reject) => {
+        lienzo.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('El navegador no ha podido codificar el fotograma'));
+            }
+        }, 'image/png');
+    });
+}
+
+const GrabadorAnimacion = {
+    /**
+     * Formatos de salida
+     */
+    formatos: FORMATOS,
+    
+    /**
+     * Número de fotogramas y paso del reloj entre ellos
+     * @param {Object} opciones - { duracion, fps, bucle, periodo, escala } con la duración del vídeo en
+     * segundos, el periodo (una vuelta de la rotación, o null si no gira nada) en segundos del reloj y
+     * la escala de tiempo del reloj
+     * @returns {Object} - { total, paso } con el paso en segundos del reloj
+     */
+    fotogramas: function(opciones) {
+        const { duracion, fps, bucle = false, periodo = null, escala = 1 } = opciones;
+        
+        if (bucle && periodo) {
+            const total = Math.max(1, Math.round((periodo / escala) * fps));
+            return { total, paso: periodo / total };
+        }
+        return { total: Math.max(1, Math.round(duracion * fps)), paso: escala / fps };
+    },
+    
+    /**
+     * Prepara una grabación
+     * @param {Object} contexto - Objeto devuelto por EscenaBase.crear(), con el bucle de animar() en marcha
+     * @param {Object} opciones - Parámetros de la grabación
+     * @param {string} opciones.formato - 'webm' o 'png'
+     * @param {number} opciones.duracion - Segundos (si no se graba en bucle)
+     * @param {number} opciones.fps - Fotogramas por segundo
+     * @param {number} opciones.anchura - Anchura de los fotogramas en píxeles
+     * @param {number} opciones.altura - Altura de los fotogramas en píxeles
+     * @param {boolean} opciones.bucle - Grabar exactamente una vuelta de la rotación
+     * @param {number|null} opciones.periodo - Segundos del reloj que tarda una vuelta, o null si no gira nada
+     * @param {Array<THREE.Object3D>} opciones.ocultar - Objetos que no deben aparecer
+     * @returns {Object} - Estado de la grabación
+     */
+    crear: function(contexto, opciones) {
+        return { contexto: contexto, opciones: opciones, cancelada: false };
+    },
+    
+    /**
+     * Graba la animación
+     * Mientras dura, el bucle de la página está detenido y los controles de órbita desactivados;
+     * al terminar (o fallar) se restauran, y el reloj queda en el instante que seguiría al último fotograma
+     * @param {Object} grabacion - Objeto devuelto por crear()
+     * @param {Function} alProgresar - Recibe (fotograma, total) tras cada fotograma (opcional)
+     * @returns {Promise<Blob>} - Vídeo WebM o ZIP con los PNG
+     */
+    grabar: function(grabacion, alProgresar = () => {}) {
+        const { contexto, opciones } = grabacion;
+        const { renderer, scene, camera, controls } = contexto;
+        const { formato, fps, ocultar = [] } = opciones;
+        const anchura = Math.min(opciones.anchura, renderer.capabilities.maxTextureSize);
+        const altura = Math.min(opciones.altura, renderer.capabilities.maxTextureSize);
+        const { total, paso } = this.fotogramas({ ...opciones, escala: contexto.reloj.escala });
+        const inicio = contexto.reloj.tiempo;
+        
+        const lienzo = document.createElement('canvas');
+        lienzo.width = anchura;
+        lienzo.height = altura;
+        const contexto2d = lienzo.getContext('2d');
+        
+        // Estado que se restaura al terminar (el tamaño, el de la ventana en ese momento)
+        const pixelRatio = renderer.getPixelRatio();
+        const ocultos = ocultar.filter(Boolean);
+        const visibles = ocultos.map(objeto => objeto.visible);
+        
+        contexto.grabando = true;
+        controls.enabled = false;
+        ocultos.forEach(objeto => { objeto.visible = false; });
+        renderer.setPixelRatio(1);
+        renderer.setSize(anchura, altura, false);
+        camera.aspect = anchura / altura;
+        camera.updateProjectionMatrix();
+        
+        const restaurar = () => {
+            ocultos.forEach((objeto, i) => { objeto.visible = visibles[i]; });
+            renderer.setPixelRatio(pixelRatio);
+            EscenaBase.ajustarTamano(contexto);
+            controls.enabled = true;
+            contexto.grabando = false;
+        };
+        
+        // El fotograma i es el instante inicio + i·paso (el primero, el actual)
+        const dibujar = i => {
+            if (grabacion.cancelada) throw new Error('Grabación cancelada');
+            RelojAnimacion.fijar(contexto.reloj, inicio + i * paso);
+            EscenaBase.evaluar(contexto);
+            renderer.render(scene, camera);
+            contexto2d.drawImage(renderer.domElement, 0, 0);
+        };
+        
+        console.log(`Grabando ${total} fotogramas de ${anchura}×${altura} a ${fps} fps (${(total / fps).toFixed(2)} s, ${formato.toUpperCase()})`);
+        
+        const grabado = formato === 'png'
+            ? this.grabarPNG(lienzo, total, dibujar, alProgresar)
+            : this.grabarWebM(lienzo, total, fps, dibujar, alProgresar);
+        
+        return grabado.then(blob => {
+            // Dejar el reloj en el fotograma que seguiría al último (en bucle, una vuelta después del primero)
+            RelojAnimacion.fijar(contexto.reloj, inicio + total * paso);
+            return blob;
+        }).finally(restaurar);
+    },
+    
+    /**
+     * Graba los fotogramas como secuencia de PNG en un ZIP
+     * @param {HTMLCanvasElement} lienzo - Canvas 2D donde dibujar() deja cada fotograma
+     * @param {number} total - Número de fotogramas
+     * @param {Function} dibujar - Dibuja el fotograma i en el canvas
+     * @param {Function} alProgresar - Recibe (fotograma, total)
+     * @returns {Promise<Blob>} - Archivo ZIP
+     */
+    grabarPNG: function(lienzo, total, dibujar, alProgresar) {
+        const zip = ArchivoZip.crear();
+        const crcs = [];
+        const digitos = Math.max(4, String(total - 1).length);
+        
+        const fotograma = i => {
+            if (i >= total) {
+                return Promise.all(crcs).then(() => ArchivoZip.generar(zip));
+            }
+            
+            dibujar(i);
+            return aPNG(lienzo).then(png => {
+                crcs.push(ArchivoZip.anadir(zip, `fotograma-${String(i).padStart(digitos, '0')}.png`, png));
+                alProgresar(i + 1, total);
+                return fotograma(i + 1);
+            });
+        };
+        
+        return Promise.resolve().then(() => fotograma(0));
+    },
+    
+    /**
+     * Graba los fotogramas como vídeo WebM con MediaRecorder
+     * @param {HTMLCanvasElement} lienzo - Canvas 2D donde dibujar() deja cada fotograma
+     * @param {number} total - Número de fotogramas
+     * @param {number} fps - Fotogramas por segundo
+     * @param {Function} dibujar - Dibuja el fotograma i en el canvas
+     * @param {Function} alProgresar - Recibe (fotograma, total)
+     * @returns {Promise<Blob>} - Vídeo WebM
+     */
+    grabarWebM: function(lienzo, total, fps, dibujar, alProgresar) {
+        const tipo = typeof MediaRecorder !== 'undefined' && TIPOS_WEBM.find(t => MediaRecorder.isTypeSupported(t));
+        if (!tipo) {
+            return Promise.reject(new Error('Este navegador no puede grabar WebM (prueba la secuencia de PNG)'));
+        }
+        
+        // Con captureStream(0) el flujo solo recibe los fotogramas que se piden con requestFrame()
+        const flujo = lienzo.captureStream(0);
+        const pista = flujo.getVideoTracks()[0];
+        const grabadora = new MediaRecorder(flujo, {
+            mimeType: tipo,
+            videoBitsPerSecond: Math.round(lienzo.width * lienzo.height * fps * BITS_POR_PIXEL)
+        });
+        const trozos = [];
+        grabadora.ondataavailable = event => {
+            if (event.data.size > 0) trozos.push(event.data);
+        };
+        const detenida = new Promise(resolve => {
+            grabadora.onstop = () => resolve(new Blob(trozos, { type: 'video/webm' }));
+        });
+        
+        const intervalo = 1000 / fps;
+        let inicio = 0;
+        let retrasados = 0;
+        
+        const fotograma = i => {
+            if (i >= total) {
+                grabadora.stop();
+                return detenida;
+            }
+            
+            dibujar(i);
+            pista.requestFrame();
+            alProgresar(i + 1, total);
+            
+            // El siguiente fotograma se pide en su momento, para que el vídeo tenga la duración correcta
+            const espera = inicio + (i + 1) * intervalo - performance.now();
+            if (espera < 0) retrasados++;
+            return esperar(Math.max(0, espera)).then(() => fotograma(i + 1));
+        };
+        
+        grabadora.start();
+        inicio = performance.now();
+        
+        return Promise.resolve().then(() => fotograma(0)).then(blob => {
+            if (retrasados > 0) {
+                console.warn(`${retrasados} fotogramas no se renderizaron a tiempo y duran más en el vídeo; baja la resolución o graba la secuencia de PNG`);
+            }
+            flujo.getTracks().forEach(track => track.stop());
+            return blob;
+        }, error => {
+            if (grabadora.state !== 'inactive') grabadora.stop();
+            flujo.getTracks().forEach(track => track.stop());
+            throw error;
+        });
+    },
+    
+    /**
+     * Cancela una grabación en curso (se detiene antes del siguiente fotograma)
+     * @param {Object} grabacion - Objeto devuelto por crear()
+     */
+    cancelar: function(grabacion) {
+        grabacion.cancelada = true;
+    },
+    
+    /**
+     * Crea la carpeta "Grabación" del panel de dat.GUI
+     * @param {Object} gui - Instancia de dat.GUI
+     * @param {Object} pagina - Enlace con la página
+     * @param {Object} pagina.opciones - { formato, duracion, fps, anchura, altura, bucle }, que el panel modifica
+     * @param {Function} pagina.grabar - Recibe alProgresar(fotograma, total) y devuelve una promesa
+     * que se resuelve al terminar la grabación
+     * @param {Function} pagina.cancelar - Cancela la grabación en curso
+     * @returns {Object} - Carpeta de dat.GUI
+     */
+    crearPanel: function(gui, pagina) {
+        const folder = gui.addFolder('Grabación');
+        const opciones = pagina.opciones;
+        let grabando = false;
+        
+        const acciones = {
+            proporcionVista: () => {
+                opciones.altura = Math.round(opciones.anchura * window.innerHeight / window.innerWidth);
+                folder.updateDisplay();
+            },
+            grabar: () => {
+                if (grabando) return;
+                grabando = true;
+                pagina.grabar((fotograma, total) => {
+                    boton.name(`Grabando… ${Math.round((fotograma / total) * 100)} %`);
+                }).finally(() => {
+                    grabando = false;
+                    boton.name('Grabar');
+                });
+            },
+            cancelar: () => {
+                if (grabando) pagina.cancelar();
+            }
+        };
+        
+        folder.add(opciones, 'formato', { 'Vídeo WebM': 'webm', 'Secuencia PNG (ZIP)': 'png' }).name('Formato');
+        folder.add(opciones, 'bucle').name('Una vuelta (bucle)');
+        folder.add(opciones, 'duracion', 0.5, 120, 0.5).name('Duración (s)');
+        folder.add(opciones, 'fps', OPCIONES_FPS).name('Fotogramas/s').onFinishChange(fps => {
+            opciones.fps = Number(fps);
+        });
+        folder.add(opciones, 'anchura', 16, MAX_LADO, 1).name('Anchura (px)');
+        folder.add(opciones, 'altura', 16, MAX_LADO, 1).name('Altura (px)');
+        folder.add(acciones, 'proporcionVista').name('Proporción de la vista');
+        const boton = folder.add(acciones, 'grabar').name('Grabar');
+        folder.add(acciones, 'cancelar').name('Cancelar');
+        
+        return folder;
+    }
+};
+
+export default GrabadorAnimacion;
@@ -0,0 +1,384 @@
+/**
+ * Motor de disposición basado en los 17 grupos cristalográficos planos (grupos de papel pintado)
+ * Dada una pesa (la pajarita colocada en su dominio fundamental), un grupo de simetría,
+ * los vectores de la red y una región, devuelve la lista de transformaciones de cada pesa.
+ *
+ * Cada transformación es { x, y, rotacion, espejo }: primero se refleja la pesa respecto a
+ * su eje X local (si espejo es true), después se gira `rotacion` radianes alrededor del eje Z
+ * y por último se traslada a (x, y). Es exactamente la transformación de un pivotGroup
+ * con scale.y = -1 para el espejo.
+ *
+ * Las disposiciones de crearAnilloInterior, crearCelosiaRadial y el teselado hexagonal
+ * se exponen como presets del motor.
+ */
+
+import * as THREE from './lib/three.module.js';
+
+/**
+ * Operaciones de cada grupo en el sistema de la celda (a1 sobre el eje X)
+ * Cada operación es { rot, espejo, t }: parte lineal R(rot)·S (S refleja Y si espejo)
+ * y traslación t en coordenadas fraccionarias de la red (según las tablas internacionales)
+ */
+const op = (rot, espejo = false, t = [0, 0]) => ({ rot, espejo, t });
+const PI = Math.PI;
+
+const GRUPOS = {
+    p1:   { red: 'oblicua', ops: [op(0)] },
+    p2:   { red: 'oblicua', ops: [op(0), op(PI)] },
+    pm:   { red: 'rectangular', ops: [op(0), op(PI, true)] },
+    pg:   { red: 'rectangular', ops: [op(0), op(PI, true, [0, 0.5])] },
+    cm:   { red: 'rectangular', centrada: true, ops: [op(0), op(PI, true)] },
+    pmm:  { red: 'rectangular', ops: [op(0), op(PI), op(PI, true), op(0, true)] },
+    pmg:  { red: 'rectangular', ops: [op(0), op(PI), op(PI, true, [0.5, 0]), op(0, true, [0.5, 0])] },
+    pgg:  { red: 'rectangular', ops: [op(0), op(PI), op(PI, true, [0.5, 0.5]), op(0, true, [0.5, 0.5])] },
+    cmm:  { red: 'rectangular', centrada: true, ops: [op(0), op(PI), op(PI, true), op(0, true)] },
+    p4:   { red: 'cuadrada', ops: [op(0), op(PI / 2), op(PI), op(3 * PI / 2)] },
+    p4m:  { red: 'cuadrada', ops: [
+        op(0), op(PI / 2), op(PI), op(3 * PI / 2),
+        op(0, true), op(PI / 2, true), op(PI, true), op(3 * PI / 2, true)
+    ] },
+    p4g:  { red: 'cuadrada', ops: [
+        op(0), op(PI / 2), op(PI), op(3 * PI / 2),
+        op(0, true, [0.5, 0.5]), op(PI / 2, true, [0.5, 0.5]), op(PI, true, [0.5, 0.5]), op(3 * PI / 2, true, [0.5, 0.5])
+    ] },
+    p3:   { red: 'hexagonal', ops: [op(0), op(2 * PI / 3), op(4 * PI / 3)] },
+    // Espejos perpendiculares a los vectores de la red (30°, 90°, 150°)
+    p3m1: { red: 'hexagonal', ops: [
+        op(0), op(2 * PI / 3), op(4 * PI / 3),
+        op(PI / 3, true), op(PI, true), op(5 * PI / 3, true)
+    ] },
+    // Espejos a lo largo de los vectores de la red (0°, 60°, 120°)
+    p31m: { red: 'hexagonal', ops: [
+        op(0), op(2 * PI / 3), op(4 * PI / 3),
+        op(0, true), op(2 * PI / 3, true), op(4 * PI / 3, true)
+    ] },
+    p6:   { red: 'hexagonal', ops: [0, 1, 2, 3, 4, 5].map(k => op(k * PI / 3)) },
+    p6m:  { red: 'hexagonal', ops: [
+        ...[0, 1, 2, 3, 4, 5].map(k => op(k * PI / 3)),
+        ...[0, 1, 2, 3, 4, 5].map(k => op(k * PI / 3, true))
+    ] }
+};
+
+// Ángulo entre a1 y a2 de la red por defecto de cada tipo
+const ANGULOS_RED = {
+    oblicua: 75 * PI / 180,
+    rectangular: PI / 2,
+    cuadrada: PI / 2,
+    hexagonal: 2 * PI / 3
+};
+
+/**
+ * Compone dos transformaciones { x, y, rotacion, espejo }: primero b y después a
+ * @param {Object} a - Transformación exterior
+ * @param {Object} b - Transformación interior
+ * @returns {Object} - Transformación a ∘ b
+ */
+function componer(a, b) {
+    const cos = Math.cos(a.rotacion);
+    const sin = Math.sin(a.rotacion);
+    // Aplicar la parte lineal de a (S y después R) a la posición de b
+    const by = a.espejo ? -b.y : b.y;
+    
+    return {
+        x: a.x + cos * b.x - sin * by,
+        y: a.y + sin * b.x + cos * by,
+        // R(α)·S·R(β) = R(α - β)·S
+        rotacion: a.espejo ? a.rotacion - b.rotacion : a.rotacion + b.rotacion,
+        espejo: a.espejo !== b.espejo
+    };
+}
+
+/**
+ * Comprueba si una posición está dentro de la región
+ * @param {number} x - Coordenada X
+ * @param {number} y - Coordenada Y
+ * @param {Object} region - { tipo: 'radio', radio } o { tipo: 'rectangulo', ancho, alto }
+ * @returns {boolean} - true si está dentro
+ */
+function dentroDeRegion(x, y, region) {
+    const cx = x - (region.centro?.x || 0);
+    const cy = y - (region.centro?.y || 0);
+    const margen = 1e-9;
+    
+    if (region.tipo === 'rectangulo') {
+        return Math.abs(cx) <= region.ancho / 2 + margen && Math.abs(cy) <= region.alto / 2 + margen;
+    }
+    
+    return cx * cx + cy * cy <= region.radio * region.radio + margen;
+}
+
+/**
+ * Distancia en celdas entre la celda (i, j) y la celda central
+ * En redes hexagonales (a2 a 120° de a1) es la distancia hexagonal; en el resto, la de Chebyshev
+ * @param {number} i - Índice de celda en a1
+ * @param {number} j - Índice de celda en a2
+ * @param {boolean} hexagonal - Si la red es hexagonal
+ * @returns {number} - Anillo de la celda
+ */
+function anilloDeCelda(i, j, hexagonal) {
+    if (hexagonal) {
+        return Math.max(Math.abs(i), Math.abs(j), Math.abs(i - j));
+    }
+    return Math.max(Math.abs(i), Math.abs(j));
+}
+
+const GruposSimetria = {
+    /**
+     * Nombres de los grupos disponibles
+     */
+    grupos: Object.keys(GRUPOS),
+    
+    /**
+     * Tipo de red que requiere un grupo ('oblicua', 'rectangular', 'cuadrada' o 'hexagonal')
+     * @param {string} grupo - Nombre del grupo
+     * @returns {string} - Tipo de red
+     */
+    tipoRed: function(grupo) {
+        if (!GRUPOS[grupo]) {
+            throw new Error(`Grupo de simetría desconocido: ${grupo}`);
+        }
+        return GRUPOS[grupo].red;
+    },
+    
+    /**
+     * Número de operaciones del grupo por punto de red (orden del grupo puntual)
+     * @param {string} grupo - Nombre del grupo
+     * @returns {number} - Número de pesas por celda primitiva
+     */
+    numOperaciones: function(grupo) {
+        this.tipoRed(grupo);
+        return GRUPOS[grupo].ops.length;
+    },
+    
+    /**
+     * Vectores de red por defecto para un grupo
+     * @param {string} grupo - Nombre del grupo
+     * @param {number} longitud - Longitud de a1
+     * @param {number} angulo - Orientación de a1 en radianes
+     * @param {number} proporcion - |a2| / |a1| (solo redes oblicuas y rectangulares)
+     * @returns {Object} - { a1, a2 } como THREE.Vector2
+     */
+    redPorDefecto: function(grupo, longitud = 1, angulo = 0, proporcion = 1) {
+        const red = this.tipoRed(grupo);
+        const longitud2 = (red === 'cuadrada' || red === 'hexagonal') ? longitud : longitud * proporcion;
+        const a1 = new THREE.Vector2(Math.cos(angulo), Math.sin(angulo)).multiplyScalar(longitud);
+        const a2 = new THREE.Vector2(Math.cos(angulo + ANGULOS_RED[red]), Math.sin(angulo + ANGULOS_RED[red])).multiplyScalar(longitud2);
+        
+        return { a1, a2 };
+    },
+    
+    /**
+     * Genera las transformaciones de todas las pesas de un grupo dentro de una región
+     * @param {Object} opciones - Parámetros de la disposición
+     * @param {string} opciones.grupo - Nombre del grupo ('p1', 'p2', ..., 'p6m')
+     * @param {THREE.Vector2} opciones.a1 - Primer vector de la red
+     * @param {THREE.Vector2} opciones.a2 - Segundo vector de la red
+     * @param {Object} opciones.region - { tipo: 'radio', radio }, { tipo: 'rectangulo', ancho, alto }
+     * (ambas con `centro` opcional) o { tipo: 'anillos', anillos } para contar celdas alrededor del origen
+     * @param {Object} opciones.pesa - Transformación de la pesa en el dominio fundamental { x, y, rotacion, espejo }
+     * @param {boolean} opciones.incluirCeldaCentral - Si se incluye la celda (0, 0)
+     * @returns {Array<Object>} - { x, y, rotacion, espejo, celda: [i, j], anillo, operacion }
+     */
+    generar: function(opciones) {
+        const {
+            grupo = 'p1',
+            a1,
+            a2,
+            region = { tipo: 'anillos', anillos: 0 },
+            pesa = { x: 0, y: 0, rotacion: 0, espejo: false },
+            incluirCeldaCentral = true
+        } = opciones;
+        
+        const definicion = GRUPOS[grupo];
+        if (!definicion) {
+            throw new Error(`Grupo de simetría desconocido: ${grupo}`);
+        }
+        
+        const pesaBase = { x: 0, y: 0, rotacion: 0, espejo: false, ...pesa };
+        const alfa = Math.atan2(a1.y, a1.x);
+        const hexagonal = definicion.red === 'hexagonal';
+        
+        // Traslaciones de centrado (redes rómbicas cm y cmm)
+        const centrados = definicion.centrada ? [[0, 0], [0.5, 0.5]] : [[0, 0]];
+        
+        // Rango de celdas a recorrer para cubrir la región
+        let rango;
+        if (region.tipo === 'anillos') {
+            rango = region.anillos;
+        } else {
+            const extension = region.tipo === 'rectangulo'
+                ? Math.hypot(region.ancho, region.alto) / 2
+                : region.radio;
+            const centro = Math.hypot(region.centro?.x || 0, region.centro?.y || 0);
+            // Altura mínima de la celda: área / lado más largo
+            const area = Math.abs(a1.x * a2.y - a1.y * a2.x);
+            const alturaMinima = area / Math.max(a1.length(), a2.length());
+            rango = Math.ceil((extension + centro) / alturaMinima) + 1;
+        }
+        
+        const transformaciones = [];
+        
+        for (let i = -rango; i <= rango; i++) {
+            for (let j = -rango; j <= rango; j++) {
+                const anillo = anilloDeCelda(i, j, hexagonal);
+                if (region.tipo === 'anillos' && anillo > region.anillos) continue;
+                if (anillo === 0 && !incluirCeldaCentral) continue;
+                
+                centrados.forEach(centrado => {
+                    definicion.ops.forEach((operacion, indiceOp) => {
+                        // Traslación fraccionaria total de la operación en esta celda
+                        const u = i + centrado[0] + operacion.t[0];
+                        const v = j + centrado[1] + operacion.t[1];
+                        
+                        // La operación está definida con a1 sobre el eje X:
+                        // se conjuga con la rotación de la red, R(α)·R(θ)·S·R(-α) = R(2α + θ)·S
+                        const transformacionOp = {
+                            x: u * a1.x + v * a2.x,
+                            y: u * a1.y + v * a2.y,
+                            rotacion: operacion.espejo ? 2 * alfa + operacion.rot : operacion.rot,
+                            espejo: operacion.espejo
+                        };
+                        
+                        const t = componer(transformacionOp, pesaBase);
+                        
+                        if (region.tipo !== 'anillos' && !dentroDeRegion(t.x, t.y, region)) return;
+                        
+                        transformaciones.push({
+                            ...t,
+                            celda: [i, j],
+                            anillo: anillo,
+                            operacion: indiceOp
+                        });
+                    });
+                });
+            }
+        }
+        
+        return transformaciones;
+    },
+    
+    /**
+     * Disposiciones predefinidas de la celosía
+     * Todas devuelven pesas con el mismo formato que generar(), más { z, indice, numPajaritasAnillo }
+     */
+    presets: {
+        /**
+         * Anillo interior: seis pajaritas giradas 60° alrededor del pivot (grupo p6, una sola celda)
+         * @returns {Array<Object>} - Transformaciones de las seis pajaritas
+         */
+        anilloInterior: function() {
+            const { a1, a2 } = GruposSimetria.redPorDefecto('p6');
+            
+            return GruposSimetria.generar({ grupo: 'p6', a1, a2, region: { tipo: 'anillos', anillos: 0 } })
+                .map((t, i) => ({ ...t, z: 0, indice: i, numPajaritasAnillo: 6 }));
+        },
+        
+        /**
+         * Celosía radial: anillos concéntricos con un número de pajaritas proporcional al perímetro
+         * No es periódica, así que no procede de ningún grupo de papel pintado
+         * @param {Object} params - { numRepeticiones, distanciaRepeticiones, desplazamientoRadial,
+         * offsetAngular, alturaZ, factorPajaritas }
+         * @returns {Array<Object>} - Transformaciones de las pajaritas de todos los anillos
+         */
+        celosiaRadial: function(params) {
+            const {
+                numRepeticiones = 4,
+                distanciaRepeticiones = 1.22,
+                desplazamientoRadial = 0,
+                offsetAngular = 0,
+                alturaZ = 0,
+                factorPajaritas = 2.0
+            } = params;
+            
+            // Número base de pajaritas en el anillo interior
+            const numPajaritasBase = 6;
+            const transformaciones = [];
+            
+            // Para cada anillo
+            for (let rep = 1; rep <= numRepeticiones; rep++) {
+                // Calculamos la distancia desde el centro para este anillo
+                // Empezamos desde distanciaRepeticiones para dejar un espacio con el anillo interior
+                // Añadimos el desplazamiento radial que puede ser positivo o negativo
+                const distancia = (distanciaRepeticiones * rep) + (desplazamientoRadial * rep);
+                
+                // El número de pajaritas debe ser proporcional al perímetro del anillo
+                // El perímetro es 2*π*r, así que es directamente proporcional al radio (distancia)
+                // Si el anillo interior (base) tiene 6 pajaritas a una distancia fija,
+                // y queremos mantener la misma densidad lineal, calculamos:
+                //
+                // densidad = numPajaritasBase / (2*π*radioBase)
+                // numPajaritasAnillo = densidad * (2*π*distancia) = numPajaritasBase * (distancia/radioBase)
+                //
+                // Donde radioBase es la distancia al centro del anillo interior (que es 1.0 por convención)
+                // Además, aplicamos un factor multiplicador para ajustar la densidad general
+                const radioBase = 1.0; // Radio del anillo base (interior)
+                const numPajaritasAnillo = Math.max(numPajaritasBase,
+                    Math.round(numPajaritasBase * (distancia / radioBase) * factorPajaritas));
+                const angleStep = (2 * Math.PI) / numPajaritasAnillo;
+                
+                // Para cada pajarita en este anillo
+                for (let i = 0; i < numPajaritasAnillo; i++) {
+                    // Calculamos el ángulo base para esta pajarita
+                    const angulo = i * angleStep;
+                    
+                    // Aplicamos el offset angular
+                    const anguloAjustado = angulo + (offsetAngular * rep);
+                    
+                    transformaciones.push({
+                        // Calcular posición en coordenadas polares (centro + vector radial)
+                        x: distancia * Math.cos(anguloAjustado),
+                        y: distancia * Math.sin(anguloAjustado),
+                        // Z puede incrementarse con cada repetición para crear un efecto de elevación
+                        z: alturaZ * rep,
+                        // Alternamos la rotación para que las pajaritas miren hacia adentro o hacia afuera
+                        rotacion: i % 2 === 0 ? angulo : angulo + Math.PI,
+                        espejo: false,
+                        anillo: rep,
+                        // El índice para determinar el color, alternando colores
+                        indice: i + (rep * numPajaritasAnillo),
+                        numPajaritasAnillo: numPajaritasAnillo
+                    });
+                }
+            }
+            
+            return transformaciones;
+        },
+        
+        /**
+         * Rosetas hexagonales: grupo p6 sobre la red derivada de la pajarita (TeseladoHexagonal)
+         * La roseta central no se incluye porque ya la crea el anillo interior
+         * @param {Object} params - { a1, a2, numAnillos, alturaZ }
+         * @returns {Array<Object>} - Transformaciones de las pajaritas de todas las rosetas
+         */
+        rosetasHexagonales: function(params) {
+            const { a1, a2, numAnillos = 1, alturaZ = 0 } = params;
+            // El grupo p6 usa a2 a 120° de a1; la red es la misma con a2' = a2 - a1
+            const a2Hex = a2.clone().sub(a1);
+            const rosetas = new Map();
+            
+            return GruposSimetria.generar({
+                grupo: 'p6',
+                a1: a1,
+                a2: a2Hex,
+                region: { tipo: 'anillos', anillos: numAnillos },
+                incluirCeldaCentral: false
+            }).map(t => {
+                const clave = t.celda.join(',');
+                if (!rosetas.has(clave)) {
+                    rosetas.set(clave, rosetas.size);
+                }
+                const roseta = rosetas.get(clave);
+                
+                return {
+                    ...t,
+                    z: alturaZ * t.anillo,
+                    roseta: roseta,
+                    indice: roseta * 6 + t.operacion,
+                    numPajaritasAnillo: 6
+                };
+            });
+        }
+    }
+};
+
+export default GruposSimetria;
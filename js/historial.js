@@ -0,0 +1,223 @@
+/**
+ * Historial de cambios de parámetros (deshacer / rehacer)
+ * La página confirma sus parámetros después de cada cambio (una tecla, un control del panel,
+ * un preset...); el historial los compara con los últimos confirmados y guarda un paso con
+ * los valores anteriores y los nuevos de lo que haya cambiado. Deshacer y rehacer entregan
+ * esos valores a la función aplicar de la página, que regenera lo necesario.
+ * Los cambios seguidos de los mismos parámetros (una tecla mantenida, un deslizador arrastrado)
+ * se agrupan en un solo paso.
+ * Los pasos se muestran en una lista; al pulsar uno se vuelve a ese punto del historial.
+ */
+
+// Milisegundos durante los que los cambios de los mismos parámetros se agrupan en un paso
+const INTERVALO_AGRUPAR = 1000;
+
+// Número máximo de pasos guardados
+const LIMITE_PASOS = 100;
+
+// Parámetros enumerados en la descripción de un paso; con más se indica solo cuántos son
+const MAX_DESCRITOS = 3;
+
+/**
+ * Escribe un valor de forma legible en la lista
+ * @param {*} valor - Valor del parámetro
+ * @returns {string} - Texto del valor
+ */
+function formatearValor(valor) {
+    if (typeof valor === 'number') return String(Number(valor.toFixed(3)));
+    if (typeof valor === 'boolean') return valor ? 'sí' : 'no';
+    // Los parámetros compuestos (los ajustes por pajarita) se resumen por su número de entradas
+    if (typeof valor === 'object' && valor !== null) return `(${Object.keys(valor).length})`;
+    return String(valor);
+}
+
+/**
+ * Describe un paso a partir de sus valores anteriores y nuevos
+ * @param {Object} historial - Historial devuelto por Historial.crear()
+ * @param {Object} paso - { antes, despues, motivo }
+ * @returns {string} - Descripción del paso
+ */
+function describirPaso(historial, paso) {
+    const nombres = Object.keys(paso.despues);
+    const cambios = nombres.length > MAX_DESCRITOS
+        ? `${nombres.length} parámetros`
+        : nombres.map(nombre =>
+            `${historial.etiqueta(nombre)} ${formatearValor(paso.antes[nombre])} → ${formatearValor(paso.despues[nombre])}`
+        ).join(', ');
+    
+    return paso.motivo ? `${paso.motivo}: ${cambios}` : cambios;
+}
+
+/**
+ * Crea la lista del historial (oculta mientras no haya pasos)
+ * @returns {HTMLElement} - Lista
+ */
+function crearLista() {
+    const lista = document.createElement('div');
+    lista.id = 'historial';
+    lista.style.position = 'absolute';
+    lista.style.bottom = '10px';
+    lista.style.right = '10px';
+    lista.style.maxWidth = '320px';
+    lista.style.maxHeight = '30%';
+    lista.style.overflowY = 'auto';
+    lista.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    lista.style.color = 'white';
+    lista.style.padding = '6px 10px';
+    lista.style.fontFamily = 'Arial, sans-serif';
+    lista.style.fontSize = '12px';
+    lista.style.lineHeight = '1.5';
+    lista.style.borderRadius = '5px';
+    lista.style.zIndex = '1000';
+    lista.style.display = 'none';
+    document.body.appendChild(lista);
+    return lista;
+}
+
+/**
+ * Vuelve a dibujar la lista: los pasos deshechos en gris y el punto actual en negrita
+ * @param {Object} historial - Historial devuelto por Historial.crear()
+ */
+function actualizarLista(historial) {
+    const { lista, pasos, posicion } = historial;
+    lista.style.display = pasos.length > 0 ? 'block' : 'none';
+    lista.innerHTML = '<b>Historial</b> (Ctrl+Z / Ctrl+Shift+Z)';
+    
+    const entradas = ['Inicio', ...pasos.map(paso => describirPaso(historial, paso))];
+    entradas.forEach((texto, i) => {
+        const entrada = document.createElement('div');
+        entrada.textContent = texto;
+        entrada.style.cursor = 'pointer';
+        entrada.style.color = i > posicion ? '#888' : 'white';
+        entrada.style.fontWeight = i === posicion ? 'bold' : 'normal';
+        entrada.addEventListener('click', () => Historial.irA(historial, i));
+        lista.appendChild(entrada);
+    });
+    
+    // Mantener a la vista el punto actual
+    lista.scrollTop = lista.scrollHeight;
+}
+
+const Historial = {
+    /**
+     * Crea un historial vacío con su lista
+     * @param {Object} opciones - Enlace con la página
+     * @param {Object} opciones.estado - Parámetros iniciales por nombre
+     * @param {Function} opciones.aplicar - Recibe los parámetros que cambian y los aplica a la escena
+     * @param {Function} opciones.etiqueta - Devuelve la etiqueta de un parámetro (por defecto, su nombre)
+     * @returns {Object} - { pasos, posicion, estado, aplicar, etiqueta, lista }
+     */
+    crear: function(opciones) {
+        const historial = {
+            pasos: [],        // { antes, despues, motivo, hora } con solo los parámetros que cambian
+            posicion: 0,      // Número de pasos aplicados; los siguientes se pueden rehacer
+            estado: { ...opciones.estado },
+            aplicar: opciones.aplicar,
+            etiqueta: opciones.etiqueta || (nombre => nombre),
+            lista: crearLista()
+        };
+        actualizarLista(historial);
+        return historial;
+    },
+    
+    /**
+     * Registra como un paso lo que haya cambiado desde la última confirmación
+     * @param {Object} historial - Historial devuelto por crear()
+     * @param {Object} parametros - Parámetros actuales por nombre
+     * @param {string} motivo - Origen del cambio para la lista ('Preset', 'URL'...), opcional
+     */
+    confirmar: function(historial, parametros, motivo = '') {
+        const antes = {};
+        const despues = {};
+        Object.keys(parametros).forEach(nombre => {
+            if (parametros[nombre] !== historial.estado[nombre]) {
+                antes[nombre] = historial.estado[nombre];
+                despues[nombre] = parametros[nombre];
+            }
+        });
+        
+        const nombres = Object.keys(despues);
+        if (nombres.length === 0) return;
+        
+        historial.estado = { ...historial.estado, ...despues };
+        
+        // Un cambio nuevo descarta los pasos deshechos
+        historial.pasos.length = historial.posicion;
+        
+        // Agrupar con el paso anterior si cambia los mismos parámetros y ha pasado poco tiempo
+        const ultimo = historial.pasos[historial.pasos.length - 1];
+        const ahora = performance.now();
+        if (ultimo && ultimo.motivo === motivo && ahora - ultimo.hora < INTERVALO_AGRUPAR &&
+            Object.keys(ultimo.despues).join() === nombres.join()) {
+            Object.assign(ultimo.despues, despues);
+            ultimo.hora = ahora;
+            
+            // Si el grupo deja los parámetros como estaban, el paso sobra
+            if (nombres.every(nombre => ultimo.antes[nombre] === ultimo.despues[nombre])) {
+                historial.pasos.pop();
+            }
+        } else {
+            historial.pasos.push({ antes, despues, motivo, hora: ahora });
+            if (historial.pasos.length > LIMITE_PASOS) {
+                historial.pasos.shift();
+            }
+        }
+        
+        historial.posicion = historial.pasos.length;
+        actualizarLista(historial);
+    },
+    
+    /**
+     * Deshace el último paso aplicado
+     * @param {Object} historial - Historial devuelto por crear()
+     * @returns {boolean} - false si no había nada que deshacer
+     */
+    deshacer: function(historial) {
+        if (historial.posicion === 0) return false;
+        this.irA(historial, historial.posicion - 1);
+        return true;
+    },
+    
+    /**
+     * Rehace el siguiente paso deshecho
+     * @param {Object} historial - Historial devuelto por crear()
+     * @returns {boolean} - false si no había nada que rehacer
+     */
+    rehacer: function(historial) {
+        if (historial.posicion === historial.pasos.length) return false;
+        this.irA(historial, historial.posicion + 1);
+        return true;
+    },
+    
+    /**
+     * Lleva los parámetros al punto indicado del historial, aplicándolos de una sola vez
+     * @param {Object} historial - Historial devuelto por crear()
+     * @param {number} destino - Número de pasos aplicados (0 = estado inicial)
+     */
+    irA: function(historial, destino) {
+        destino = Math.max(0, Math.min(historial.pasos.length, destino));
+        if (destino === historial.posicion) return;
+        
+        // Acumular los valores paso a paso; los más cercanos al destino prevalecen
+        const cambios = {};
+        while (historial.posicion > destino) {
+            historial.posicion--;
+            Object.assign(cambios, historial.pasos[historial.posicion].antes);
+        }
+        while (historial.posicion < destino) {
+            Object.assign(cambios, historial.pasos[historial.posicion].despues);
+            historial.posicion++;
+        }
+        
+        historial.estado = { ...historial.estado, ...cambios };
+        
+        // Evitar que el paso siguiente se agrupe con uno deshecho o rehecho
+        historial.pasos.forEach(paso => { paso.hora = -Infinity; });
+        
+        historial.aplicar(cambios);
+        actualizarLista(historial);
+        console.log(`Historial: paso ${historial.posicion} de ${historial.pasos.length}`);
+    }
+};
+
+export default Historial;
@@ -0,0 +1,592 @@
+/**
+ * Luces de la escena como datos editables
+ * Un conjunto de luces (rig) es una lista de descripciones serializables:
+ *   { tipo, color, colorSuelo, intensidad, posicion: [x, y, z], sombras: { tamano, radio, bias } | null }
+ * donde tipo es 'direccional', 'puntual', 'foco', 'hemisferica' o 'ambiente', colorSuelo solo
+ * existe en las hemisféricas y sombras solo en las luces que las proyectan. aplicar() crea o
+ * actualiza las luces de Three.js a partir de esa lista, de modo que el rig viaja en los presets
+ * y en el hash de la URL como cualquier otro parámetro, donde se escribe de forma compacta:
+ *   "direccional#ffffff*1@5,5,17.5!4096,20,-0.0001;hemisferica#ffffff/fff0e0*0.1@0,1,0"
+ * (# color y / color del suelo, * intensidad, @ posición, ! tamaño, radio y bias de la sombra).
+ * Los presets 'suave' y 'clasica' son las luces de Utils.setupBasicLights; los demás simulan la
+ * luz que atraviesa una celosía. crearPanel() edita el rig en dat.GUI y, con GizmoPosicion,
+ * permite colocar cada luz arrastrándola con el ratón.
+ */
+
+import * as THREE from './lib/three.module.js';
+import Utils from './utils.js';
+import GizmoPosicion from './gizmo-posicion.js';
+
+// Apertura y penumbra de los focos, que apuntan siempre al origen
+const ANGULO_FOCO = Math.PI / 6;
+const PENUMBRA_FOCO = 0.5;
+
+// Tipos de luz: clase de Three.js, si tiene posición y sombras, intensidad al crearla y máximo del control
+const TIPOS = {
+    direccional: {
+        etiqueta: 'Direccional', crear: () => new THREE.DirectionalLight(),
+        posicion: true, sombras: true, intensidad: 1, maximo: 5
+    },
+    puntual: {
+        etiqueta: 'Puntual', crear: () => new THREE.PointLight(),
+        posicion: true, sombras: true, intensidad: 20, maximo: 200
+    },
+    foco: {
+        etiqueta: 'Foco', crear: () => new THREE.SpotLight(0xffffff, 1, 0, ANGULO_FOCO, PENUMBRA_FOCO),
+        posicion: true, sombras: true, intensidad: 50, maximo: 500
+    },
+    hemisferica: {
+        etiqueta: 'Hemisférica', crear: () => new THREE.HemisphereLight(),
+        posicion: true, sombras: false, intensidad: 0.5, maximo: 5
+    },
+    ambiente: {
+        etiqueta: 'Ambiente', crear: () => new THREE.AmbientLight(),
+        posicion: false, sombras: false, intensidad: 0.5, maximo: 5
+    }
+};
+
+// Tamaños admitidos del mapa de sombras
+const TAMANOS_SOMBRA = [512, 1024, 2048, 4096];
+
+// Cámara de sombras y suavizado comunes, los de Utils.setupBasicLights
+const CAMARA_SOMBRA = { near: 0.5, far: 50, extension: 10 };
+const NORMAL_BIAS = 0.08;
+const MUESTRAS_DESENFOQUE = 12;
+
+// Límites de la validación
+const MAX_LUCES = 8;
+const MAX_INTENSIDAD = 1000;
+const MAX_COORDENADA = 100;
+const MAX_RADIO = 50;
+const MAX_BIAS = 0.01;
+
+// Luz que se añade desde el panel
+const LUZ_NUEVA = { tipo: 'direccional', color: 0xffffff, intensidad: 1, posicion: [0, 8, 8], sombras: null };
+
+// Sombras que se activan desde el panel
+const SOMBRAS_NUEVAS = { tamano: 2048, radio: 4, bias: -0.0001 };
+
+// Presets del rig; luces es una lista o una función que la devuelve
+const PRESETS = {
+    suave: { etiqueta: 'Estudio (suave)', luces: () => desdeUtils('suave') },
+    clasica: { etiqueta: 'Clásica', luces: () => desdeUtils('clasica') },
+    
+    // Sol alto detrás de la celosía: la trama se proyecta nítida en el suelo, delante de ella,
+    // con el cielo y el rebote del patio como relleno
+    patio: {
+        etiqueta: 'Patio a mediodía',
+        luces: [
+            { tipo: 'direccional', color: 0xfff4e0, intensidad: 2.5, posicion: [2, 18, -6], sombras: { tamano: 4096, radio: 3, bias: -0.0002 } },
+            { tipo: 'hemisferica', color: 0xa8c8f0, colorSuelo: 0xc8b090, intensidad: 0.8, posicion: [0, 1, 0], sombras: null },
+            { tipo: 'direccional', color: 0xffffff, intensidad: 0.3, posicion: [0, 4, 12], sombras: null }
+        ]
+    },
+    
+    // Sol bajo y anaranjado a contraluz: las pajaritas se recortan sobre un resplandor cálido
+    // y la cara visible queda en penumbra fría
+    contraluz: {
+        etiqueta: 'Contraluz de tarde',
+        luces: [
+            { tipo: 'direccional', color: 0xff9a4a, intensidad: 3, posicion: [-6, 3, -16], sombras: { tamano: 4096, radio: 8, bias: -0.0003 } },
+            { tipo: 'puntual', color: 0xffb070, intensidad: 30, posicion: [0, -2, -3], sombras: null },
+            { tipo: 'hemisferica', color: 0x4a5a80, colorSuelo: 0x2a1a10, intensidad: 0.4, posicion: [0, 1, 0], sombras: null },
+            { tipo: 'direccional', color: 0x8090c0, intensidad: 0.25, posicion: [4, 3, 10], sombras: null }
+        ]
+    }
+};
+
+// Nombre del rig que no coincide con ningún preset
+const PERSONALIZADO = 'personalizado';
+
+// Formato de una luz en el hash
+const NUMERO = '-?\\d+(?:\\.\\d+)?(?:e-?\\d+)?';
+const PATRON_LUZ = new RegExp(
+    `^(${Object.keys(TIPOS).join('|')})#([0-9a-fA-F]{6})(?:/([0-9a-fA-F]{6}))?\\*(${NUMERO})` +
+    `@(${NUMERO}),(${NUMERO}),(${NUMERO})(?:!(\\d+),(${NUMERO}),(${NUMERO}))?$`
+);
+
+/**
+ * Redondea para que los valores del hash y de los presets no arrastren decimales espurios
+ * @param {number} valor - Valor
+ * @param {number} decimales - Decimales que se conservan
+ * @returns {number} - Valor redondeado
+ */
+function redondear(valor, decimales) {
+    return Number(valor.toFixed(decimales));
+}
+
+/**
+ * Tipo de una luz de Three.js
+ * @param {THREE.Light} luz - Luz
+ * @returns {string|null} - Tipo de TIPOS, o null si no es de ninguno
+ */
+function tipoDe(luz) {
+    if (luz.isDirectionalLight) return 'direccional';
+    if (luz.isSpotLight) return 'foco';
+    if (luz.isPointLight) return 'puntual';
+    if (luz.isHemisphereLight) return 'hemisferica';
+    if (luz.isAmbientLight) return 'ambiente';
+    return null;
+}
+
+/**
+ * Describe una luz de Three.js con el formato del rig
+ * @param {THREE.Light} luz - Luz
+ * @returns {Object} - Descripción de la luz
+ */
+function describir(luz) {
+    const tipo = tipoDe(luz);
+    const datos = { tipo: tipo, color: luz.color.getHex() };
+    if (tipo === 'hemisferica') datos.colorSuelo = luz.groundColor.getHex();
+    datos.intensidad = redondear(luz.intensity, 3);
+    datos.posicion = luz.position.toArray().map(valor => redondear(valor, 3));
+    datos.sombras = TIPOS[tipo].sombras && luz.castShadow
+        ? { tamano: luz.shadow.mapSize.width, radio: luz.shadow.radius, bias: luz.shadow.bias }
+        : null;
+    return datos;
+}
+
+/**
+ * Describe las luces que Utils.setupBasicLights añade a una escena
+ * Se crean en una escena aparte que se descarta: las luces no reservan nada en la GPU hasta renderizarse
+ * @param {string} tipo - Tipo de luces de setupBasicLights
+ * @returns {Array<Object>} - Rig
+ */
+function desdeUtils(tipo) {
+    const escena = new THREE.Scene();
+    Utils.setupBasicLights(escena, tipo);
+    return escena.children.filter(hijo => hijo.isLight && tipoDe(hijo)).map(describir);
+}
+
+/**
+ * Configura la cámara y el suavizado de las sombras de una luz recién creada
+ * @param {THREE.Light} luz - Luz direccional, puntual o foco
+ */
+function configurarSombra(luz) {
+    const camara = luz.shadow.camera;
+    camara.near = CAMARA_SOMBRA.near;
+    camara.far = CAMARA_SOMBRA.far;
+    if (luz.isDirectionalLight) {
+        camara.left = -CAMARA_SOMBRA.extension;
+        camara.right = CAMARA_SOMBRA.extension;
+        camara.top = CAMARA_SOMBRA.extension;
+        camara.bottom = -CAMARA_SOMBRA.extension;
+    }
+    luz.shadow.normalBias = NORMAL_BIAS;
+    luz.shadow.blurSamples = MUESTRAS_DESENFOQUE;
+}
+
+/**
+ * Lleva a una luz de Three.js los valores de su descripción
+ * @param {THREE.Light} luz - Luz del mismo tipo que la descripción
+ * @param {Object} datos - Descripción de la luz
+ */
+function actualizarLuz(luz, datos) {
+    luz.color.setHex(datos.color);
+    luz.intensity = datos.intensidad;
+    luz.position.fromArray(datos.posicion);
+    if (luz.isHemisphereLight) luz.groundColor.setHex(datos.colorSuelo);
+    
+    if (!TIPOS[datos.tipo].sombras) return;
+    luz.castShadow = Boolean(datos.sombras);
+    if (!datos.sombras) return;
+    
+    // Un mapa de otro tamaño se vuelve a crear en el siguiente render
+    const { tamano, radio, bias } = datos.sombras;
+    if (luz.shadow.mapSize.width !== tamano) {
+        luz.shadow.mapSize.set(tamano, tamano);
+        if (luz.shadow.map) {
+            luz.shadow.map.dispose();
+            luz.shadow.map = null;
+        }
+    }
+    luz.shadow.radius = radio;
+    luz.shadow.bias = bias;
+}
+
+/**
+ * Comprueba que un valor sea un color hexadecimal
+ * @param {*} valor - Valor a comprobar
+ * @returns {boolean} - true si es un entero entre 0 y 0xffffff
+ */
+function esColor(valor) {
+    return Number.isInteger(valor) && valor >= 0 && valor <= 0xffffff;
+}
+
+/**
+ * Comprueba que un valor sea un número finito dentro de un rango
+ * @param {*} valor - Valor a comprobar
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {boolean} - true si está en el rango
+ */
+function enRango(valor, min, max) {
+    return typeof valor === 'number' && Number.isFinite(valor) && valor >= min && valor <= max;
+}
+
+/**
+ * Comprueba la descripción de una luz
+ * @param {*} luz - Valor a comprobar
+ * @returns {string|null} - Motivo por el que no es válida, o null si lo es
+ */
+function comprobarLuz(luz) {
+    if (typeof luz !== 'object' || luz === null || Array.isArray(luz)) return 'debe ser un objeto';
+    
+    const tipo = TIPOS[luz.tipo];
+    if (!tipo) return `tipo debe ser uno de: ${Object.keys(TIPOS).join(', ')}`;
+    
+    const propiedades = ['tipo', 'color', 'intensidad', 'posicion', 'sombras', ...(luz.tipo === 'hemisferica' ? ['colorSuelo'] : [])];
+    const desconocida = Object.keys(luz).find(propiedad => !propiedades.includes(propiedad));
+    if (desconocida) return `propiedad desconocida ${desconocida}`;
+    
+    if (!esColor(luz.color)) return 'color debe ser un color entre 0 y 0xffffff';
+    if (luz.tipo === 'hemisferica' && !esColor(luz.colorSuelo)) return 'colorSuelo debe ser un color entre 0 y 0xffffff';
+    if (!enRango(luz.intensidad, 0, MAX_INTENSIDAD)) return `intensidad debe estar entre 0 y ${MAX_INTENSIDAD}`;
+    if (!Array.isArray(luz.posicion) || luz.posicion.length !== 3 || !luz.posicion.every(valor => enRango(valor, -MAX_COORDENADA, MAX_COORDENADA))) {
+        return `posicion debe ser [x, y, z] con coordenadas entre ${-MAX_COORDENADA} y ${MAX_COORDENADA}`;
+    }
+    
+    if (luz.sombras === null) return null;
+    if (!tipo.sombras) return `las luces ${luz.tipo} no proyectan sombras (sombras debe ser null)`;
+    if (typeof luz.sombras !== 'object' || Array.isArray(luz.sombras)) return 'sombras debe ser un objeto o null';
+    const { tamano, radio, bias } = luz.sombras;
+    if (Object.keys(luz.sombras).some(propiedad => !['tamano', 'radio', 'bias'].includes(propiedad))) {
+        return 'sombras solo admite tamano, radio y bias';
+    }
+    if (!TAMANOS_SOMBRA.includes(tamano)) return `sombras.tamano debe ser uno de: ${TAMANOS_SOMBRA.join(', ')}`;
+    if (!enRango(radio, 0, MAX_RADIO)) return `sombras.radio debe estar entre 0 y ${MAX_RADIO}`;
+    if (!enRango(bias, -MAX_BIAS, MAX_BIAS)) return `sombras.bias debe estar entre ${-MAX_BIAS} y ${MAX_BIAS}`;
+    return null;
+}
+
+/**
+ * Color de un control de dat.GUI como número
+ * @param {number|string} valor - Valor del control ("#rrggbb" o número)
+ * @returns {number} - Color hexadecimal
+ */
+function leerColor(valor) {
+    return typeof valor === 'string' ? parseInt(valor.replace('#', ''), 16) : valor;
+}
+
+const LucesEscena = {
+    /**
+     * Nombres de los presets del rig
+     */
+    presets: Object.keys(PRESETS),
+    
+    /**
+     * Nombre del rig que no coincide con ningún preset
+     */
+    personalizado: PERSONALIZADO,
+    
+    /**
+     * Tipos de luz
+     */
+    tipos: Object.keys(TIPOS),
+    
+    /**
+     * Rig de un preset
+     * @param {string} nombre - Nombre del preset
+     * @returns {Array<Object>} - Copia de las luces del preset, que se puede modificar
+     */
+    rig: function(nombre) {
+        const luces = PRESETS[nombre].luces;
+        return structuredClone(typeof luces === 'function' ? luces() : luces);
+    },
+    
+    /**
+     * Preset que coincide con un rig
+     * @param {Array<Object>} rig - Luces
+     * @returns {string} - Nombre del preset, o 'personalizado'
+     */
+    presetDe: function(rig) {
+        const texto = this.aTexto(rig);
+        return this.presets.find(nombre => this.aTexto(this.rig(nombre)) === texto) || PERSONALIZADO;
+    },
+    
+    /**
+     * Comprueba un rig
+     * @param {*} rig - Valor a comprobar
+     * @returns {string|null} - Motivo por el que no es válido, o null si lo es
+     */
+    comprobar: function(rig) {
+        if (!Array.isArray(rig) || rig.length > MAX_LUCES) {
+            return `debe ser una lista de hasta ${MAX_LUCES} luces`;
+        }
+        
+        for (let i = 0; i < rig.length; i++) {
+            const motivo = comprobarLuz(rig[i]);
+            if (motivo) return `luz ${i + 1}: ${motivo}`;
+        }
+        return null;
+    },
+    
+    /**
+     * Escribe un rig de forma compacta para el hash de la URL
+     * @param {Array<Object>} rig - Luces
+     * @returns {string} - Texto, por ejemplo "direccional#ffffff*1@5,5,17.5!4096,20,-0.0001"
+     */
+    aTexto: function(rig) {
+        const hex = color => color.toString(16).padStart(6, '0');
+        return rig.map(luz => {
+            const { tipo, color, colorSuelo, intensidad, posicion, sombras } = luz;
+            return tipo + '#' + hex(color) +
+                (tipo === 'hemisferica' ? '/' + hex(colorSuelo) : '') +
+                '*' + redondear(intensidad, 3) +
+                '@' + posicion.map(valor => redondear(valor, 3)).join(',') +
+                (sombras ? `!${sombras.tamano},${redondear(sombras.radio, 3)},${redondear(sombras.bias, 6)}` : '');
+        }).join(';');
+    },
+    
+    /**
+     * Lee un rig escrito por aTexto
+     * @param {string} texto - Texto del hash
+     * @returns {Array<Object>|string} - Luces, o el propio texto si no tiene el formato esperado
+     */
+    desdeTexto: function(texto) {
+        const rig = [];
+        const entradas = texto === '' ? [] : texto.split(';');
+        
+        for (const entrada of entradas) {
+            const partes = PATRON_LUZ.exec(entrada);
+            if (!partes) return texto;
+            
+            const [, tipo, color, colorSuelo, intensidad, x, y, z, tamano, radio, bias] = partes;
+            const luz = { tipo: tipo, color: parseInt(color, 16) };
+            if (colorSuelo) luz.colorSuelo = parseInt(colorSuelo, 16);
+            luz.intensidad = Number(intensidad);
+            luz.posicion = [Number(x), Number(y), Number(z)];
+            luz.sombras = tamano ? { tamano: Number(tamano), radio: Number(radio), bias: Number(bias) } : null;
+            rig.push(luz);
+        }
+        
+        return rig;
+    },
+    
+    /**
+     * Prepara las luces de una escena (se crean en aplicar())
+     * @param {Object} contexto - Objeto devuelto por EscenaBase.crear(), con las luces que tenga
+     * @returns {Object} - { contexto, luces, datos } con las luces de Three.js y sus descripciones
+     */
+    crear: function(contexto) {
+        // Las luces que hubiera creado EscenaBase se sustituyen por las del rig
+        Object.values(contexto.lights).forEach(luz => {
+            if (luz) {
+                contexto.scene.remove(luz);
+                luz.dispose();
+            }
+        });
+        contexto.lights = [];
+        
+        return { contexto: contexto, luces: [], datos: [] };
+    },
+    
+    /**
+     * Lleva un rig a la escena
+     * Si las luces son del mismo tipo y número que las actuales solo se actualizan sus valores
+     * (así se puede llamar mientras se arrastra un control); si no, se vuelven a crear
+     * @param {Object} estado - Objeto devuelto por crear()
+     * @param {Array<Object>} rig - Luces validadas
+     * @returns {boolean} - true si las luces se han vuelto a crear (y hay que rehacer sus helpers)
+     */
+    aplicar: function(estado, rig) {
+        const { scene } = estado.contexto;
+        const mismas = rig.length === estado.datos.length && rig.every((luz, i) => luz.tipo === estado.datos[i].tipo);
+        
+        if (!mismas) {
+            estado.luces.forEach(luz => {
+                scene.remove(luz);
+                luz.dispose();
+            });
+            estado.luces = rig.map(datos => {
+                const luz = TIPOS[datos.tipo].crear();
+                if (TIPOS[datos.tipo].sombras) configurarSombra(luz);
+                scene.add(luz);
+                return luz;
+            });
+            estado.contexto.lights = estado.luces;
+        }
+        
+        rig.forEach((datos, i) => actualizarLuz(estado.luces[i], datos));
+        estado.datos = rig;
+        return !mismas;
+    },
+    
+    /**
+     * Crea la carpeta "Luces" del panel de dat.GUI
+     * Los controles deslizantes aplican su valor mientras se arrastran y lo confirman al soltarlos
+     * @param {Object} gui - Instancia de dat.GUI
+     * @param {Object} pagina - Enlace con la página
+     * @param {Function} pagina.obtener - Devuelve el rig actual
+     * @param {Function} pagina.cambiar - Recibe (rig, confirmar): confirmar es false mientras se arrastra
+     * @param {Object} pagina.gizmo - Objeto devuelto por GizmoPosicion.crear() (opcional)
+     * @returns {Object} - { folder, actualizar } donde actualizar() rehace los controles
+     */
+    crearPanel: function(gui, pagina) {
+        const folder = gui.addFolder('Luces');
+        const subcarpetas = [];
+        const etiquetasPreset = Object.fromEntries(this.presets.map(nombre => [PRESETS[nombre].etiqueta, nombre]));
+        const etiquetasTipo = Object.fromEntries(this.tipos.map(tipo => [TIPOS[tipo].etiqueta, tipo]));
+        const estado = { tipoNueva: LUZ_NUEVA.tipo };
+        let moviendo = null; // { indice, boton } de la luz que sigue al gizmo
+        
+        // Cambia una luz del rig actual (no del que había al crear los controles)
+        const cambiarLuz = (indice, cambios, confirmar = true) => {
+            const rig = pagina.obtener().map((luz, i) => i === indice ? { ...luz, ...cambios } : luz);
+            pagina.cambiar(rig, confirmar);
+        };
+        
+        const cambiarRig = rig => {
+            pagina.cambiar(rig, true);
+            reconstruir();
+        };
+        
+        const dejarDeMover = () => {
+            if (!moviendo) return;
+            moviendo.boton.name('Mover con el ratón');
+            moviendo = null;
+            GizmoPosicion.ocultar(pagina.gizmo);
+        };
+        
+        // Controles de una luz en su propia subcarpeta
+        const crearControlesLuz = (luz, indice, abierta) => {
+            const tipo = TIPOS[luz.tipo];
+            const sub = folder.addFolder(`Luz ${indice + 1} · ${tipo.etiqueta}`);
+            subcarpetas.push(sub);
+            if (abierta) sub.open();
+            
+            let moverConGizmo = null;
+            const valores = {
+                tipo: luz.tipo,
+                color: luz.color,
+                colorSuelo: luz.colorSuelo,
+                intensidad: luz.intensidad,
+                x: luz.posicion[0],
+                y: luz.posicion[1],
+                z: luz.posicion[2],
+                sombras: Boolean(luz.sombras),
+                ...(luz.sombras || SOMBRAS_NUEVAS),
+                mover: () => {
+                    const anterior = moviendo && moviendo.indice;
+                    dejarDeMover();
+                    if (anterior !== indice) moverConGizmo();
+                },
+                quitar: () => {
+                    cambiarRig(pagina.obtener().filter((_, i) => i !== indice));
+                }
+            };
+            
+            sub.add(valores, 'tipo', etiquetasTipo).name('Tipo').onFinishChange(nuevo => {
+                // Al cambiar de tipo se conservan el color y la posición; la intensidad es la típica del tipo
+                const actual = pagina.obtener()[indice];
+                const convertida = {
+                    tipo: nuevo,
+                    color: actual.color,
+                    intensidad: TIPOS[nuevo].intensidad,
+                    posicion: actual.posicion,
+                    sombras: TIPOS[nuevo].sombras ? actual.sombras : null
+                };
+                if (nuevo === 'hemisferica') convertida.colorSuelo = actual.colorSuelo !== undefined ? actual.colorSuelo : actual.color;
+                cambiarRig(pagina.obtener().map((otra, i) => i === indice ? convertida : otra));
+            });
+            
+            sub.addColor(valores, 'color').name('Color')
+                .onChange(valor => cambiarLuz(indice, { color: leerColor(valor) }, false))
+                .onFinishChange(valor => cambiarLuz(indice, { color: leerColor(valor) }));
+            if (luz.tipo === 'hemisferica') {
+                sub.addColor(valores, 'colorSuelo').name('Color del suelo')
+                    .onChange(valor => cambiarLuz(indice, { colorSuelo: leerColor(valor) }, false))
+                    .onFinishChange(valor => cambiarLuz(indice, { colorSuelo: leerColor(valor) }));
+            }
+            
+            sub.add(valores, 'intensidad', 0, Math.max(tipo.maximo, luz.intensidad), 0.01).name('Intensidad')
+                .onChange(intensidad => cambiarLuz(indice, { intensidad }, false))
+                .onFinishChange(intensidad => cambiarLuz(indice, { intensidad }));
+            
+            if (tipo.posicion) {
+                const posicion = () => [valores.x, valores.y, valores.z].map(valor => redondear(valor, 3));
+                const coordenadas = ['x', 'y', 'z'].map(eje => sub.add(valores, eje, -30, 30, 0.1).name(eje.toUpperCase())
+                    .onChange(() => {
+                        cambiarLuz(indice, { posicion: posicion() }, false);
+                        if (moviendo && moviendo.indice === indice) GizmoPosicion.mostrar(pagina.gizmo, posicion(), callbacksGizmo);
+                    })
+                    .onFinishChange(() => cambiarLuz(indice, { posicion: posicion() })));
+                
+                // El gizmo mueve la luz y los controles de posición lo siguen
+                const callbacksGizmo = {
+                    alMover: punto => {
+                        [valores.x, valores.y, valores.z] = punto;
+                        coordenadas.forEach(controller => controller.updateDisplay());
+                        cambiarLuz(indice, { posicion: posicion() }, false);
+                    },
+                    alSoltar: () => cambiarLuz(indice, { posicion: posicion() })
+                };
+                if (pagina.gizmo) {
+                    const boton = sub.add(valores, 'mover').name('Mover con el ratón');
+                    moverConGizmo = () => {
+                        moviendo = { indice, boton };
+                        boton.name('Dejar de mover');
+                        GizmoPosicion.mostrar(pagina.gizmo, posicion(), callbacksGizmo);
+                    };
+                }
+            }
+            
+            if (tipo.sombras) {
+                const sombras = () => ({ tamano: valores.tamano, radio: valores.radio, bias: valores.bias });
+                sub.add(valores, 'sombras').name('Sombras').onFinishChange(activas => {
+                    cambiarRig(pagina.obtener().map((otra, i) => i === indice ? { ...otra, sombras: activas ? sombras() : null } : otra));
+                });
+                if (luz.sombras) {
+                    sub.add(valores, 'tamano', TAMANOS_SOMBRA).name('Mapa de sombras').onFinishChange(tamano => {
+                        valores.tamano = Number(tamano);
+                        cambiarLuz(indice, { sombras: sombras() });
+                    });
+                    sub.add(valores, 'radio', 0, 30, 0.5).name('Radio')
+                        .onChange(() => cambiarLuz(indice, { sombras: sombras() }, false))
+                        .onFinishChange(() => cambiarLuz(indice, { sombras: sombras() }));
+                    sub.add(valores, 'bias', -0.005, 0.005, 0.0001).name('Bias')
+                        .onChange(() => cambiarLuz(indice, { sombras: sombras() }, false))
+                        .onFinishChange(() => cambiarLuz(indice, { sombras: sombras() }));
+                }
+            }
+            
+            sub.add(valores, 'quitar').name('Quitar luz');
+        };
+        
+        // Los controles se rehacen cuando cambia el número o el tipo de las luces
+        const reconstruir = () => {
+            if (pagina.gizmo) GizmoPosicion.ocultar(pagina.gizmo);
+            moviendo = null;
+            folder.__controllers.slice().forEach(controller => controller.remove());
+            
+            // Las subcarpetas que estaban abiertas se vuelven a abrir
+            const abiertas = subcarpetas.map(sub => !sub.closed);
+            subcarpetas.splice(0).forEach(sub => folder.removeFolder(sub));
+            
+            const rig = pagina.obtener();
+            estado.preset = this.presetDe(rig);
+            const opciones = estado.preset === PERSONALIZADO ? { ...etiquetasPreset, Personalizado: PERSONALIZADO } : etiquetasPreset;
+            folder.add(estado, 'preset', opciones).name('Preset').onFinishChange(nombre => {
+                if (PRESETS[nombre]) cambiarRig(this.rig(nombre));
+            });
+            
+            folder.add(estado, 'tipoNueva', etiquetasTipo).name('Tipo de luz nueva');
+            folder.add({
+                anadir: () => {
+                    const actual = pagina.obtener();
+                    if (actual.length >= MAX_LUCES) return;
+                    const nueva = { ...LUZ_NUEVA, tipo: estado.tipoNueva, intensidad: TIPOS[estado.tipoNueva].intensidad };
+                    if (nueva.tipo === 'hemisferica') nueva.colorSuelo = nueva.color;
+                    cambiarRig([...actual, nueva]);
+                }
+            }, 'anadir').name('Añadir luz');
+            
+            rig.forEach((luz, i) => crearControlesLuz(luz, i, abiertas[i]));
+        };
+        
+        reconstruir();
+        return { folder, actualizar: reconstruir };
+    }
+};
+
+export default LucesEscena;
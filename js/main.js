@@ -1,22 +1,31 @@
 /**
  * Script principal para la visualización 3D con Three.js
+ * Los cambios del pivot (deslizadores, candidatos o reinicio) se pueden deshacer con Ctrl+Z
+ * y rehacer con Ctrl+Shift+Z; la lista del historial aparece abajo a la derecha.
  */
 
 // Importar los módulos de Three.js
 import * as THREE from './lib/three.module.js';
-import { OrbitControls } from './lib/examples/jsm/controls/OrbitControls.js';
 import { GLTFLoader } from './lib/examples/jsm/loaders/GLTFLoader.js';
-import { SVGLoader } from './lib/examples/jsm/loaders/SVGLoader.js';
 import { GUI } from './lib/dat.gui.module.js';
-import Utils from './utils.js';
+import EscenaBase from './escena-base.js';
+import RelojAnimacion from './reloj-animacion.js';
+import CargadorPajaritas from './cargador-pajaritas.js';
+import DeteccionPivot from './deteccion-pivot.js';
+import Historial from './historial.js';
 
 // Variables globales
-let scene, camera, renderer;
-let controls;
+let escena;
 let objects = [];
 let axesHelper, centerMarker, svgAxesHelper; // Helpers para visualización
 let gui; // Panel de control
 let centerTextInfo; // Elemento HTML para mostrar coordenadas
+let pivotsCandidatos = []; // Pivots detectados automáticamente en el contorno de la pajarita
+let pivotsFolder; // Carpeta de la GUI con los pivots candidatos
+let historial; // Cambios del pivot que se pueden deshacer
+
+// Etiquetas de los parámetros del pivot en la lista del historial
+const ETIQUETAS_PIVOT = { centerX: 'Pivot X', centerY: 'Pivot Y', centerZ: 'Pivot Z' };
 
 // Coordenadas originales del centro al cargar el SVG
 const originalCenter = {
@@ -45,12 +54,22 @@ const params = {
                 console.log("Rotación reiniciada a (0, 0, 0)");
             }
         });
+        
+        // La rotación es función del tiempo del reloj: en t = 0 está en la inicial
+        RelojAnimacion.fijar(escena.reloj, 0);
     }
 };
 
+// Configuración de la escena: fondo claro, luces clásicas y un suelo cercano
+const CONFIG_ESCENA = {
+    fondo: 0xbfbdb7,
+    sombras: THREE.PCFSoftShadowMap, // Sombras suavizadas
+    luces: 'clasica',
+    suelo: { tamano: 100, y: -1.5, material: { color: 0x95a5a6, roughness: 0.8, metalness: 0.5 } }
+};
+
 // Inicializar la aplicación cuando el documento esté listo
 window.addEventListener('load', init);
-window.addEventListener('resize', onWindowResize);
 window.addEventListener('keydown', handleKeyDown); // Añadir manejo de teclado
 
 /**
@@ -58,6 +77,18 @@ window.addEventListener('keydown', handleKeyDown); // Añadir manejo de teclado
  * @param {KeyboardEvent} event - El evento de teclado
  */
 function handleKeyDown(event) {
+    // Deshacer (Ctrl+Z) y rehacer (Ctrl+Shift+Z) los cambios del pivot, salvo al escribir en la GUI
+    if ((event.ctrlKey || event.metaKey) && (event.key === 'z' || event.key === 'Z')) {
+        if (event.target.tagName === 'INPUT') return;
+        event.preventDefault();
+        if (event.shiftKey) {
+            Historial.rehacer(historial);
+        } else {
+            Historial.deshacer(historial);
+        }
+        return;
+    }
+    
     // Tecla 'R' para activar/desactivar rotación
     if (event.key === 'r' || event.key === 'R') {
         window.toggleRotation();
@@ -74,23 +105,7 @@ function handleKeyDown(event) {
  * Inicializar Three.js y configurar la escena
  */
 function init() {
-    // Crear escena
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0xbfbdb7);
-    
-    // Crear cámara
-    const aspectRatio = window.innerWidth / window.innerHeight;
-    camera = new THREE.PerspectiveCamera(75, aspectRatio, 0.1, 1000);
-    camera.position.set(0, 1, 8); // Posición ajustada para mejor visualización
-    
-    // Crear renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Sombras suavizadas
-    renderer.outputColorSpace = THREE.SRGBColorSpace; // Mejor representación de colores
-    document.getElementById('container').appendChild(renderer.domElement);
+    escena = EscenaBase.crear(CONFIG_ESCENA);
     
     // Crear el elemento HTML para mostrar coordenadas
     centerTextInfo = document.createElement('div');
@@ -149,19 +164,24 @@ function init() {
     
     document.getElementById('container').appendChild(rotationButton);
     
-    // Añadir controles de órbita
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-    
-    // Configurar luces
-    Utils.setupBasicLights(scene);
+    // Historial de cambios del pivot; deshacer vuelve a colocar el centro con los valores guardados
+    historial = Historial.crear({
+        estado: { centerX: params.centerX, centerY: params.centerY, centerZ: params.centerZ },
+        aplicar: cambios => {
+            const centro = { centerX: params.centerX, centerY: params.centerY, centerZ: params.centerZ, ...cambios };
+            centerController.setCenter(centro.centerX, centro.centerY, centro.centerZ);
+        },
+        etiqueta: nombre => ETIQUETAS_PIVOT[nombre] || nombre
+    });
     
     // Añadir objetos a la escena
     createObjects();
     
-    // Iniciar el bucle de renderizado
-    animate();
+    // Iniciar el bucle de renderizado (la rotación se detiene con params.rotationActive)
+    EscenaBase.animar(escena, {
+        objetos: () => objects,
+        rotacionActiva: () => params.rotationActive
+    });
     
     // Configurar panel de control GUI
     setupGUI();
@@ -173,16 +193,6 @@ function init() {
 function createObjects() {
     // Cargar y crear el objeto SVG (pajarita)
     loadSVG('./pajarita001.svg');
-    
-    // Crear un plano como suelo
-    const floor = Utils.createMesh('cube', { width: 100, height: 0.1, depth: 100 }, {
-        type: 'MeshStandardMaterial',
-        color: 0x95a5a6,
-        roughness: 0.8
-    });
-    floor.position.y = -1.5;
-    floor.receiveShadow = true;
-    scene.add(floor);
 }
 
 /**
@@ -190,97 +200,34 @@ function createObjects() {
  * @param {string} url - Ruta al archivo SVG
  */
 function loadSVG(url) {
-    const svgLoader = new SVGLoader();
-    
     console.log("Intentando cargar SVG desde:", url);
     
-    svgLoader.load(url, function(data) {
-        console.log("SVG cargado correctamente:", data);
-        const svgGroup = new THREE.Group();
-        const paths = data.paths;
-        console.log("Número de paths encontrados:", paths.length);
-        
-        // Calcular las dimensiones del SVG para escalarlo correctamente
-        let maxX = -Infinity;
-        let minX = Infinity;
-        let maxY = -Infinity;
-        let minY = Infinity;
-        
-        paths.forEach(path => {
-            const points = path.subPaths[0]?.getPoints() || [];
-            points.forEach(point => {
-                maxX = Math.max(maxX, point.x);
-                minX = Math.min(minX, point.x);
-                maxY = Math.max(maxY, point.y);
-                minY = Math.min(minY, point.y);
-            });
-        });
-        
-        const width = maxX - minX;
-        const height = maxY - minY;
-        const centerX = (maxX + minX) / 2;
-        const centerY = ((maxY + minY) / 2); // Ajustar el centro para que esté más arriba
-        
-        // Escalar para que el objeto tenga un tamaño razonable en la escena
-        const scale = 2.0 / Math.max(width, height);
-        
-        paths.forEach((path) => {
-            const fillColor = path.color; // Color del relleno en el SVG
-            
-            // Crear una forma a partir del path
-            const shapes = SVGLoader.createShapes(path);
-            console.log("Shapes creados para el path:", shapes.length);
-            
-            // Para cada forma, crear una geometría y una malla
-            shapes.forEach((shape) => {
-                // Crear la geometría extruida (con profundidad y bisel para mayor realismo)
-                const geometry = new THREE.ExtrudeGeometry(shape, {
-                    depth: 60,          // Profundidad moderada (reducida de 3 a 0.5)
-                    bevelEnabled: true,   // Activar bisel para bordes suaves
-                    bevelThickness: 0.03, // Grosor del bisel
-                    bevelSize: 0.5,      // Tamaño del bisel
-                    bevelOffset: 0,       // Sin desplazamiento
-                    bevelSegments: 30      // Más segmentos para un bisel más suave
-                });
-                
-                // Crear un material para la malla con aspecto más metálico
-                const material = new THREE.MeshStandardMaterial({
-                  color: 0xaa8a50,       // Color dorado apagado
-                  metalness: 0.6,        // Más metálico
-                  roughness: 0.3,        // Menos rugosidad para más brillo
-                  flatShading: false     // Sombreado suave
-                });
-                
-                // Crear la malla
-                const mesh = new THREE.Mesh(geometry, material);
-                
-                // Centrar y escalar el objeto
-                mesh.position.x = -centerX * scale;
-                mesh.position.y = -centerY * scale;
-                mesh.scale.set(scale, -scale, scale);  // Invertir Y porque SVG usa Y hacia abajo
-                
-                // Configurar sombras
-                mesh.castShadow = true;
-                mesh.receiveShadow = true;
-                
-                // Añadir a nuestro grupo
-                svgGroup.add(mesh);
-            });
-        });
-        
-        // Calculamos el centro geométrico del grupo
-        const bbox = new THREE.Box3().setFromObject(svgGroup);
-        const center = bbox.getCenter(new THREE.Vector3());
-        
-        console.log("Centro geométrico original del SVG:", center);
-        
-        // Movemos la geometría para que el centro quede en el origen 
-        // (esto hace que la rotación sea alrededor del centro del objeto)
-        svgGroup.children.forEach(mesh => {
-            mesh.position.x -= center.x;
-            mesh.position.y -= center.y;
-            mesh.position.z -= center.z;
-        });
+    CargadorPajaritas.cargar(url, {
+        // Escalar para que el objeto mida dos unidades
+        escala: 2.0,
+        // Geometría extruida con un bisel fino y muy suavizado
+        extrusion: {
+            depth: 60,          // Profundidad moderada (reducida de 3 a 0.5)
+            bevelEnabled: true,   // Activar bisel para bordes suaves
+            bevelThickness: 0.03, // Grosor del bisel
+            bevelSize: 0.5,      // Tamaño del bisel
+            bevelOffset: 0,       // Sin desplazamiento
+            bevelSegments: 30      // Más segmentos para un bisel más suave
+        },
+        // Material con aspecto más metálico
+        crearMaterial: () => new THREE.MeshStandardMaterial({
+          color: 0xaa8a50,       // Color dorado apagado
+          metalness: 0.6,        // Más metálico
+          roughness: 0.3,        // Menos rugosidad para más brillo
+          flatShading: false     // Sombreado suave
+        }),
+        // Sin pivot: la pajarita rota alrededor de su centro geométrico
+        pivot: null
+    }).then(function({ svgGroup, contornos }) {
+        console.log("SVG cargado correctamente, mallas:", contornos.length);
+        
+        // Buscar los centros de rotación en el contorno ya centrado
+        detectarPivots(contornos);
         
         // Después de centrar la geometría, el centro geométrico ahora está en (0,0,0)
         // Por lo tanto, establecemos originalCenter a (0,0,0)
@@ -292,7 +239,7 @@ function loadSVG(url) {
         svgGroup.position.set(0, 0, 0);
         
         // Añadir el grupo a la escena
-        scene.add(svgGroup);
+        escena.scene.add(svgGroup);
         
         // Imprimir información sobre la geometría para depuración
         console.log("SVG agregado a la escena, posición:", svgGroup.position);
@@ -301,7 +248,7 @@ function loadSVG(url) {
         
         // Crear y añadir ejes (rojo: X, verde: Y, azul: Z)
         axesHelper = new THREE.AxesHelper(2); // Tamaño de 2 unidades
-        scene.add(axesHelper);
+        escena.scene.add(axesHelper);
         
         // Crear un pequeño objeto para marcar el centro de la pajarita
         centerMarker = new THREE.Mesh(
@@ -309,7 +256,7 @@ function loadSVG(url) {
             new THREE.MeshBasicMaterial({color: 0xff00ff}) // Color magenta
         );
         // Añadir el marcador a la escena directamente
-        scene.add(centerMarker);
+        escena.scene.add(centerMarker);
         // Posicionar el marcador en el origen del grupo SVG inicialmente
         centerMarker.position.copy(svgGroup.position);
         
@@ -323,9 +270,9 @@ function loadSVG(url) {
         // Creamos un objeto específico para la rotación del SVG
         const svgRotator = {
           object: svgGroup,
-          rotateX: { active: false, speed: 0.01 }, // Rotación en eje X: desactivada, velocidad 0.01
-          rotateY: { active: false, speed: 0.01 }, // Rotación en eje Y: desactivada, velocidad 0.01
-          rotateZ: { active: true, speed: -0.1 }, // Rotación en eje Z: activada, velocidad 0.01
+          rotateX: { active: false, speed: 0.6 }, // Rotación en eje X: desactivada, 0.6 rad/s
+          rotateY: { active: false, speed: 0.6 }, // Rotación en eje Y: desactivada, 0.6 rad/s
+          rotateZ: { active: true, speed: -6 }, // Rotación en eje Z: activada, -6 rad/s
         };
         
         // Añadir a la lista de objetos animados para rotarlo
@@ -333,69 +280,67 @@ function loadSVG(url) {
         
         // Asignar el grupo SVG al controlador de centro
         centerController.setGroup(svgGroup);
+    }).catch(error => {
+        console.error(`Error al cargar el SVG ${url}:`, error);
     });
 }
 
 /**
- * Función de animación (bucle de renderizado)
+ * Detecta los pivots candidatos analizando el contorno de la pajarita
+ * Los puntos se expresan en el sistema del grupo SVG centrado, el mismo que usan los sliders
+ * de pivot; como setCenterPosition desplaza la figura y no el pivot, un centro de rotación en c
+ * corresponde al valor de pivot -c
+ * @param {Array<Object>} contornos - Formas 2D con la malla que las coloca { shape, mesh }
  */
-function animate() {
-    requestAnimationFrame(animate);
-    
-    // Actualizar controles
-    controls.update();
-    
-    // Animar objetos
-    Utils.animate(objects, (obj) => {
-        // Si es un objeto con configuración específica de rotación por eje (nuevo formato con velocidad)
-        if (obj.object && (obj.hasOwnProperty('rotateX') || obj.hasOwnProperty('rotateY') || obj.hasOwnProperty('rotateZ'))) {
-            // Solo aplicar rotación si está activa globalmente
-            if (params.rotationActive) {
-                // Comprobar si las propiedades son objetos (nuevo formato) o booleanos (formato anterior)
-                
-                // Rotación en eje X
-                if (typeof obj.rotateX === 'object' && obj.rotateX !== null) {
-                    // Nuevo formato: { active: bool, speed: number }
-                    if (obj.rotateX.active) {
-                        obj.object.rotation.x += obj.rotateX.speed;
-                    }
-                } else if (obj.rotateX === true) {
-                    // Formato anterior: booleano
-                    obj.object.rotation.x += 0.01;
-                }
-                
-                // Rotación en eje Y
-                if (typeof obj.rotateY === 'object' && obj.rotateY !== null) {
-                    if (obj.rotateY.active) {
-                        obj.object.rotation.y += obj.rotateY.speed;
-                    }
-                } else if (obj.rotateY === true) {
-                    obj.object.rotation.y += 0.01;
-                }
-                
-                // Rotación en eje Z
-                if (typeof obj.rotateZ === 'object' && obj.rotateZ !== null) {
-                    if (obj.rotateZ.active) {
-                        obj.object.rotation.z += obj.rotateZ.speed;
-                    }
-                } else if (obj.rotateZ === true) {
-                    obj.object.rotation.z += -0.01;
-                }
-            }
-        }
+function detectarPivots(contornos) {
+    if (contornos.length === 0) return;
+    
+    // Analizar la forma principal (la de mayor área)
+    const principal = contornos.reduce((a, b) =>
+        Math.abs(THREE.ShapeUtils.area(b.shape.getPoints())) > Math.abs(THREE.ShapeUtils.area(a.shape.getPoints())) ? b : a);
+    
+    principal.mesh.updateMatrix();
+    const puntos = principal.shape.getPoints(24).map(point => {
+        const p = new THREE.Vector3(point.x, point.y, 0).applyMatrix4(principal.mesh.matrix);
+        return new THREE.Vector2(p.x, p.y);
     });
     
-    // Renderizar la escena
-    renderer.render(scene, camera);
+    pivotsCandidatos = DeteccionPivot.detectar(puntos).map(c => ({
+        x: -c.x,
+        y: -c.y,
+        orden: c.orden,
+        error: c.error
+    }));
+    
+    console.log("Pivots candidatos detectados:", pivotsCandidatos);
+    
+    mostrarPivotsCandidatos();
 }
 
 /**
- * Manejar el redimensionamiento de la ventana
+ * Muestra los pivots candidatos en la GUI, cada uno con un botón para aplicarlo
  */
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+function mostrarPivotsCandidatos() {
+    if (!pivotsFolder) return;
+    
+    // Eliminar los botones anteriores
+    pivotsFolder.__controllers.slice().forEach(controller => controller.remove());
+    
+    if (pivotsCandidatos.length === 0) {
+        const vacio = pivotsFolder.add({ info: 'Ninguno' }, 'info').name('Candidatos');
+        vacio.__input.readOnly = true;
+        return;
+    }
+    
+    pivotsCandidatos.forEach(candidato => {
+        const accion = {
+            aplicar: function() {
+                centerController.setCenter(candidato.x, candidato.y, 0);
+            }
+        };
+        pivotsFolder.add(accion, 'aplicar')
+            .name(`C${candidato.orden}: X ${candidato.x.toFixed(3)}, Y ${candidato.y.toFixed(3)}`);
+    });
 }
 
 /**
@@ -465,6 +410,9 @@ function setCenterPosition(svgGroup, x = 0, y = 0, z = 0) {
     // Actualizar la GUI y el texto informativo
     updateGUI();
     
+    // Guardar el cambio en el historial (los movimientos seguidos de un deslizador forman un solo paso)
+    Historial.confirmar(historial, { centerX: x, centerY: y, centerZ: z });
+    
     console.log(`Nuevo centro de rotación: (${x}, ${y}, ${z})`);
     console.log(`Posición del grupo SVG: (${svgGroup.position.x}, ${svgGroup.position.y}, ${svgGroup.position.z})`);
     
@@ -634,6 +582,11 @@ function setupGUI() {
     // Abrir la carpeta por defecto
     centerFolder.open();
     
+    // Carpeta con los pivots detectados automáticamente (Cn = rotación de orden n)
+    pivotsFolder = gui.addFolder('Pivots candidatos (clic para aplicar)');
+    mostrarPivotsCandidatos();
+    pivotsFolder.open();
+    
     // Carpeta para controlar la visualización de los helpers
     const helpersFolder = gui.addFolder('Visualización');
     
@@ -730,6 +683,9 @@ window.centerController = centerController;
 // Función para alternar la rotación
 window.toggleRotation = function() {
     params.rotationActive = !params.rotationActive;
+    
+    // Pausar el reloj conserva la fase: al reanudar, la rotación sigue donde estaba
+    RelojAnimacion.pausar(escena.reloj, !params.rotationActive);
     console.log(`Rotación ${params.rotationActive ? 'activada' : 'desactivada'}`);
     // Actualizar la GUI para reflejar el cambio
     if (gui) {
@@ -761,10 +717,13 @@ function resetRotation() {
         centerController.svgGroup.rotation.set(0, 0, 0);
         console.log("Rotación del grupo SVG reiniciada a (0, 0, 0)");
     }
+    RelojAnimacion.fijar(escena.reloj, 0);
 }
 
 // Actualizar el estado de la rotación en la GUI y reiniciar si es necesario
 function updateRotationStatus() {
+    RelojAnimacion.pausar(escena.reloj, !params.rotationActive);
+    
     // Si la rotación está desactivada, reiniciar la rotación
     if (!params.rotationActive) {
         resetRotation();
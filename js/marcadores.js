@@ -0,0 +1,92 @@
+/**
+ * Marcadores visuales de las pajaritas
+ * - Cruceta ROJA: centro geométrico (0,0,0) de la pajarita, dentro de su svgGroup
+ * - Cruceta AZUL: pivot alrededor del cual rota la pajarita, en el origen de su pivotGroup
+ * - Línea VERDE: une el centro con el pivot
+ */
+
+import * as THREE from './lib/three.module.js';
+
+/**
+ * Crea una cruceta de tres barras con una pequeña esfera en el centro
+ * @param {number} size - Semilongitud de cada barra
+ * @param {number} color - Color hexadecimal
+ * @param {number} opacity - Opacidad del material
+ * @returns {THREE.Group} - Cruceta
+ */
+function crearCruceta(size, color, opacity) {
+    // Crear un grupo para contener las líneas de la cruceta
+    const markerGroup = new THREE.Group();
+    
+    const material = new THREE.MeshBasicMaterial({
+        color: color,
+        transparent: true,
+        opacity: opacity
+    });
+    
+    // Crear líneas en las tres direcciones (X, Y, Z)
+    // Eje X (línea horizontal)
+    const geometryX = new THREE.BoxGeometry(size * 2, size / 10, size / 10);
+    markerGroup.add(new THREE.Mesh(geometryX, material));
+    
+    // Eje Y (línea vertical)
+    const geometryY = new THREE.BoxGeometry(size / 10, size * 2, size / 10);
+    markerGroup.add(new THREE.Mesh(geometryY, material));
+    
+    // Eje Z (línea de profundidad)
+    const geometryZ = new THREE.BoxGeometry(size / 10, size / 10, size * 2);
+    markerGroup.add(new THREE.Mesh(geometryZ, material));
+    
+    // Añadir una pequeña esfera en el centro de la cruceta
+    const sphereGeometry = new THREE.SphereGeometry(size / 8, 16, 16);
+    markerGroup.add(new THREE.Mesh(sphereGeometry, material));
+    
+    return markerGroup;
+}
+
+const Marcadores = {
+    /**
+     * Crea un marcador en forma de cruceta para visualizar el pivot
+     * @returns {THREE.Object3D} - Objeto 3D que representa el marcador
+     */
+    crearMarcadorPivot: function() {
+        // Azul brillante y casi transparente para no tapar la pajarita
+        return crearCruceta(0.05, 0x0088ff, 0.2);
+    },
+    
+    /**
+     * Crea un marcador en forma de cruceta para visualizar el centro de la pajarita
+     * @returns {THREE.Object3D} - Objeto 3D que representa el marcador
+     */
+    crearMarcadorCentro: function() {
+        // Rojo brillante
+        return crearCruceta(0.2, 0xff2222, 0.8);
+    },
+    
+    /**
+     * Crea una línea que conecta el centro de la pajarita con el punto de pivot
+     * La línea se añade al svgGroup, cuyo origen es el centro y que está desplazado al pivot
+     * @param {Object} pivot - Coordenadas {x, y, z} del pivot
+     * @returns {THREE.Object3D} - Objeto 3D que representa la línea de conexión
+     */
+    crearLineaConexion: function(pivot) {
+        const points = [
+            new THREE.Vector3(0, 0, 0), // Desde el centro (0,0,0)
+            new THREE.Vector3(-pivot.x, -pivot.y, -pivot.z) // Hasta el pivot (en coordenadas locales inversas)
+        ];
+        
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        
+        // Material para la línea (verde claro)
+        const material = new THREE.LineBasicMaterial({
+            color: 0x44ff44,
+            linewidth: 2,
+            opacity: 0.7,
+            transparent: true
+        });
+        
+        return new THREE.Line(geometry, material);
+    }
+};
+
+export default Marcadores;
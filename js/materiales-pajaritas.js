@@ -0,0 +1,282 @@
+/**
+ * Biblioteca de materiales de las pajaritas
+ * Cada preset describe un material físico (PBR): metalicidad, rugosidad, barniz (clearcoat),
+ * brillo aterciopelado (sheen) y un relieve que se genera por código como mapa de normales,
+ * sin texturas externas. El color lo sigue poniendo la paleta; el preset solo decide el acabado.
+ * - metal: el acabado metálico de siempre (MeshStandardMaterial, sin relieve)
+ * - laton: latón cepillado, con estrías finas en una dirección
+ * - azulejo: cerámica vidriada, con un barniz brillante sobre una superficie algo ondulada
+ * - yeso: yeso tallado, mate y con un grano irregular marcado
+ * - madera: vetas de madera con un brillo suave
+ * - pintura: pintura mate con un grano muy fino
+ * Las páginas eligen un preset por grupo de color (ver PaletasColor.grupo) con crearPanel.
+ */
+
+import * as THREE from './lib/three.module.js';
+
+// Presets de material; relieve es el nombre de un patrón de RELIEVES (o null) y
+// intensidadRelieve la escala del mapa de normales
+const PRESETS = {
+    metal: { etiqueta: 'Metal', metalness: 0.5, roughness: 0.4, envMapIntensity: 1.2 },
+    laton: {
+        etiqueta: 'Latón cepillado', metalness: 1.0, roughness: 0.35, envMapIntensity: 1.4,
+        relieve: 'cepillado', intensidadRelieve: 0.35
+    },
+    azulejo: {
+        etiqueta: 'Azulejo', metalness: 0.0, roughness: 0.3, envMapIntensity: 1.0,
+        clearcoat: 1.0, clearcoatRoughness: 0.05, relieve: 'ondulado', intensidadRelieve: 0.25
+    },
+    yeso: {
+        etiqueta: 'Yeso tallado', metalness: 0.0, roughness: 0.95, envMapIntensity: 0.6,
+        relieve: 'tallado', intensidadRelieve: 1.0
+    },
+    madera: {
+        etiqueta: 'Madera', metalness: 0.0, roughness: 0.65, envMapIntensity: 0.8,
+        sheen: 0.4, sheenRoughness: 0.6, relieve: 'vetas', intensidadRelieve: 0.5
+    },
+    pintura: {
+        etiqueta: 'Pintura mate', metalness: 0.0, roughness: 0.85, envMapIntensity: 0.7,
+        sheen: 0.25, sheenRoughness: 0.9, relieve: 'grano', intensidadRelieve: 0.15
+    }
+};
+
+// Lado en píxeles de los mapas de normales (potencia de dos, para los mipmaps)
+const TAMANO_RELIEVE = 256;
+
+// Unidades del SVG que cubre una repetición del mapa de normales (la pajarita mide unas 1000)
+const UNIDADES_POR_REPETICION = 250;
+
+// Mapas de normales ya generados, por patrón; se comparten entre todos los materiales y no se
+// liberan, porque hay como mucho uno por patrón
+const mapasNormales = new Map();
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32)
+ * @param {number} semilla - Semilla entera
+ * @returns {Function} - Devuelve un número en [0, 1) en cada llamada
+ */
+function aleatorio(semilla) {
+    let estado = semilla >>> 0;
+    return function() {
+        estado = (estado + 0x6D2B79F5) >>> 0;
+        let t = estado;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Ruido de valor periódico: una rejilla de valores aleatorios interpolada suavemente, que
+ * encaja consigo misma en los bordes para que el mapa se pueda repetir sin costuras
+ * @param {number} celdasX - Celdas de la rejilla en horizontal
+ * @param {number} celdasY - Celdas de la rejilla en vertical
+ * @param {number} semilla - Semilla
+ * @returns {Function} - (u, v) con u, v en [0, 1) → valor en [0, 1)
+ */
+function ruidoPeriodico(celdasX, celdasY, semilla) {
+    const azar = aleatorio(semilla);
+    const rejilla = Float32Array.from({ length: celdasX * celdasY }, () => azar());
+    const valor = (i, j) => rejilla[(j % celdasY) * celdasX + (i % celdasX)];
+    const suavizar = t => t * t * (3 - 2 * t);
+    
+    return function(u, v) {
+        const x = u * celdasX;
+        const y = v * celdasY;
+        const i = Math.floor(x);
+        const j = Math.floor(y);
+        const fx = suavizar(x - i);
+        const fy = suavizar(y - j);
+        const abajo = valor(i, j) + (valor(i + 1, j) - valor(i, j)) * fx;
+        const arriba = valor(i, j + 1) + (valor(i + 1, j + 1) - valor(i, j + 1)) * fx;
+        return abajo + (arriba - abajo) * fy;
+    };
+}
+
+/**
+ * Suma de octavas de ruido periódico (cada octava con el doble de celdas y la mitad de amplitud)
+ * @param {number} celdasX - Celdas de la primera octava en horizontal
+ * @param {number} celdasY - Celdas de la primera octava en vertical
+ * @param {number} octavas - Número de octavas
+ * @param {number} semilla - Semilla
+ * @returns {Function} - (u, v) → valor aproximadamente en [0, 1)
+ */
+function fbm(celdasX, celdasY, octavas, semilla) {
+    const capas = Array.from({ length: octavas }, (_, k) =>
+        ruidoPeriodico(celdasX << k, celdasY << k, semilla + k * 101));
+    const total = capas.reduce((suma, _, k) => suma + 1 / (1 << k), 0);
+    
+    return (u, v) => capas.reduce((suma, capa, k) => suma + capa(u, v) / (1 << k), 0) / total;
+}
+
+// Patrones de relieve: cada uno crea una función de altura (u, v) → altura, periódica en [0, 1)
+const RELIEVES = {
+    // Estrías finas en horizontal, con algo de variación a lo largo de cada una
+    cepillado: () => fbm(2, 128, 2, 11),
+    
+    // Ondulación suave de baja frecuencia
+    ondulado: () => fbm(3, 3, 2, 23),
+    
+    // Grano irregular con varias escalas
+    tallado: () => fbm(8, 8, 4, 37),
+    
+    // Anillos de crecimiento deformados por ruido, con fibras finas a lo largo
+    vetas: () => {
+        const deformacion = fbm(2, 2, 3, 41);
+        const fibras = ruidoPeriodico(4, 96, 43);
+        return (u, v) => 0.5 + 0.4 * Math.sin(2 * Math.PI * (12 * v + 1.5 * deformacion(u, v))) + 0.1 * fibras(u, v);
+    },
+    
+    // Grano muy fino
+    grano: () => fbm(64, 64, 2, 53)
+};
+
+/**
+ * Genera (o devuelve de la caché) el mapa de normales de un patrón de relieve
+ * Las normales salen de las diferencias finitas de la altura, también periódicas
+ * @param {string} patron - Nombre del patrón en RELIEVES
+ * @returns {THREE.DataTexture} - Mapa de normales repetible
+ */
+function mapaNormales(patron) {
+    if (mapasNormales.has(patron)) return mapasNormales.get(patron);
+    
+    const n = TAMANO_RELIEVE;
+    const altura = RELIEVES[patron]();
+    const alturas = new Float32Array(n * n);
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            alturas[j * n + i] = altura(i / n, j / n);
+        }
+    }
+    
+    // La pendiente se mide en píxeles; el factor la lleva a un relieve visible
+    const pendiente = n / 16;
+    const datos = new Uint8Array(n * n * 4);
+    const normal = new THREE.Vector3();
+    const h = (i, j) => alturas[((j + n) % n) * n + ((i + n) % n)];
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            const dx = (h(i + 1, j) - h(i - 1, j)) * 0.5 * pendiente;
+            const dy = (h(i, j + 1) - h(i, j - 1)) * 0.5 * pendiente;
+            normal.set(-dx, -dy, 1).normalize();
+            const k = (j * n + i) * 4;
+            datos[k] = Math.round((normal.x * 0.5 + 0.5) * 255);
+            datos[k + 1] = Math.round((normal.y * 0.5 + 0.5) * 255);
+            datos[k + 2] = Math.round((normal.z * 0.5 + 0.5) * 255);
+            datos[k + 3] = 255;
+        }
+    }
+    
+    const textura = new THREE.DataTexture(datos, n, n, THREE.RGBAFormat);
+    textura.name = `relieve-${patron}`;
+    textura.wrapS = THREE.RepeatWrapping;
+    textura.wrapT = THREE.RepeatWrapping;
+    // Las UV de la extrusión están en unidades del SVG
+    textura.repeat.set(1 / UNIDADES_POR_REPETICION, 1 / UNIDADES_POR_REPETICION);
+    textura.magFilter = THREE.LinearFilter;
+    textura.minFilter = THREE.LinearMipmapLinearFilter;
+    textura.generateMipmaps = true;
+    textura.needsUpdate = true;
+    
+    mapasNormales.set(patron, textura);
+    return textura;
+}
+
+const MaterialesPajaritas = {
+    /**
+     * Nombres de los presets
+     */
+    presets: Object.keys(PRESETS),
+    
+    /**
+     * Etiqueta de un preset
+     * @param {string} nombre - Nombre del preset
+     * @returns {string} - Etiqueta para la interfaz
+     */
+    etiqueta: function(nombre) {
+        return PRESETS[nombre] ? PRESETS[nombre].etiqueta : nombre;
+    },
+    
+    /**
+     * Crea el material de una pajarita con un preset
+     * Los presets sin barniz, brillo ni relieve usan MeshStandardMaterial; el resto, MeshPhysicalMaterial
+     * @param {string} nombre - Nombre del preset (si no existe, 'metal')
+     * @param {number} color - Color hexadecimal
+     * @returns {THREE.MeshStandardMaterial|THREE.MeshPhysicalMaterial} - Material de la pajarita
+     */
+    crear: function(nombre, color) {
+        const preset = PRESETS[nombre] || PRESETS.metal;
+        const fisico = preset.clearcoat || preset.sheen || preset.relieve;
+        
+        const parametros = {
+            color: color,
+            metalness: preset.metalness,
+            roughness: preset.roughness,
+            flatShading: false,
+            envMapIntensity: preset.envMapIntensity,
+            shadowSide: THREE.FrontSide,
+            dithering: true
+        };
+        if (!fisico) {
+            const material = new THREE.MeshStandardMaterial(parametros);
+            material.name = nombre;
+            return material;
+        }
+        
+        const material = new THREE.MeshPhysicalMaterial({
+            ...parametros,
+            clearcoat: preset.clearcoat || 0,
+            clearcoatRoughness: preset.clearcoatRoughness || 0,
+            sheen: preset.sheen || 0,
+            sheenRoughness: preset.sheenRoughness || 1,
+            // El brillo aterciopelado toma el color de la propia pajarita
+            sheenColor: new THREE.Color(color)
+        });
+        if (preset.relieve) {
+            material.normalMap = mapaNormales(preset.relieve);
+            material.normalScale.set(preset.intensidadRelieve, preset.intensidadRelieve);
+        }
+        material.name = nombre;
+        return material;
+    },
+    
+    /**
+     * Añade a una GUI de dat.GUI la carpeta para elegir el material de cada grupo de color
+     * @param {GUI} gui - Panel de dat.GUI
+     * @param {Object} pagina - Funciones de la página
+     * @param {Function} pagina.obtener - Devuelve { colores, materiales } con los colores de la paleta
+     * y el preset de cada grupo (la lista se repite si es más corta que la paleta)
+     * @param {Function} pagina.cambiar - Recibe la nueva lista de materiales, uno por color
+     * @returns {Object} - { folder, actualizar } donde actualizar rehace los controles (tras cambiar
+     * la paleta, deshacer...)
+     */
+    crearPanel: function(gui, pagina) {
+        const folder = gui.addFolder('Materiales');
+        const estado = {};
+        const etiquetas = Object.fromEntries(this.presets.map(nombre => [this.etiqueta(nombre), nombre]));
+        
+        // Un control por color de la paleta, con una muestra del color en su nombre
+        const reconstruir = () => {
+            folder.__controllers.slice().forEach(controller => controller.remove());
+            
+            const { colores, materiales } = pagina.obtener();
+            const actuales = colores.map((_, i) => materiales[i % materiales.length]);
+            
+            colores.forEach((color, i) => {
+                estado['grupo' + i] = actuales[i];
+                const muestra = `<span style="color:#${color.toString(16).padStart(6, '0')}">■</span>`;
+                folder.add(estado, 'grupo' + i, etiquetas).name(`${muestra} Color ${i + 1}`).onFinishChange(nombre => {
+                    const materialesNuevos = actuales.slice();
+                    materialesNuevos[i] = nombre;
+                    pagina.cambiar(materialesNuevos);
+                    reconstruir();
+                });
+            });
+        };
+        
+        reconstruir();
+        return { folder, actualizar: reconstruir };
+    }
+};
+
+export default MaterialesPajaritas;
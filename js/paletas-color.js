@@ -0,0 +1,288 @@
+/**
+ * Paletas de color de las pajaritas
+ * Una paleta es una lista de colores con nombre; una regla de asignación decide qué color de
+ * la paleta lleva cada pajarita a partir de su tipo, su anillo, su índice y su posición:
+ * - alternado: el patrón de siempre, que alterna los colores entre vecinas
+ * - anillo: un color por anillo
+ * - sector: un color por sector angular alrededor del centro
+ * - gradiente: degradado radial de la paleta, del centro (anillo 0) al último anillo
+ * - aleatorio: color pseudoaleatorio con semilla, el mismo para cada pajarita en cada regeneración
+ * - damero: color de la celda de la red hexagonal ((i + j) mod 3, sin celdas vecinas iguales)
+ * La paleta clásica tiene además colores propios, algo más oscuros, para el anillo interior.
+ * El grupo de una pajarita es el color de la paleta que le corresponde (el más cercano en el
+ * gradiente); las páginas lo usan para dar a cada grupo su material.
+ * El editor (crearPanel) elige la paleta y la regla y edita los colores uno a uno; al editar
+ * un color la paleta pasa a llamarse 'personalizada'.
+ */
+
+// Paletas predefinidas; `interior` (opcional) sustituye a `colores` en el anillo interior
+const PALETAS = {
+    clasica: { colores: [0x8A9D35, 0xC09A60], interior: [0x7D8A2E, 0xAA8A50] },
+    laton: { colores: [0xB5A642, 0x8C7853, 0xD4AF37] },
+    terracota: { colores: [0xB35A3C, 0xD9A066, 0x7A3B2E, 0xE8C9A0] },
+    mar: { colores: [0x1F4E79, 0x2E86AB, 0x8FC1E3, 0xE0F2F1] },
+    pizarra: { colores: [0x2F3E46, 0x52796F, 0x84A98C, 0xCAD2C5] },
+    arcoiris: { colores: [0xE63946, 0xF4A261, 0xE9C46A, 0x2A9D8F, 0x457B9D, 0x6D597A] }
+};
+
+// Nombre de la paleta cuyos colores se han editado a mano
+const PERSONALIZADA = 'personalizada';
+
+// Número máximo de colores de una paleta
+const MAX_COLORES = 12;
+
+/**
+ * Número entero pseudoaleatorio a partir de una lista de enteros (hash de tipo FNV-1a con mezcla final)
+ * @param {Array<number>} valores - Enteros de entrada
+ * @returns {number} - Entero sin signo de 32 bits
+ */
+function mezclar(valores) {
+    let h = 0x811c9dc5;
+    valores.forEach(valor => {
+        h = Math.imul(h ^ (valor | 0), 0x01000193);
+    });
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    return h >>> 0;
+}
+
+/**
+ * Resto siempre positivo
+ * @param {number} a - Dividendo
+ * @param {number} n - Divisor
+ * @returns {number} - a mod n en [0, n)
+ */
+function modulo(a, n) {
+    return ((a % n) + n) % n;
+}
+
+/**
+ * Interpola linealmente entre dos colores
+ * @param {number} a - Color inicial (hexadecimal)
+ * @param {number} b - Color final (hexadecimal)
+ * @param {number} t - Fracción entre 0 y 1
+ * @returns {number} - Color hexadecimal
+ */
+function interpolar(a, b, t) {
+    const canal = desplazamiento => {
+        const ca = (a >> desplazamiento) & 0xff;
+        const cb = (b >> desplazamiento) & 0xff;
+        return Math.round(ca + (cb - ca) * t) << desplazamiento;
+    };
+    return canal(16) | canal(8) | canal(0);
+}
+
+/**
+ * Posición de la pajarita en el patrón alternado de su tipo
+ * @param {Object} pajarita - { tipo, indice, numPajaritasAnillo }
+ * @returns {number} - Índice de color (sin reducir al número de colores)
+ */
+function indiceAlternado(pajarita) {
+    const { tipo, indice, numPajaritasAnillo } = pajarita;
+    
+    // Anillo interior: posiciones pares e impares
+    if (tipo === 'interior') return indice;
+    
+    // Rosetas: posición dentro de la roseta, así dos vecinas (de la misma roseta o de rosetas
+    // contiguas) nunca coinciden
+    if (tipo === 'hexagonal') return indice % 6;
+    
+    // Grupos de simetría: operación del grupo que coloca la pajarita
+    if (tipo === 'grupo') return indice % numPajaritasAnillo;
+    
+    // Celosía radial: patrón alternado pero con un offset para cada dirección
+    return Math.floor(indice / numPajaritasAnillo) + (indice % numPajaritasAnillo);
+}
+
+// Reglas de asignación: cada una devuelve la posición de una pajarita en una paleta de n colores,
+// un índice entero salvo en el gradiente, donde la parte fraccionaria interpola entre dos colores
+const REGLAS = {
+    alternado: (pajarita, n) => indiceAlternado(pajarita) % n,
+    
+    anillo: (pajarita, n) => modulo(pajarita.anillo || 0, n),
+    
+    sector: (pajarita, n, configuracion) => {
+        const angulo = modulo(Math.atan2(pajarita.y || 0, pajarita.x || 0), 2 * Math.PI);
+        const sector = Math.floor(angulo / (2 * Math.PI) * configuracion.sectoresColor);
+        return sector % n;
+    },
+    
+    gradiente: (pajarita, n, configuracion, entorno) =>
+        Math.min(1, (pajarita.anillo || 0) / Math.max(1, entorno.numAnillos)) * (n - 1),
+    
+    aleatorio: (pajarita, n, configuracion) => {
+        const tipo = ['interior', 'celosia', 'hexagonal', 'grupo'].indexOf(pajarita.tipo);
+        return mezclar([configuracion.semillaColor, tipo, pajarita.anillo || 0, pajarita.indice]) % n;
+    },
+    
+    // Sin celda (celosía radial) no hay red: se usa el patrón alternado
+    damero: (pajarita, n) => pajarita.celda
+        ? modulo(pajarita.celda[0] + pajarita.celda[1], 3) % n
+        : REGLAS.alternado(pajarita, n)
+};
+
+/**
+ * Posición de una pajarita en su paleta
+ * @param {Object} pajarita - Datos de la pajarita (ver PaletasColor.color)
+ * @param {Object} configuracion - Configuración de color
+ * @param {Object} entorno - { numAnillos }
+ * @returns {number} - Posición entre 0 y el número de colores menos 1
+ */
+function posicionEnPaleta(pajarita, configuracion, entorno) {
+    const regla = REGLAS[configuracion.reglaColor] || REGLAS.alternado;
+    return regla(pajarita, configuracion.colores.length, configuracion, entorno);
+}
+
+const PaletasColor = {
+    /**
+     * Nombres de las paletas predefinidas
+     */
+    paletas: Object.keys(PALETAS),
+    
+    /**
+     * Nombre de la paleta editada a mano
+     */
+    personalizada: PERSONALIZADA,
+    
+    /**
+     * Nombres de las reglas de asignación
+     */
+    reglas: Object.keys(REGLAS),
+    
+    /**
+     * Configuración por defecto: reproduce los colores originales
+     */
+    porDefecto: {
+        paleta: 'clasica',
+        colores: PALETAS.clasica.colores,
+        reglaColor: 'alternado',
+        semillaColor: 1,
+        sectoresColor: 6
+    },
+    
+    /**
+     * Colores de una paleta predefinida
+     * @param {string} nombre - Nombre de la paleta
+     * @returns {Array<number>} - Copia de sus colores
+     */
+    colores: function(nombre) {
+        return PALETAS[nombre].colores.slice();
+    },
+    
+    /**
+     * Comprueba una lista de colores
+     * @param {*} colores - Valor a comprobar
+     * @returns {string|null} - Motivo por el que no es válida, o null si lo es
+     */
+    comprobarColores: function(colores) {
+        if (!Array.isArray(colores) || colores.length === 0 || colores.length > MAX_COLORES) {
+            return `debe ser una lista de 1 a ${MAX_COLORES} colores`;
+        }
+        if (!colores.every(color => Number.isInteger(color) && color >= 0 && color <= 0xffffff)) {
+            return 'cada color debe estar entre 0 y 0xffffff';
+        }
+        return null;
+    },
+    
+    /**
+     * Color de una pajarita
+     * @param {Object} pajarita - { tipo, indice, numPajaritasAnillo, anillo, x, y, celda } (anillo,
+     * posición y celda solo hacen falta para las reglas que los usan)
+     * @param {Object} configuracion - { paleta, colores, reglaColor, semillaColor, sectoresColor } (por defecto, porDefecto)
+     * @param {Object} entorno - { numAnillos } con el número de anillos de la celosía, para el gradiente
+     * @returns {number} - Color hexadecimal
+     */
+    color: function(pajarita, configuracion = this.porDefecto, entorno = { numAnillos: 1 }) {
+        // El anillo interior usa los colores propios de la paleta, si los tiene
+        const paleta = PALETAS[configuracion.paleta];
+        const colores = pajarita.tipo === 'interior' && paleta && paleta.interior
+            ? paleta.interior
+            : configuracion.colores;
+        
+        // La posición se calcula sobre configuracion.colores: si la lista del interior es más corta
+        // (por ejemplo, más colores en la URL con la paleta clásica), se recorre de forma cíclica
+        const posicion = posicionEnPaleta(pajarita, configuracion, entorno);
+        const i = Math.floor(posicion);
+        const colorEn = k => colores[k % colores.length];
+        return posicion > i ? interpolar(colorEn(i), colorEn(i + 1), posicion - i) : colorEn(i);
+    },
+    
+    /**
+     * Grupo de color de una pajarita: índice del color de la paleta que le corresponde
+     * @param {Object} pajarita - Como en color()
+     * @param {Object} configuracion - Como en color()
+     * @param {Object} entorno - Como en color()
+     * @returns {number} - Índice entre 0 y el número de colores menos 1
+     */
+    grupo: function(pajarita, configuracion = this.porDefecto, entorno = { numAnillos: 1 }) {
+        return Math.round(posicionEnPaleta(pajarita, configuracion, entorno));
+    },
+    
+    /**
+     * Añade a una GUI de dat.GUI la carpeta del editor de paletas
+     * Los cambios se entregan al soltar cada control; la página los aplica y regenera la escena
+     * @param {GUI} gui - Panel de dat.GUI
+     * @param {Object} pagina - Funciones de la página
+     * @param {Function} pagina.obtener - Devuelve la configuración actual { paleta, colores, reglaColor, semillaColor, sectoresColor }
+     * @param {Function} pagina.cambiar - Recibe los campos de la configuración que cambian
+     * @returns {Object} - { folder, actualizar } donde actualizar rehace los controles con la
+     * configuración actual (tras deshacer, cargar un preset...)
+     */
+    crearPanel: function(gui, pagina) {
+        const folder = gui.addFolder('Colores');
+        const estado = {};
+        
+        const cambiar = cambios => {
+            pagina.cambiar(cambios);
+            reconstruir();
+        };
+        
+        // Los controles se rehacen cuando cambia el número de colores
+        const reconstruir = () => {
+            folder.__controllers.slice().forEach(controller => controller.remove());
+            
+            const configuracion = pagina.obtener();
+            Object.assign(estado, {
+                paleta: configuracion.paleta,
+                reglaColor: configuracion.reglaColor,
+                semillaColor: configuracion.semillaColor,
+                sectoresColor: configuracion.sectoresColor,
+                anadir: () => {
+                    const colores = configuracion.colores;
+                    if (colores.length >= MAX_COLORES) return;
+                    cambiar({ paleta: PERSONALIZADA, colores: [...colores, colores[colores.length - 1]] });
+                },
+                quitar: () => {
+                    if (configuracion.colores.length <= 1) return;
+                    cambiar({ paleta: PERSONALIZADA, colores: configuracion.colores.slice(0, -1) });
+                }
+            });
+            
+            const opciones = this.paletas.includes(configuracion.paleta) ? this.paletas : [...this.paletas, PERSONALIZADA];
+            folder.add(estado, 'paleta', opciones).name('Paleta').onFinishChange(nombre => {
+                if (PALETAS[nombre]) cambiar({ paleta: nombre, colores: this.colores(nombre) });
+            });
+            folder.add(estado, 'reglaColor', this.reglas).name('Regla').onFinishChange(reglaColor => cambiar({ reglaColor }));
+            folder.add(estado, 'semillaColor', 0, 999999, 1).name('Semilla (aleatorio)').onFinishChange(semillaColor => cambiar({ semillaColor }));
+            folder.add(estado, 'sectoresColor', 1, 36, 1).name('Sectores').onFinishChange(sectoresColor => cambiar({ sectoresColor }));
+            
+            configuracion.colores.forEach((color, i) => {
+                estado['color' + i] = color;
+                folder.addColor(estado, 'color' + i).name(`Color ${i + 1}`).onFinishChange(valor => {
+                    const colores = configuracion.colores.slice();
+                    colores[i] = typeof valor === 'string' ? parseInt(valor.replace('#', ''), 16) : valor;
+                    cambiar({ paleta: PERSONALIZADA, colores });
+                });
+            });
+            
+            folder.add(estado, 'anadir').name('Añadir color');
+            folder.add(estado, 'quitar').name('Quitar color');
+        };
+        
+        reconstruir();
+        return { folder, actualizar: reconstruir };
+    }
+};
+
+export default PaletasColor;
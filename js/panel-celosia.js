@@ -0,0 +1,115 @@
+/**
+ * Panel de control (dat.GUI) de las páginas de celosía
+ * Crea un control por parámetro (deslizador con campo numérico, desplegable o casilla)
+ * enlazado con las variables de la página a través de un objeto con getters y setters:
+ * - los controles escuchan (listen) el valor, así que reflejan los cambios hechos con el teclado
+ * - al mover un control se asigna la variable de la página y se avisa a la carpeta, con un
+ *   retardo opcional para que arrastrar un deslizador no regenere la celosía decenas de veces
+ */
+
+import ParametrosCelosia from './parametros-celosia.js';
+
+// Etiqueta y rango de los controles (los desplegables toman sus opciones del esquema)
+const CONTROLES = {
+    numRepeticiones: { etiqueta: 'Repeticiones', min: 1, max: 20, paso: 1 },
+    distanciaRepeticiones: { etiqueta: 'Distancia', min: 0.2, max: 5, paso: 0.005 },
+    escalaUniforme: { etiqueta: 'Escala', min: 0.1, max: 3, paso: 0.01 },
+    alturaZ: { etiqueta: 'Altura Z', min: 0, max: 5, paso: 0.01 },
+    offsetAngular: { etiqueta: 'Offset angular', min: -Math.PI, max: Math.PI, paso: 0.001 },
+    desplazamientoRadial: { etiqueta: 'Desplazamiento radial', min: -5, max: 5, paso: 0.01 },
+    factorPajaritas: { etiqueta: 'Factor pajaritas', min: 1, max: 10, paso: 0.1 },
+    modoDisposicion: { etiqueta: 'Disposición' },
+    grupoSimetria: { etiqueta: 'Grupo de simetría' },
+    modoInstanciado: { etiqueta: 'Instanciado' },
+    fogType: { etiqueta: 'Tipo de niebla' },
+    fogDensity: { etiqueta: 'Densidad', min: 0.001, max: 0.2, paso: 0.001 },
+    fogFar: { etiqueta: 'Distancia lineal', min: 2, max: 100, paso: 1 },
+    modoIluminacion: { etiqueta: 'Iluminación' },
+    intensidadEntorno: { etiqueta: 'Intensidad', min: 0, max: 3, paso: 0.05 },
+    rotacionEntorno: { etiqueta: 'Rotación', min: -Math.PI, max: Math.PI, paso: 0.01 },
+    pivotX: { etiqueta: 'Pivot X', min: -1, max: 1, paso: 0.001 },
+    pivotY: { etiqueta: 'Pivot Y', min: -1, max: 1, paso: 0.001 },
+    pivotZ: { etiqueta: 'Pivot Z', min: -1, max: 1, paso: 0.001 },
+    markersVisible: { etiqueta: 'Mostrar marcadores' },
+    paleta: { etiqueta: 'Paleta' },
+    colores: { etiqueta: 'Colores' },
+    reglaColor: { etiqueta: 'Regla de color' },
+    semillaColor: { etiqueta: 'Semilla de color' },
+    sectoresColor: { etiqueta: 'Sectores de color' },
+    ajustes: { etiqueta: 'Ajustes por pajarita' },
+    luces: { etiqueta: 'Luces' }
+};
+
+/**
+ * Envuelve una función para que solo se ejecute cuando deja de llamarse durante un tiempo
+ * @param {Function} funcion - Función a ejecutar
+ * @param {number} retardo - Milisegundos de espera
+ * @returns {Function} - Función con retardo
+ */
+function conRetardo(funcion, retardo) {
+    let temporizador = null;
+    return function() {
+        clearTimeout(temporizador);
+        temporizador = setTimeout(funcion, retardo);
+    };
+}
+
+const PanelCelosia = {
+    /**
+     * Etiqueta con la que se muestra un parámetro
+     * @param {string} nombre - Nombre del parámetro
+     * @returns {string} - Etiqueta del control, o el propio nombre si no tiene
+     */
+    etiqueta: function(nombre) {
+        return CONTROLES[nombre] ? CONTROLES[nombre].etiqueta : nombre;
+    },
+    
+    /**
+     * Añade al panel las carpetas de parámetros de la página
+     * @param {GUI} gui - Panel de dat.GUI
+     * @param {Object} pagina - Enlace con las variables de la página
+     * @param {Function} pagina.obtenerParametros - Devuelve los valores actuales por nombre
+     * @param {Function} pagina.aplicarParametros - Asigna los valores recibidos (sin regenerar)
+     * @param {Array<Object>} pagina.carpetas - { titulo, parametros, alCambiar, retardo } donde
+     * alCambiar se llama tras modificar cualquier parámetro de la carpeta, con el retardo indicado
+     * @returns {Array<GUI>} - Carpetas creadas
+     */
+    crear: function(gui, pagina) {
+        // Objeto intermedio: dat.GUI lee y escribe sus propiedades como si fueran las variables
+        const enlace = {};
+        
+        return pagina.carpetas.map(({ titulo, parametros, alCambiar, retardo = 0 }) => {
+            const folder = gui.addFolder(titulo);
+            const avisar = retardo > 0 ? conRetardo(alCambiar, retardo) : alCambiar;
+            
+            parametros.forEach(nombre => {
+                Object.defineProperty(enlace, nombre, {
+                    get: () => pagina.obtenerParametros()[nombre],
+                    set: valor => {
+                        pagina.aplicarParametros({ [nombre]: valor });
+                        avisar();
+                    }
+                });
+                
+                const control = CONTROLES[nombre] || { etiqueta: nombre };
+                const descripcion = ParametrosCelosia.esquema[nombre];
+                let controller;
+                
+                if (descripcion && descripcion.tipo === 'opcion') {
+                    controller = folder.add(enlace, nombre, descripcion.opciones);
+                } else if (control.min !== undefined) {
+                    controller = folder.add(enlace, nombre, control.min, control.max, control.paso);
+                } else {
+                    controller = folder.add(enlace, nombre);
+                }
+                
+                controller.name(control.etiqueta).listen();
+            });
+            
+            folder.open();
+            return folder;
+        });
+    }
+};
+
+export default PanelCelosia;
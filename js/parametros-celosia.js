@@ -0,0 +1,221 @@
+/**
+ * Parámetros de diseño de la celosía
+ * Describe cada parámetro ajustable de celosia-mejorada.js (tipo y rango válido) y
+ * lo convierte a y desde el hash de la URL, de modo que un diseño concreto se puede
+ * compartir como enlace y volver a abrir exactamente igual.
+ */
+
+import GruposSimetria from './grupos-simetria.js';
+import AjustesPajaritas from './ajustes-pajaritas.js';
+import PaletasColor from './paletas-color.js';
+import MaterialesPajaritas from './materiales-pajaritas.js';
+import EntornoProcedural from './entorno-procedural.js';
+import LucesEscena from './luces-escena.js';
+
+// Tipo y rango de cada parámetro
+// Los rangos de la celosía son los de los controles de PanelCelosia: más anillos, más distancia o más
+// densidad multiplican el número de pajaritas, y un enlace con valores mayores podría colgar la página
+const ESQUEMA = {
+    numRepeticiones: { tipo: 'entero', min: 1, max: 20 },
+    distanciaRepeticiones: { tipo: 'numero', min: 0.2, max: 5 },
+    escalaUniforme: { tipo: 'numero', min: 0.1, max: 3.0 },
+    alturaZ: { tipo: 'numero', min: 0, max: 5 },
+    offsetAngular: { tipo: 'numero', min: -Math.PI, max: Math.PI },
+    desplazamientoRadial: { tipo: 'numero', min: -5, max: 5 },
+    factorPajaritas: { tipo: 'numero', min: 1.0, max: 10 },
+    modoDisposicion: { tipo: 'opcion', opciones: ['radial', 'hexagonal', 'grupo'] },
+    grupoSimetria: { tipo: 'opcion', opciones: GruposSimetria.grupos },
+    modoInstanciado: { tipo: 'booleano' },
+    fogType: { tipo: 'opcion', opciones: ['none', 'linear', 'exponential'] },
+    fogDensity: { tipo: 'numero', min: 0.001, max: 0.2 },
+    fogFar: { tipo: 'numero', min: 1, max: 1000 },
+    modoIluminacion: { tipo: 'opcion', opciones: EntornoProcedural.modos },
+    intensidadEntorno: { tipo: 'numero', min: 0, max: 5 },
+    rotacionEntorno: { tipo: 'numero', min: -Math.PI, max: Math.PI },
+    pivotX: { tipo: 'numero', min: -10, max: 10 },
+    pivotY: { tipo: 'numero', min: -10, max: 10 },
+    pivotZ: { tipo: 'numero', min: -10, max: 10 },
+    paleta: { tipo: 'opcion', opciones: [...PaletasColor.paletas, PaletasColor.personalizada] },
+    colores: { tipo: 'colores' },  // Colores de la paleta, editables uno a uno
+    reglaColor: { tipo: 'opcion', opciones: PaletasColor.reglas },
+    semillaColor: { tipo: 'entero', min: 0, max: 999999 },
+    sectoresColor: { tipo: 'entero', min: 1, max: 36 },
+    materiales: { tipo: 'lista', opciones: MaterialesPajaritas.presets, max: 12 },  // Material de cada grupo de color
+    ajustes: { tipo: 'ajustes' },  // Ajustes individuales de las pajaritas (ver AjustesPajaritas)
+    luces: { tipo: 'luces' }       // Luces de la escena (ver LucesEscena)
+};
+
+/**
+ * Comprueba un valor contra la descripción de su parámetro
+ * @param {*} valor - Valor a comprobar
+ * @param {Object} descripcion - Entrada de ESQUEMA
+ * @returns {string|null} - Motivo por el que no es válido, o null si lo es
+ */
+function comprobarValor(valor, descripcion) {
+    switch (descripcion.tipo) {
+        case 'entero':
+        case 'numero':
+            if (typeof valor !== 'number' || !Number.isFinite(valor)) return 'debe ser un número';
+            if (descripcion.tipo === 'entero' && !Number.isInteger(valor)) return 'debe ser un número entero';
+            if (valor < descripcion.min || valor > descripcion.max) {
+                return `debe estar entre ${descripcion.min} y ${descripcion.max}`;
+            }
+            return null;
+        
+        case 'opcion':
+            return descripcion.opciones.includes(valor) ? null : `debe ser uno de: ${descripcion.opciones.join(', ')}`;
+        
+        case 'booleano':
+            return typeof valor === 'boolean' ? null : 'debe ser true o false';
+        
+        case 'lista':
+            if (!Array.isArray(valor) || valor.length === 0 || valor.length > descripcion.max) {
+                return `debe ser una lista de 1 a ${descripcion.max} elementos`;
+            }
+            return valor.every(elemento => descripcion.opciones.includes(elemento))
+                ? null
+                : `cada elemento debe ser uno de: ${descripcion.opciones.join(', ')}`;
+        
+        case 'colores':
+            return PaletasColor.comprobarColores(valor);
+        
+        case 'ajustes':
+            return AjustesPajaritas.comprobar(valor);
+        
+        case 'luces':
+            return LucesEscena.comprobar(valor);
+    }
+    return 'tipo de parámetro desconocido';
+}
+
+/**
+ * Convierte el texto de un parámetro del hash a su tipo
+ * @param {string} texto - Valor tal como aparece en la URL
+ * @param {Object} descripcion - Entrada de ESQUEMA
+ * @returns {*} - Valor convertido (sin validar)
+ */
+function convertirTexto(texto, descripcion) {
+    if (descripcion.tipo === 'entero' || descripcion.tipo === 'numero') {
+        return texto.trim() === '' ? NaN : Number(texto);
+    }
+    if (descripcion.tipo === 'booleano') {
+        return texto === '1' || texto === 'true' ? true : (texto === '0' || texto === 'false' ? false : texto);
+    }
+    if (descripcion.tipo === 'lista') {
+        return texto.split('-');
+    }
+    if (descripcion.tipo === 'colores') {
+        // Colores hexadecimales separados por guiones: "8a9d35-c09a60"
+        return /^[0-9a-fA-F]{6}(-[0-9a-fA-F]{6})*$/.test(texto) ? texto.split('-').map(color => parseInt(color, 16)) : texto;
+    }
+    if (descripcion.tipo === 'ajustes') {
+        return AjustesPajaritas.desdeTexto(texto);
+    }
+    if (descripcion.tipo === 'luces') {
+        return LucesEscena.desdeTexto(texto);
+    }
+    return texto;
+}
+
+const ParametrosCelosia = {
+    esquema: ESQUEMA,
+    
+    /**
+     * Ajusta un valor numérico al rango de su parámetro, como hacen los controles del panel
+     * @param {string} nombre - Nombre del parámetro (de tipo 'entero' o 'numero')
+     * @param {number} valor - Valor propuesto
+     * @returns {number} - Valor dentro de [min, max]
+     */
+    limitar: function(nombre, valor) {
+        const { min, max } = ESQUEMA[nombre];
+        return Math.min(max, Math.max(min, valor));
+    },
+    
+    /**
+     * Valida un conjunto de parámetros
+     * Los parámetros válidos se devuelven aunque otros no lo sean, para poder aplicar lo que se pueda
+     * @param {Object} datos - Parámetros por nombre
+     * @returns {Object} - { parametros, errores } con los parámetros válidos y un mensaje por campo inválido
+     */
+    validar: function(datos) {
+        const parametros = {};
+        const errores = [];
+        
+        if (typeof datos !== 'object' || datos === null || Array.isArray(datos)) {
+            return { parametros, errores: ['los parámetros deben ser un objeto'] };
+        }
+        
+        Object.keys(datos).forEach(nombre => {
+            const descripcion = ESQUEMA[nombre];
+            if (!descripcion) {
+                errores.push(`${nombre}: parámetro desconocido`);
+                return;
+            }
+            
+            const motivo = comprobarValor(datos[nombre], descripcion);
+            if (motivo) {
+                const recibido = typeof datos[nombre] === 'number' ? String(datos[nombre]) : JSON.stringify(datos[nombre]);
+                errores.push(`${nombre}: ${motivo} (recibido ${recibido})`);
+            } else {
+                parametros[nombre] = datos[nombre];
+            }
+        });
+        
+        return { parametros, errores };
+    },
+    
+    /**
+     * Codifica los parámetros para el hash de la URL
+     * @param {Object} parametros - Parámetros por nombre
+     * @returns {string} - Hash sin el '#', por ejemplo "numRepeticiones=4&escalaUniforme=1"
+     */
+    aHash: function(parametros) {
+        const busqueda = new URLSearchParams();
+        
+        Object.keys(ESQUEMA).forEach(nombre => {
+            if (!(nombre in parametros)) return;
+            const valor = parametros[nombre];
+            
+            if (typeof valor === 'number') {
+                // Redondear para que los incrementos de 0.05 no arrastren errores de coma flotante
+                busqueda.set(nombre, String(Number(valor.toFixed(6))));
+            } else if (typeof valor === 'boolean') {
+                busqueda.set(nombre, valor ? '1' : '0');
+            } else if (ESQUEMA[nombre].tipo === 'lista') {
+                busqueda.set(nombre, valor.join('-'));
+            } else if (ESQUEMA[nombre].tipo === 'colores') {
+                busqueda.set(nombre, valor.map(color => color.toString(16).padStart(6, '0')).join('-'));
+            } else if (ESQUEMA[nombre].tipo === 'ajustes') {
+                // Sin ajustes no se escribe nada, para no alargar el enlace
+                if (Object.keys(valor).length > 0) {
+                    busqueda.set(nombre, AjustesPajaritas.aTexto(valor));
+                }
+            } else if (ESQUEMA[nombre].tipo === 'luces') {
+                busqueda.set(nombre, LucesEscena.aTexto(valor));
+            } else {
+                busqueda.set(nombre, valor);
+            }
+        });
+        
+        return busqueda.toString();
+    },
+    
+    /**
+     * Lee los parámetros del hash de la URL
+     * @param {string} hash - Hash de la URL, con o sin el '#' inicial
+     * @returns {Object} - { parametros, errores } como en validar()
+     */
+    desdeHash: function(hash) {
+        const busqueda = new URLSearchParams(hash.replace(/^#/, ''));
+        const datos = {};
+        
+        busqueda.forEach((texto, nombre) => {
+            const descripcion = ESQUEMA[nombre];
+            datos[nombre] = descripcion ? convertirTexto(texto, descripcion) : texto;
+        });
+        
+        return this.validar(datos);
+    }
+};
+
+export default ParametrosCelosia;
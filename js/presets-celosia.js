@@ -0,0 +1,252 @@
+/**
+ * Presets de diseño de las páginas de celosía
+ * Guarda conjuntos de parámetros con nombre en localStorage y los exporta/importa como JSON.
+ * El archivo (y lo guardado en localStorage) tiene la forma
+ *   { "version": 1, "presets": { "nombre": { "numRepeticiones": 4, ... } } }
+ * y cada preset se valida con ParametrosCelosia al importarlo y al cargarlo.
+ */
+
+import ParametrosCelosia from './parametros-celosia.js';
+
+// Clave de localStorage y versión del formato
+const CLAVE_ALMACEN = 'p03geovisual3d.presets';
+const VERSION = 1;
+
+/**
+ * Lee los presets guardados en localStorage
+ * @returns {Object} - Presets por nombre
+ */
+function leerAlmacen() {
+    try {
+        const datos = JSON.parse(localStorage.getItem(CLAVE_ALMACEN) || 'null');
+        return datos && typeof datos.presets === 'object' && datos.presets !== null ? datos.presets : {};
+    } catch (error) {
+        console.error('Error al leer los presets guardados:', error);
+        return {};
+    }
+}
+
+/**
+ * Guarda los presets en localStorage
+ * @param {Object} presets - Presets por nombre
+ */
+function escribirAlmacen(presets) {
+    localStorage.setItem(CLAVE_ALMACEN, JSON.stringify({ version: VERSION, presets: presets }));
+}
+
+const PresetsCelosia = {
+    version: VERSION,
+    
+    /**
+     * Nombres de los presets guardados, en orden alfabético
+     * @returns {Array<string>} - Nombres
+     */
+    listar: function() {
+        return Object.keys(leerAlmacen()).sort((a, b) => a.localeCompare(b));
+    },
+    
+    /**
+     * Lee un preset y valida sus parámetros
+     * @param {string} nombre - Nombre del preset
+     * @returns {Object|null} - { parametros, errores } o null si no existe
+     */
+    obtener: function(nombre) {
+        const presets = leerAlmacen();
+        if (!(nombre in presets)) return null;
+        return ParametrosCelosia.validar(presets[nombre]);
+    },
+    
+    /**
+     * Guarda (o sobrescribe) un preset
+     * @param {string} nombre - Nombre del preset
+     * @param {Object} parametros - Parámetros por nombre
+     */
+    guardar: function(nombre, parametros) {
+        const presets = leerAlmacen();
+        presets[nombre] = { ...parametros };
+        escribirAlmacen(presets);
+    },
+    
+    /**
+     * Cambia el nombre de un preset
+     * @param {string} nombre - Nombre actual
+     * @param {string} nuevoNombre - Nombre nuevo (no debe existir)
+     * @returns {boolean} - true si se ha renombrado
+     */
+    renombrar: function(nombre, nuevoNombre) {
+        const presets = leerAlmacen();
+        if (!(nombre in presets) || nuevoNombre in presets || !nuevoNombre) return false;
+        
+        presets[nuevoNombre] = presets[nombre];
+        delete presets[nombre];
+        escribirAlmacen(presets);
+        return true;
+    },
+    
+    /**
+     * Elimina un preset
+     * @param {string} nombre - Nombre del preset
+     */
+    eliminar: function(nombre) {
+        const presets = leerAlmacen();
+        delete presets[nombre];
+        escribirAlmacen(presets);
+    },
+    
+    /**
+     * Exporta todos los presets como JSON
+     * @returns {string} - Documento JSON con versión
+     */
+    exportar: function() {
+        return JSON.stringify({ version: VERSION, presets: leerAlmacen() }, null, 2);
+    },
+    
+    /**
+     * Importa presets desde un documento JSON, añadiéndolos a los guardados
+     * De cada preset se importan los campos válidos; los inválidos se descartan y se informa de ellos
+     * @param {string} texto - Documento JSON
+     * @returns {Object} - { importados, errores } con los nombres importados y los mensajes de error
+     */
+    importar: function(texto) {
+        let datos;
+        try {
+            datos = JSON.parse(texto);
+        } catch (error) {
+            return { importados: [], errores: [`JSON no válido: ${error.message}`] };
+        }
+        
+        if (typeof datos !== 'object' || datos === null) {
+            return { importados: [], errores: ['el documento debe ser un objeto'] };
+        }
+        if (!Number.isInteger(datos.version) || datos.version < 1 || datos.version > VERSION) {
+            return { importados: [], errores: [`version: versión no soportada, se admite hasta la ${VERSION} (recibido ${JSON.stringify(datos.version)})`] };
+        }
+        if (typeof datos.presets !== 'object' || datos.presets === null || Array.isArray(datos.presets)) {
+            return { importados: [], errores: ['presets: debe ser un objeto con un preset por nombre'] };
+        }
+        
+        const presets = leerAlmacen();
+        const importados = [];
+        const errores = [];
+        
+        Object.keys(datos.presets).forEach(nombre => {
+            const { parametros, errores: erroresPreset } = ParametrosCelosia.validar(datos.presets[nombre]);
+            erroresPreset.forEach(error => errores.push(`${nombre}: ${error}`));
+            
+            if (Object.keys(parametros).length === 0) {
+                errores.push(`${nombre}: no tiene ningún parámetro válido, no se importa`);
+                return;
+            }
+            presets[nombre] = parametros;
+            importados.push(nombre);
+        });
+        
+        escribirAlmacen(presets);
+        return { importados, errores };
+    },
+    
+    /**
+     * Añade a una GUI de dat.GUI la carpeta para gestionar los presets
+     * @param {GUI} gui - Panel de dat.GUI
+     * @param {Object} pagina - Funciones de la página
+     * @param {Function} pagina.obtenerParametros - Devuelve los parámetros actuales
+     * @param {Function} pagina.cargarParametros - Aplica unos parámetros validados y regenera la escena
+     * @param {Function} pagina.descargar - Descarga un contenido como archivo (contenido, nombre, tipo)
+     * @returns {GUI} - Carpeta creada
+     */
+    crearPanel: function(gui, pagina) {
+        const folder = gui.addFolder('Presets');
+        const estado = {
+            nombre: 'Diseño 1',
+            preset: '',
+            guardar: () => {
+                const nombre = estado.nombre.trim();
+                if (!nombre) return;
+                this.guardar(nombre, pagina.obtenerParametros());
+                estado.preset = nombre;
+                console.log(`Preset guardado: ${nombre}`);
+                reconstruir();
+            },
+            cargar: () => {
+                const preset = this.obtener(estado.preset);
+                if (!preset) return;
+                preset.errores.forEach(error => console.warn(`Preset ${estado.preset}: ${error}`));
+                pagina.cargarParametros(preset.parametros);
+                console.log(`Preset cargado: ${estado.preset}`);
+            },
+            renombrar: () => {
+                const nuevoNombre = estado.nombre.trim();
+                if (this.renombrar(estado.preset, nuevoNombre)) {
+                    console.log(`Preset renombrado: ${estado.preset} → ${nuevoNombre}`);
+                    estado.preset = nuevoNombre;
+                    reconstruir();
+                } else {
+                    console.error(`No se puede renombrar "${estado.preset}" como "${nuevoNombre}" (¿ya existe?)`);
+                }
+            },
+            eliminar: () => {
+                if (!estado.preset) return;
+                this.eliminar(estado.preset);
+                console.log(`Preset eliminado: ${estado.preset}`);
+                estado.preset = '';
+                reconstruir();
+            },
+            exportar: () => {
+                pagina.descargar(this.exportar(), 'presets-celosia.json', 'application/json');
+            },
+            importar: () => {
+                selectorArchivo.click();
+            }
+        };
+        
+        // Selector de archivo oculto para la importación
+        const selectorArchivo = document.createElement('input');
+        selectorArchivo.type = 'file';
+        selectorArchivo.accept = '.json,application/json';
+        selectorArchivo.style.display = 'none';
+        document.body.appendChild(selectorArchivo);
+        selectorArchivo.addEventListener('change', () => {
+            const archivo = selectorArchivo.files[0];
+            selectorArchivo.value = '';
+            if (!archivo) return;
+            
+            archivo.text().then(texto => {
+                const { importados, errores } = this.importar(texto);
+                console.log(`Presets importados: ${importados.join(', ') || 'ninguno'}`);
+                errores.forEach(error => console.error(`Importación de presets: ${error}`));
+                if (errores.length > 0) {
+                    alert(`Importados: ${importados.length}\nCampos inválidos:\n${errores.join('\n')}`);
+                }
+                reconstruir();
+            }).catch(error => {
+                console.error('Error al leer el archivo de presets:', error);
+            });
+        });
+        
+        // Los controles se rehacen cada vez que cambia la lista de presets
+        const reconstruir = () => {
+            folder.__controllers.slice().forEach(controller => controller.remove());
+            
+            const nombres = this.listar();
+            if (!nombres.includes(estado.preset)) {
+                estado.preset = nombres[0] || '';
+            }
+            
+            folder.add(estado, 'nombre').name('Nombre');
+            folder.add(estado, 'guardar').name('Guardar actual');
+            if (nombres.length > 0) {
+                folder.add(estado, 'preset', nombres).name('Preset');
+                folder.add(estado, 'cargar').name('Cargar');
+                folder.add(estado, 'renombrar').name('Renombrar (con Nombre)');
+                folder.add(estado, 'eliminar').name('Eliminar');
+            }
+            folder.add(estado, 'exportar').name('Exportar JSON');
+            folder.add(estado, 'importar').name('Importar JSON');
+        };
+        
+        reconstruir();
+        return folder;
+    }
+};
+
+export default PresetsCelosia;
@@ -0,0 +1,66 @@
+/**
+ * Registro de las pajaritas de una página
+ * Cada entrada une la pajarita cargada por CargadorPajaritas (con sus mallas, materiales y
+ * marcadores) y su registro de animación (el que se guarda en la lista de objetos animados),
+ * de modo que al eliminar una pajarita se eliminan con ella sus marcadores y se liberan
+ * todos sus recursos, sin depender de la posición que ocupe en ninguna lista.
+ */
+
+import CargadorPajaritas from './cargador-pajaritas.js';
+
+const RegistroPajaritas = {
+    /**
+     * Crea un registro vacío
+     * @returns {Object} - { entradas } con una entrada { pajarita, rotador } por pajarita
+     */
+    crear: function() {
+        return { entradas: [] };
+    },
+    
+    /**
+     * Añade una pajarita al registro
+     * @param {Object} registro - Registro devuelto por crear()
+     * @param {Object} pajarita - Pajarita devuelta por CargadorPajaritas.cargar
+     * @param {Object} rotador - Registro de animación de la pajarita
+     */
+    registrar: function(registro, pajarita, rotador) {
+        registro.entradas.push({ pajarita, rotador });
+    },
+    
+    /**
+     * Elimina las pajaritas que cumplen un criterio y libera sus recursos
+     * @param {Object} registro - Registro devuelto por crear()
+     * @param {Function} filtro - Recibe el registro de animación y devuelve true para eliminar la pajarita
+     * @returns {Set<Object>} - Registros de animación de las pajaritas eliminadas
+     */
+    eliminar: function(registro, filtro) {
+        const eliminados = new Set();
+        
+        registro.entradas = registro.entradas.filter(({ pajarita, rotador }) => {
+            if (!filtro(rotador)) return true;
+            
+            CargadorPajaritas.liberar(pajarita);
+            eliminados.add(rotador);
+            return false;
+        });
+        
+        return eliminados;
+    },
+    
+    /**
+     * Marcadores de todas las pajaritas registradas
+     * @param {Object} registro - Registro devuelto por crear()
+     * @returns {Array<THREE.Object3D>} - Crucetas de centro y de pivot y líneas de conexión
+     */
+    marcadores: function(registro) {
+        const marcadores = [];
+        registro.entradas.forEach(({ pajarita }) => {
+            if (pajarita.marcadores) {
+                marcadores.push(pajarita.marcadores.centro, pajarita.marcadores.pivot, pajarita.marcadores.linea);
+            }
+        });
+        return marcadores;
+    }
+};
+
+export default RegistroPajaritas;
@@ -0,0 +1,102 @@
+/**
+ * Reloj de la animación
+ * Lleva el instante t (en segundos) en el que se evalúa la animación, independiente de la
+ * frecuencia de refresco: cada fotograma avanza el tiempo real transcurrido multiplicado por la
+ * escala de tiempo, salvo en pausa. Como la escena es una función de t (ver EscenaBase.evaluar),
+ * pausar y reanudar conserva la fase, y fijar un instante reproduce exactamente la misma imagen,
+ * que es lo que usan las grabaciones (ver GrabadorAnimacion).
+ */
+
+// Máximo que avanza un fotograma, en segundos. Los fotogramas lentos avanzan el tiempo real
+// transcurrido; el límite solo evita saltos tras una parada larga (el depurador, por ejemplo).
+// El tiempo con la pestaña oculta lo descarta descartarPaso(), al que EscenaBase llama en visibilitychange
+const MAX_PASO = 1;
+
+// Límites de la escala de tiempo en el panel
+const MIN_ESCALA = 0.1;
+const MAX_ESCALA = 4;
+
+const RelojAnimacion = {
+    /**
+     * Crea un reloj en el instante 0
+     * @returns {Object} - { tiempo, escala, pausado, ultimo } con ultimo el instante real del último
+     * fotograma en milisegundos, o null si el siguiente no debe avanzar
+     */
+    crear: function() {
+        return { tiempo: 0, escala: 1, pausado: false, ultimo: null };
+    },
+    
+    /**
+     * Avanza el reloj hasta un instante real
+     * @param {Object} reloj - Objeto devuelto por crear()
+     * @param {number} ahora - Instante real en milisegundos (el que recibe requestAnimationFrame)
+     * @returns {number} - Tiempo de la animación en segundos
+     */
+    avanzar: function(reloj, ahora) {
+        if (reloj.ultimo !== null && !reloj.pausado) {
+            const paso = Math.min(Math.max(0, (ahora - reloj.ultimo) / 1000), MAX_PASO);
+            reloj.tiempo += paso * reloj.escala;
+        }
+        reloj.ultimo = ahora;
+        return reloj.tiempo;
+    },
+    
+    /**
+     * Lleva el reloj a un instante; el siguiente fotograma sigue desde él
+     * @param {Object} reloj - Objeto devuelto por crear()
+     * @param {number} tiempo - Tiempo de la animación en segundos
+     */
+    fijar: function(reloj, tiempo) {
+        reloj.tiempo = tiempo;
+        reloj.ultimo = null;
+    },
+    
+    /**
+     * Descarta el tiempo real transcurrido desde el último fotograma: el siguiente no avanza
+     * @param {Object} reloj - Objeto devuelto por crear()
+     */
+    descartarPaso: function(reloj) {
+        reloj.ultimo = null;
+    },
+    
+    /**
+     * Pausa o reanuda el reloj; al reanudar sigue desde el instante en que se pausó
+     * @param {Object} reloj - Objeto devuelto por crear()
+     * @param {boolean} pausado - true para pausar (por defecto, alterna)
+     * @returns {boolean} - true si queda en pausa
+     */
+    pausar: function(reloj, pausado = !reloj.pausado) {
+        reloj.pausado = pausado;
+        reloj.ultimo = null;
+        console.log(`Animación ${pausado ? 'en pausa' : 'reanudada'} en t = ${reloj.tiempo.toFixed(2)} s`);
+        return pausado;
+    },
+    
+    /**
+     * Crea la carpeta "Animación" del panel de dat.GUI
+     * @param {Object} gui - Instancia de dat.GUI
+     * @param {Object} reloj - Objeto devuelto por crear(), que el panel modifica
+     * @returns {Object} - Carpeta de dat.GUI
+     */
+    crearPanel: function(gui, reloj) {
+        const folder = gui.addFolder('Animación');
+        
+        // Los controles muestran el reloj aunque cambie por teclado o por una grabación
+        const valores = {
+            get pausado() { return reloj.pausado; },
+            set pausado(valor) { RelojAnimacion.pausar(reloj, valor); },
+            get tiempo() { return reloj.tiempo; },
+            set tiempo(valor) { RelojAnimacion.fijar(reloj, valor); },
+            inicio: () => RelojAnimacion.fijar(reloj, 0)
+        };
+        
+        folder.add(valores, 'pausado').name('Pausa').listen();
+        folder.add(reloj, 'escala', MIN_ESCALA, MAX_ESCALA, 0.05).name('Escala de tiempo').listen();
+        folder.add(valores, 'tiempo').step(0.01).name('Instante t (s)').listen();
+        folder.add(valores, 'inicio').name('Volver a t = 0');
+        
+        return folder;
+    }
+};
+
+export default RelojAnimacion;
@@ -0,0 +1,399 @@
+/**
+ * Selección e inspección de pajaritas
+ * Al hacer clic sobre una pajarita (sin arrastrar la cámara) se lanza un rayo contra la escena
+ * y se busca el registro de la lista de objetos animados al que pertenece la malla alcanzada:
+ * - pajaritas individuales: subiendo por la jerarquía hasta su pivotGroup
+ * - celosía instanciada: por la malla instanciada y el número de instancia
+ * La pajarita seleccionada se resalta con el contorno de sus aristas, que sigue su rotación,
+ * y un panel muestra su anillo, su posición en el anillo, su índice, su ángulo, su posición
+ * en el mundo y su pivot, con un botón para activar o detener solo su rotación.
+ * Si la página lo admite, el panel también edita los ajustes de la pajarita (ocultarla, su color
+ * y un desfase de su rotación; ver AjustesPajaritas).
+ * Escape o un clic en el vacío deshacen la selección.
+ */
+
+import * as THREE from './lib/three.module.js';
+
+// Píxeles que puede moverse el puntero entre pulsar y soltar para contar como clic
+const TOLERANCIA_CLIC = 5;
+
+// Ángulo mínimo (en grados) entre caras para dibujar una arista del contorno
+const ANGULO_ARISTAS = 30;
+
+// Milisegundos entre actualizaciones de los datos del panel
+const INTERVALO_PANEL = 250;
+
+// Matriz temporal reutilizada para no crear objetos en cada fotograma
+const tempMatrix = new THREE.Matrix4();
+
+/**
+ * Crea los controles de los ajustes de la pajarita seleccionada
+ * @param {HTMLElement} panel - Panel de inspección
+ * @returns {Object} - { oculta, color, desfase, quitar }
+ */
+function crearControlesAjustes(panel) {
+    const fila = document.createElement('div');
+    fila.style.marginTop = '6px';
+    panel.appendChild(fila);
+    
+    const etiqueta = (texto, control) => {
+        const label = document.createElement('label');
+        label.style.marginRight = '10px';
+        label.append(texto + ' ', control);
+        fila.appendChild(label);
+    };
+    
+    const oculta = document.createElement('input');
+    oculta.type = 'checkbox';
+    etiqueta('Ocultar', oculta);
+    
+    const color = document.createElement('input');
+    color.type = 'color';
+    etiqueta('Color', color);
+    
+    const desfase = document.createElement('input');
+    desfase.type = 'number';
+    desfase.min = '-360';
+    desfase.max = '360';
+    desfase.step = '1';
+    desfase.style.width = '60px';
+    etiqueta('Desfase (°)', desfase);
+    
+    const quitar = document.createElement('button');
+    quitar.textContent = 'Quitar ajustes';
+    quitar.style.cursor = 'pointer';
+    fila.appendChild(quitar);
+    
+    return { oculta, color, desfase, quitar };
+}
+
+/**
+ * Crea el panel de inspección (oculto)
+ * @param {boolean} conAjustes - Añadir los controles de los ajustes de la pajarita
+ * @returns {Object} - { panel, datos, botonRotacion, controlesAjustes } (controlesAjustes es null sin ajustes)
+ */
+function crearPanel(conAjustes) {
+    const panel = document.createElement('div');
+    panel.id = 'seleccion';
+    panel.style.position = 'absolute';
+    panel.style.top = '10px';
+    panel.style.left = '50%';
+    panel.style.transform = 'translateX(-50%)';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    panel.style.color = 'white';
+    panel.style.padding = '8px 12px';
+    panel.style.fontFamily = 'monospace';
+    panel.style.fontSize = '12px';
+    panel.style.lineHeight = '1.5';
+    panel.style.borderRadius = '5px';
+    panel.style.zIndex = '1000';
+    panel.style.display = 'none';
+    
+    const datos = document.createElement('div');
+    panel.appendChild(datos);
+    
+    const botonRotacion = document.createElement('button');
+    botonRotacion.style.marginTop = '6px';
+    botonRotacion.style.cursor = 'pointer';
+    panel.appendChild(botonRotacion);
+    
+    const controlesAjustes = conAjustes ? crearControlesAjustes(panel) : null;
+    
+    document.body.appendChild(panel);
+    return { panel, datos, botonRotacion, controlesAjustes };
+}
+
+/**
+ * Escribe un vector con tres decimales
+ * @param {THREE.Vector3} v - Vector
+ * @returns {string} - Texto "(x, y, z)"
+ */
+function formatearVector(v) {
+    return `(${v.x.toFixed(3)}, ${v.y.toFixed(3)}, ${v.z.toFixed(3)})`;
+}
+
+/**
+ * Crea el contorno de aristas de una lista de geometrías
+ * @param {Array<THREE.BufferGeometry>} geometrias - Geometrías de la pajarita
+ * @returns {THREE.Group} - Contorno, con matrixAutoUpdate desactivado
+ */
+function crearContorno(geometrias) {
+    const contorno = new THREE.Group();
+    contorno.matrixAutoUpdate = false;
+    
+    const material = new THREE.LineBasicMaterial({ color: 0xffff00, depthTest: false, transparent: true });
+    geometrias.forEach(geometry => {
+        const lineas = new THREE.LineSegments(new THREE.EdgesGeometry(geometry, ANGULO_ARISTAS), material);
+        lineas.matrixAutoUpdate = false;
+        lineas.renderOrder = 999; // Por encima de las pajaritas
+        contorno.add(lineas);
+    });
+    
+    return contorno;
+}
+
+/**
+ * Libera las aristas y el material de un contorno y lo quita de la escena
+ * @param {THREE.Group} contorno - Contorno creado por crearContorno
+ */
+function liberarContorno(contorno) {
+    if (contorno.parent) {
+        contorno.parent.remove(contorno);
+    }
+    contorno.children.forEach(lineas => lineas.geometry.dispose());
+    if (contorno.children.length > 0) {
+        contorno.children[0].material.dispose();
+    }
+}
+
+const SeleccionPajaritas = {
+    /**
+     * Activa la selección con el ratón en una escena
+     * @param {Object} contexto - Objeto devuelto por EscenaBase.crear()
+     * @param {Object} pagina - Enlace con la página
+     * @param {Function} pagina.objetos - Devuelve la lista actual de objetos animados
+     * @param {Function} pagina.instancias - Devuelve las instancias de la celosía instanciada (opcional)
+     * @param {Function} pagina.pivot - Devuelve las coordenadas {x, y, z} del pivot respecto al centro
+     * @param {Object} pagina.ajustes - Ajustes por pajarita (opcional): { obtener(registro), cambiar(registro, cambios) }
+     * @param {Function} pagina.ignorar - Recibe el evento pointerdown y devuelve true si el clic es de otro
+     * manejador, como el asa de GizmoPosicion (opcional)
+     * @returns {Object} - Estado de la selección
+     */
+    crear: function(contexto, pagina) {
+        const seleccion = {
+            contexto: contexto,
+            objetos: pagina.objetos,
+            instancias: pagina.instancias || (() => []),
+            pivot: pagina.pivot,
+            ajustes: pagina.ajustes || null,
+            ignorar: pagina.ignorar || (() => false),
+            registro: null,      // Registro de objects seleccionado
+            mallas: [],          // { mesh, index } de la pajarita seleccionada (index solo en instancias)
+            contorno: null,
+            raycaster: new THREE.Raycaster(),
+            ultimaActualizacion: 0,
+            ...crearPanel(Boolean(pagina.ajustes))
+        };
+        
+        seleccion.botonRotacion.addEventListener('click', () => this.alternarRotacion(seleccion));
+        
+        // Los ajustes se aplican al confirmar cada control, no mientras se arrastra
+        const controles = seleccion.controlesAjustes;
+        if (controles) {
+            const cambiar = cambios => {
+                if (seleccion.registro) seleccion.ajustes.cambiar(seleccion.registro, cambios);
+            };
+            controles.oculta.addEventListener('change', () => cambiar({ oculta: controles.oculta.checked }));
+            controles.color.addEventListener('change', () => cambiar({ color: parseInt(controles.color.value.slice(1), 16) }));
+            controles.desfase.addEventListener('change', () => {
+                const grados = THREE.MathUtils.clamp(Number(controles.desfase.value) || 0, -360, 360);
+                cambiar({ desfase: THREE.MathUtils.degToRad(grados) });
+            });
+            controles.quitar.addEventListener('click', () => {
+                cambiar({ oculta: undefined, color: undefined, desfase: undefined });
+                this.mostrarAjustes(seleccion);
+            });
+        }
+        
+        // Distinguir un clic de un arrastre de los controles de órbita
+        const canvas = contexto.renderer.domElement;
+        let inicio = null;
+        canvas.addEventListener('pointerdown', event => {
+            inicio = seleccion.ignorar(event) ? null : { x: event.clientX, y: event.clientY };
+        });
+        canvas.addEventListener('pointerup', event => {
+            if (!inicio || event.button !== 0) return;
+            const distancia = Math.hypot(event.clientX - inicio.x, event.clientY - inicio.y);
+            inicio = null;
+            if (distancia <= TOLERANCIA_CLIC) {
+                this.seleccionar(seleccion, this.buscar(seleccion, event));
+            }
+        });
+        
+        window.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                this.seleccionar(seleccion, null);
+            }
+        });
+        
+        return seleccion;
+    },
+    
+    /**
+     * Busca la pajarita bajo el puntero
+     * @param {Object} seleccion - Objeto devuelto por crear()
+     * @param {PointerEvent} event - Evento del puntero
+     * @returns {Object|null} - { registro, mallas } o null si no hay ninguna pajarita
+     */
+    buscar: function(seleccion, event) {
+        const { camera, renderer, scene } = seleccion.contexto;
+        const rect = renderer.domElement.getBoundingClientRect();
+        const puntero = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        seleccion.raycaster.setFromCamera(puntero, camera);
+        
+        // Registro de cada objeto animado, por su objeto (pivotGroup o pivot de instancia)
+        const registros = new Map(seleccion.objetos().map(obj => [obj.object, obj]));
+        const instancias = seleccion.instancias();
+        
+        // Las instancias giran: la esfera envolvente de las mallas instanciadas puede estar obsoleta
+        instancias.forEach(instancia => instancia.meshes.forEach(mesh => { mesh.boundingSphere = null; }));
+        
+        const intersecciones = seleccion.raycaster.intersectObjects(scene.children, true);
+        for (const interseccion of intersecciones) {
+            const objeto = interseccion.object;
+            if (!objeto.isMesh || objeto === seleccion.contexto.floor) continue;
+            
+            if (objeto.isInstancedMesh) {
+                const instancia = instancias.find(inst => inst.index === interseccion.instanceId && inst.meshes.includes(objeto));
+                if (instancia && registros.has(instancia.pivot)) {
+                    return {
+                        registro: registros.get(instancia.pivot),
+                        mallas: instancia.meshes.map(mesh => ({ mesh: mesh, index: instancia.index }))
+                    };
+                }
+                continue;
+            }
+            
+            // Subir hasta el pivotGroup de la pajarita
+            let nodo = objeto;
+            while (nodo && !registros.has(nodo)) {
+                nodo = nodo.parent;
+            }
+            if (nodo) {
+                const mallas = [];
+                nodo.traverse(child => {
+                    if (child.isMesh && child.geometry.parameters?.shapes) {
+                        mallas.push({ mesh: child, index: null });
+                    }
+                });
+                return { registro: registros.get(nodo), mallas: mallas };
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Selecciona una pajarita (o deshace la selección)
+     * @param {Object} seleccion - Objeto devuelto por crear()
+     * @param {Object|null} encontrada - Resultado de buscar(), o null para deseleccionar
+     */
+    seleccionar: function(seleccion, encontrada) {
+        if (seleccion.contorno) {
+            liberarContorno(seleccion.contorno);
+            seleccion.contorno = null;
+        }
+        
+        seleccion.registro = encontrada ? encontrada.registro : null;
+        seleccion.mallas = encontrada ? encontrada.mallas : [];
+        seleccion.panel.style.display = encontrada ? 'block' : 'none';
+        
+        if (!encontrada) return;
+        
+        seleccion.contorno = crearContorno(seleccion.mallas.map(({ mesh }) => mesh.geometry));
+        seleccion.contexto.scene.add(seleccion.contorno);
+        
+        const { tipo, indice } = seleccion.registro;
+        console.log(`Pajarita seleccionada: ${tipo} #${indice}`);
+        
+        seleccion.ultimaActualizacion = 0;
+        this.mostrarAjustes(seleccion);
+        this.actualizar(seleccion);
+    },
+    
+    /**
+     * Muestra en los controles los ajustes de la pajarita seleccionada
+     * Sin color propio se muestra el del patrón, que es el de su material
+     * @param {Object} seleccion - Objeto devuelto por crear()
+     */
+    mostrarAjustes: function(seleccion) {
+        const controles = seleccion.controlesAjustes;
+        if (!controles || !seleccion.registro) return;
+        
+        const ajuste = seleccion.ajustes.obtener(seleccion.registro) || {};
+        controles.oculta.checked = Boolean(ajuste.oculta);
+        controles.color.value = ajuste.color !== undefined
+            ? '#' + ajuste.color.toString(16).padStart(6, '0')
+            : '#' + seleccion.mallas[0].mesh.material.color.getHexString();
+        controles.desfase.value = Number(THREE.MathUtils.radToDeg(ajuste.desfase || 0).toFixed(1));
+    },
+    
+    /**
+     * Activa o detiene la rotación de la pajarita seleccionada
+     * Al detenerla vuelve a su rotación inicial, igual que la tecla R con todas; al activarla
+     * gira en fase con las demás, porque su rotación es la del instante del reloj
+     * @param {Object} seleccion - Objeto devuelto por crear()
+     */
+    alternarRotacion: function(seleccion) {
+        const registro = seleccion.registro;
+        if (!registro || !registro.rotateZ) return;
+        
+        registro.rotateZ.active = !registro.rotateZ.active;
+        if (!registro.rotateZ.active) {
+            registro.object.rotation.z = registro.initialRotationZ;
+        }
+        
+        seleccion.ultimaActualizacion = 0;
+        console.log(`Rotación de ${registro.tipo} #${registro.indice} ${registro.rotateZ.active ? 'activada' : 'detenida'}`);
+    },
+    
+    /**
+     * Coloca el contorno sobre la pajarita seleccionada y actualiza el panel
+     * Se llama en cada fotograma; si la pajarita ha desaparecido (al regenerar) se deshace la selección
+     * @param {Object} seleccion - Objeto devuelto por crear()
+     */
+    actualizar: function(seleccion) {
+        const registro = seleccion.registro;
+        if (!registro) return;
+        
+        if (!seleccion.objetos().includes(registro)) {
+            this.seleccionar(seleccion, null);
+            return;
+        }
+        
+        // El contorno copia la matriz de mundo de cada malla (o de cada instancia)
+        seleccion.mallas.forEach(({ mesh, index }, i) => {
+            const lineas = seleccion.contorno.children[i];
+            mesh.updateWorldMatrix(true, false);
+            if (index === null) {
+                lineas.matrix.copy(mesh.matrixWorld);
+            } else {
+                mesh.getMatrixAt(index, tempMatrix);
+                lineas.matrix.multiplyMatrices(mesh.matrixWorld, tempMatrix);
+            }
+            lineas.matrixWorldNeedsUpdate = true;
+        });
+        
+        const ahora = performance.now();
+        if (ahora - seleccion.ultimaActualizacion < INTERVALO_PANEL) return;
+        seleccion.ultimaActualizacion = ahora;
+        
+        // El centro de la pajarita está desplazado del pivot según las coordenadas del pivot
+        const objeto = registro.object;
+        objeto.updateWorldMatrix(true, false);
+        const pivot = seleccion.pivot();
+        const centro = new THREE.Vector3(pivot.x, pivot.y, pivot.z).applyMatrix4(objeto.matrixWorld);
+        const pivotMundo = new THREE.Vector3().setFromMatrixPosition(objeto.matrixWorld);
+        
+        const anillo = registro.anillo !== undefined ? registro.anillo : '-';
+        const posicionAnillo = registro.numPajaritasAnillo
+            ? `${registro.indice % registro.numPajaritasAnillo} de ${registro.numPajaritasAnillo}`
+            : '-';
+        const grados = valor => THREE.MathUtils.radToDeg(valor).toFixed(1);
+        
+        seleccion.datos.innerHTML =
+            `<b>Pajarita ${registro.tipo} #${registro.indice}</b><br>` +
+            `Anillo: ${anillo} · Posición en el anillo: ${posicionAnillo}<br>` +
+            `Ángulo: ${grados(objeto.rotation.z)}° (inicial ${grados(registro.initialRotationZ)}°)<br>` +
+            `Centro (mundo): ${formatearVector(centro)}<br>` +
+            `Pivot (mundo): ${formatearVector(pivotMundo)}<br>` +
+            `Pivot (local): ${formatearVector(pivot)}`;
+        
+        seleccion.botonRotacion.textContent = registro.rotateZ && registro.rotateZ.active ? 'Detener rotación' : 'Activar rotación';
+    }
+};
+
+export default SeleccionPajaritas;
@@ -0,0 +1,197 @@
+/**
+ * Caché compartida de geometrías SVG extruidas
+ * El SVG se descarga y se convierte en formas una sola vez por URL, y las formas
+ * se extruyen una sola vez por combinación de (url, escala, parámetros de extrusión).
+ * Todas las pajaritas que comparten esos parámetros reutilizan la misma geometría.
+ * Quien use las geometrías las retiene y las libera al terminar; cuando una entrada
+ * deja de usarse, sus geometrías se liberan de la GPU y se olvidan.
+ */
+
+import * as THREE from './lib/three.module.js';
+import { SVGLoader } from './lib/examples/jsm/loaders/SVGLoader.js';
+
+// Promesas de carga de los SVG, indexadas por URL
+const shapesCache = new Map();
+
+// Promesas de geometrías extruidas, indexadas por url + escala + parámetros de extrusión
+const geometryCache = new Map();
+
+// Número de usuarios (pajaritas o celosías instanciadas) de cada entrada de geometryCache
+const referencias = new Map();
+
+/**
+ * Descarga un SVG y calcula sus formas y dimensiones
+ * @param {string} url - Ruta al archivo SVG
+ * @returns {Promise<Object>} - Formas del SVG y su caja envolvente en unidades SVG
+ */
+function parseSVG(url) {
+    const svgLoader = new SVGLoader();
+    
+    console.log(`Descargando SVG (una sola vez): ${url}`);
+    
+    return svgLoader.loadAsync(url).then(data => {
+        const paths = data.paths;
+        
+        // Calcular las dimensiones del SVG para escalarlo correctamente
+        let maxX = -Infinity;
+        let minX = Infinity;
+        let maxY = -Infinity;
+        let minY = Infinity;
+        
+        paths.forEach(path => {
+            const points = path.subPaths[0]?.getPoints() || [];
+            points.forEach(point => {
+                maxX = Math.max(maxX, point.x);
+                minX = Math.min(minX, point.x);
+                maxY = Math.max(maxY, point.y);
+                minY = Math.min(minY, point.y);
+            });
+        });
+        
+        // Convertir cada path en formas 2D
+        const shapes = [];
+        paths.forEach(path => {
+            SVGLoader.createShapes(path).forEach(shape => shapes.push(shape));
+        });
+        
+        return {
+            shapes: shapes,
+            width: maxX - minX,
+            height: maxY - minY,
+            centerX: (maxX + minX) / 2,
+            centerY: (maxY + minY) / 2
+        };
+    });
+}
+
+const SVGCache = {
+    /**
+     * Obtiene las formas de un SVG, descargándolo solo la primera vez
+     * @param {string} url - Ruta al archivo SVG
+     * @returns {Promise<Object>} - { shapes, width, height, centerX, centerY }
+     */
+    loadShapes: function(url) {
+        if (!shapesCache.has(url)) {
+            const promise = parseSVG(url);
+            
+            // Si la descarga falla, olvidarla para poder reintentar más tarde
+            promise.catch(() => shapesCache.delete(url));
+            shapesCache.set(url, promise);
+        }
+        
+        return shapesCache.get(url);
+    },
+    
+    /**
+     * Obtiene las geometrías extruidas de un SVG, construyéndolas solo la primera vez
+     * @param {string} url - Ruta al archivo SVG
+     * @param {number} escala - Factor de escala para la pajarita
+     * @param {Object} extrudeSettings - Parámetros para THREE.ExtrudeGeometry
+     * @returns {Promise<Object>} - { geometries, shapes, centerX, centerY, scale, clave } donde scale
+     * es el factor que lleva el SVG a tamaño de escena (ya multiplicado por la escala)
+     */
+    loadGeometry: function(url, escala = 1.0, extrudeSettings = {}) {
+        const key = `${url}|${escala}|${JSON.stringify(extrudeSettings)}`;
+        
+        if (!geometryCache.has(key)) {
+            const promise = this.loadShapes(url).then(svg => {
+                console.log(`Extruyendo geometría (una sola vez) para escala ${escala.toFixed(2)}`);
+                
+                return {
+                    geometries: svg.shapes.map(shape => new THREE.ExtrudeGeometry(shape, extrudeSettings)),
+                    shapes: svg.shapes,
+                    centerX: svg.centerX,
+                    centerY: svg.centerY,
+                    scale: (1 / Math.max(svg.width, svg.height)) * escala,
+                    clave: key
+                };
+            });
+            
+            promise.catch(() => geometryCache.delete(key));
+            geometryCache.set(key, promise);
+        }
+        
+        return geometryCache.get(key);
+    },
+    
+    /**
+     * Calcula la matriz que lleva las coordenadas de la geometría al sistema del pivotGroup
+     * Reproduce las transformaciones que CargadorPajaritas.cargar aplica a svgGroup y a sus mallas:
+     * centrado del SVG, inversión del eje Y, centrado por caja envolvente y desplazamiento al pivot
+     * @param {Object} svgData - Datos devueltos por loadGeometry
+     * @param {Object} pivot - Coordenadas {x, y, z} del pivot
+     * @returns {THREE.Matrix4} - Matriz local de las mallas respecto al pivotGroup
+     */
+    getMatrizLocal: function(svgData, pivot) {
+        const { geometries, centerX, centerY, scale } = svgData;
+        
+        // Transformación de cada malla antes del centrado (escala con Y invertida)
+        const meshMatrix = new THREE.Matrix4()
+            .makeTranslation(-centerX * scale, -centerY * scale, 0)
+            .multiply(new THREE.Matrix4().makeScale(scale, -scale, scale));
+        
+        // Centro geométrico del conjunto de mallas
+        const bbox = new THREE.Box3();
+        const geometryBox = new THREE.Box3();
+        geometries.forEach(geometry => {
+            if (!geometry.boundingBox) {
+                geometry.computeBoundingBox();
+            }
+            bbox.union(geometryBox.copy(geometry.boundingBox).applyMatrix4(meshMatrix));
+        });
+        const center = bbox.getCenter(new THREE.Vector3());
+        
+        // pivot * centrado * malla
+        return new THREE.Matrix4()
+            .makeTranslation(pivot.x - center.x, pivot.y - center.y, pivot.z - center.z)
+            .multiply(meshMatrix);
+    },
+    
+    /**
+     * Anota que un objeto de la escena usa las geometrías de una entrada
+     * @param {Object} svgData - Datos devueltos por loadGeometry
+     */
+    retener: function(svgData) {
+        referencias.set(svgData.clave, (referencias.get(svgData.clave) || 0) + 1);
+    },
+    
+    /**
+     * Anota que un objeto ya no usa las geometrías de una entrada
+     * Si nadie más las usa, se liberan de la GPU y la entrada se elimina de la caché
+     * @param {Object} svgData - Datos devueltos por loadGeometry
+     */
+    liberar: function(svgData) {
+        const clave = svgData.clave;
+        const restantes = (referencias.get(clave) || 0) - 1;
+        if (restantes > 0) {
+            referencias.set(clave, restantes);
+            return;
+        }
+        referencias.delete(clave);
+        
+        // Al regenerar la celosía con la misma escala, las pajaritas nuevas retienen la entrada
+        // justo después de que las antiguas la liberen: decidir en la siguiente tarea
+        setTimeout(() => {
+            if (referencias.has(clave) || !geometryCache.has(clave)) return;
+            
+            geometryCache.delete(clave);
+            svgData.geometries.forEach(geometry => geometry.dispose());
+            console.log(`Geometría liberada: ${clave.split('|').slice(0, 2).join(', escala ')}`);
+        }, 0);
+    },
+    
+    /**
+     * Vacía la caché y libera las geometrías de la GPU
+     * Solo debe llamarse cuando ninguna malla de la escena use ya estas geometrías
+     */
+    clear: function() {
+        geometryCache.forEach(promise => {
+            promise.then(entry => entry.geometries.forEach(geometry => geometry.dispose()), () => {});
+        });
+        geometryCache.clear();
+        shapesCache.clear();
+        referencias.clear();
+    }
+};
+
+export default SVGCache;
@@ -0,0 +1,75 @@
+/**
+ * Teselado hexagonal de rosetas de pajaritas
+ * La pajarita se construye sobre un triángulo equilátero y el pivot (0.502, -0.3451)
+ * coincide con uno de sus vértices, de modo que seis copias giradas 60° alrededor del pivot
+ * forman una roseta hexagonal (el anillo de crearAnilloInterior).
+ * Los centros de las rosetas forman una red hexagonal cuyo vector de traslación es
+ * a1 = 3 · (centroide - pivot): la suma de los dos lados del triángulo que parten del pivot.
+ * a2 es a1 girado 60°.
+ * La colocación de las rosetas sobre la red la hace el preset rosetasHexagonales de GruposSimetria.
+ */
+
+import * as THREE from './lib/three.module.js';
+import SVGCache from './svg-cache.js';
+
+/**
+ * Calcula el centroide (de área) de un conjunto de formas, descontando los agujeros
+ * @param {Array<THREE.Shape>} shapes - Formas del SVG
+ * @returns {THREE.Vector2} - Centroide en coordenadas del SVG
+ */
+function calcularCentroide(shapes) {
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    
+    // Acumula área y momento de un polígono con signo
+    const acumular = (points, signo) => {
+        let a = 0;
+        let mx = 0;
+        let my = 0;
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const q = points[(i + 1) % points.length];
+            const cross = p.x * q.y - q.x * p.y;
+            a += cross;
+            mx += (p.x + q.x) * cross;
+            my += (p.y + q.y) * cross;
+        }
+        // Orientar el polígono para que el contorno sume y los agujeros resten
+        const orientacion = Math.sign(a) * signo;
+        area += Math.abs(a) / 2 * signo;
+        cx += mx / 6 * orientacion;
+        cy += my / 6 * orientacion;
+    };
+    
+    shapes.forEach(shape => {
+        const { shape: contorno, holes } = shape.extractPoints(12);
+        acumular(contorno, 1);
+        holes.forEach(hole => acumular(hole, -1));
+    });
+    
+    return new THREE.Vector2(cx / area, cy / area);
+}
+
+const TeseladoHexagonal = {
+    /**
+     * Deriva los vectores de la red hexagonal a partir de la pajarita y su pivot
+     * @param {Object} svgData - Datos devueltos por SVGCache.loadGeometry
+     * @param {Object} pivot - Coordenadas {x, y, z} del pivot
+     * @returns {Object} - { a1, a2 } vectores de traslación (THREE.Vector2) en unidades de escena
+     */
+    calcularVectores: function(svgData, pivot) {
+        const centroide = calcularCentroide(svgData.shapes);
+        
+        // Centroide en el sistema del pivotGroup, donde el pivot está en el origen
+        const centroideLocal = new THREE.Vector3(centroide.x, centroide.y, 0)
+            .applyMatrix4(SVGCache.getMatrizLocal(svgData, pivot));
+        
+        const a1 = new THREE.Vector2(centroideLocal.x, centroideLocal.y).multiplyScalar(3);
+        const a2 = a1.clone().rotateAround(new THREE.Vector2(0, 0), Math.PI / 3);
+        
+        return { a1, a2 };
+    }
+};
+
+export default TeseladoHexagonal;
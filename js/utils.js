@@ -1,148 +1,169 @@
 /**
+ * Utilidades compartidas por todas las páginas
  * Funciones útiles para trabajar con Three.js
  */
 
 import * as THREE from './lib/three.module.js';
 
+// Tabla del CRC-32 (polinomio de PNG y ZIP), calculada la primera vez que se usa
+let tablaCRC = null;
+
 const Utils = {
     /**
      * Crear una malla básica (cubo, esfera, etc.)
-     * @param {string} type - Tipo de geometría ('cube', 'sphere', 'cylinder', etc.)
+     * @param {string} type - Tipo de geometría ('cube', 'box', 'sphere', 'cylinder')
      * @param {Object} params - Parámetros de la geometría
-     * @param {Object} materialOptions - Opciones del material
+     * @param {Object} materialOptions - Opciones del material (ver createMaterial)
      * @returns {THREE.Mesh} - Malla creada
      */
     createMesh: function(type, params = {}, materialOptions = {}) {
         let geometry;
         
         // Crear la geometría según el tipo
-        switch(type) {
+        switch(type.toLowerCase()) {
             case 'cube':
+            case 'box':
                 const { width = 1, height = 1, depth = 1 } = params;
                 geometry = new THREE.BoxGeometry(width, height, depth);
                 break;
+            
             case 'sphere':
                 const { radius = 1, widthSegments = 32, heightSegments = 32 } = params;
                 geometry = new THREE.SphereGeometry(radius, widthSegments, heightSegments);
                 break;
+            
             case 'cylinder':
-                const { radiusTop = 1, radiusBottom = 1, cylinderHeight = 1, radialSegments = 32 } = params;
-                geometry = new THREE.CylinderGeometry(radiusTop, radiusBottom, cylinderHeight, radialSegments);
+                const {
+                    radiusTop = 1,
+                    radiusBottom = 1,
+                    cylinderHeight = 1,
+                    radialSegments = 32
+                } = params;
+                geometry = new THREE.CylinderGeometry(
+                    radiusTop, radiusBottom, cylinderHeight, radialSegments
+                );
                 break;
+            
             default:
+                console.warn(`Tipo de geometría desconocido: ${type}. Usando cubo por defecto.`);
                 geometry = new THREE.BoxGeometry(1, 1, 1);
         }
         
-        // Crear el material
-        const material = this.createMaterial(materialOptions);
-        
         // Crear y devolver la malla
-        return new THREE.Mesh(geometry, material);
+        return new THREE.Mesh(geometry, this.createMaterial(materialOptions));
     },
     
     /**
      * Crear un material Three.js
-     * @param {Object} options - Opciones del material
+     * @param {Object} options - Opciones del material: type (nombre de la clase) y cualquier
+     * propiedad del material (color, roughness, metalness, map, transparent...)
      * @returns {THREE.Material} - Material creado
      */
     createMaterial: function(options = {}) {
-        const {
-            type = 'MeshStandardMaterial',
-            color = 0x3498db,
-            wireframe = false,
-            transparent = false,
-            opacity = 1,
-            map = null,
-            envMap = null,
-            metalness = 0.5,
-            roughness = 0.5
-        } = options;
-        
-        let material;
+        const { type = 'MeshStandardMaterial', color = 0xffffff, ...propiedades } = options;
         
         switch(type) {
             case 'MeshBasicMaterial':
-                material = new THREE.MeshBasicMaterial({
-                    color,
-                    wireframe,
-                    transparent,
-                    opacity,
-                    map
-                });
-                break;
+                return new THREE.MeshBasicMaterial({ color, ...propiedades });
+            
             case 'MeshLambertMaterial':
-                material = new THREE.MeshLambertMaterial({
-                    color,
-                    wireframe,
-                    transparent,
-                    opacity,
-                    map
-                });
-                break;
+                return new THREE.MeshLambertMaterial({ color, ...propiedades });
+            
             case 'MeshPhongMaterial':
-                material = new THREE.MeshPhongMaterial({
-                    color,
-                    wireframe,
-                    transparent,
-                    opacity,
-                    map,
-                    envMap
-                });
-                break;
+                return new THREE.MeshPhongMaterial({ color, ...propiedades });
+            
+            case 'MeshToonMaterial':
+                return new THREE.MeshToonMaterial({ color, ...propiedades });
+            
             case 'MeshStandardMaterial':
             default:
-                material = new THREE.MeshStandardMaterial({
-                    color,
-                    wireframe,
-                    transparent,
-                    opacity,
-                    map,
-                    envMap,
-                    metalness,
-                    roughness
-                });
+                return new THREE.MeshStandardMaterial({ color, ...propiedades });
         }
-        
-        return material;
     },
     
     /**
-     * Configuración rápida de luces en la escena
-     * @param {THREE.Scene} scene - La escena donde añadir las luces
+     * Configura las luces básicas para la escena
+     * @param {THREE.Scene} scene - La escena a la que añadir las luces
+     * @param {string} tipo - 'suave' (sol con sombras difuminadas, relleno y hemisférica)
+     * o 'clasica' (ambiente cálida y direccional verdosa)
+     * @returns {Object} - { ambient, main, fill, hemi } (null las que el tipo no usa)
      */
-    setupBasicLights: function(scene) {
-        // Luz ambiental
-        const ambientLight = new THREE.AmbientLight(0xf2efe9,1.5);
-        scene.add(ambientLight);
+    setupBasicLights: function(scene, tipo = 'suave') {
+        if (tipo === 'clasica') {
+            // Luz ambiental
+            const ambientLight = new THREE.AmbientLight(0xf2efe9, 1.5);
+            scene.add(ambientLight);
+            
+            // Luz direccional
+            const directionalLight = new THREE.DirectionalLight(0x7d8a2e, 1);
+            directionalLight.position.set(5, 10, 7.5);
+            directionalLight.castShadow = true;
+            scene.add(directionalLight);
+            
+            // Configurar sombras para la luz direccional
+            directionalLight.shadow.mapSize.width = 1024;
+            directionalLight.shadow.mapSize.height = 1024;
+            directionalLight.shadow.camera.near = 0.5;
+            directionalLight.shadow.camera.far = 50;
+            directionalLight.shadow.camera.left = -10;
+            directionalLight.shadow.camera.right = 10;
+            directionalLight.shadow.camera.top = 10;
+            directionalLight.shadow.camera.bottom = -10;
+            directionalLight.shadow.bias = -0.0005;
+            
+            return {
+                ambient: ambientLight,
+                main: directionalLight,
+                fill: null,
+                hemi: null
+            };
+        }
         
-        // Luz direccional
-        const directionalLight = new THREE.DirectionalLight(0x7d8a2e, 1);
-        directionalLight.position.set(5, 10, 7.5);
-        directionalLight.castShadow = true;
-        scene.add(directionalLight);
+        // Luz ambiente para iluminación general (aumentada para sombras más suaves)
+        const ambientLight = new THREE.AmbientLight(0x000000, 0.7);
+       // scene.add(ambientLight);
         
-        // Configurar sombras para la luz direccional
-        directionalLight.shadow.mapSize.width = 1024;
-        directionalLight.shadow.mapSize.height = 1024;
+        // Luz principal direccional (simula el sol)
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
+        directionalLight.position.set(5, 5, 17.5);
+        directionalLight.castShadow = true;
         
-        // Mejorar la calidad de las sombras
+        // Configurar las sombras para mayor difuminado y suavidad
+        directionalLight.shadow.mapSize.width = 4096; // Mayor resolución
+        directionalLight.shadow.mapSize.height = 4096;
         directionalLight.shadow.camera.near = 0.5;
         directionalLight.shadow.camera.far = 50;
         directionalLight.shadow.camera.left = -10;
         directionalLight.shadow.camera.right = 10;
         directionalLight.shadow.camera.top = 10;
         directionalLight.shadow.camera.bottom = -10;
-        directionalLight.shadow.bias = -0.0005;
+        directionalLight.shadow.bias = -0.0001; // Ajuste para evitar artefactos
+        directionalLight.shadow.normalBias = 0.08; // Mayor suavizado de los bordes
+        directionalLight.shadow.radius = 20; // Mayor desenfoque/difuminado de las sombras
+        directionalLight.shadow.blurSamples = 12; // Más muestras para el desenfoque
+        
+        scene.add(directionalLight);
+        
+        // Luz de relleno más intensa para suavizar las sombras
+        const fillLight = new THREE.DirectionalLight(0xffffff, 0.5);
+        fillLight.position.set(-5, 5, -5);
+        scene.add(fillLight);
+        
+        // Añadir una luz hemisférica suave para iluminar toda la escena de manera más uniforme
+        const hemiLight = new THREE.HemisphereLight(0xffffff, 0xfff0e0, 0.1);
+        scene.add(hemiLight);
         
         return {
             ambient: ambientLight,
-            directional: directionalLight
+            main: directionalLight,
+            fill: fillLight,
+            hemi: hemiLight
         };
     },
     
     /**
      * Función de animación para actualizar los objetos
-     * @param {Array} objects - Array de objetos a animar
+     * @param {Array} objects - Lista de objetos a animar
      * @param {Function} callback - Función de callback para cada objeto
      */
     animate: function(objects, callback) {
@@ -153,6 +174,51 @@ const Utils = {
                 }
             });
         }
+    },
+    
+    /**
+     * Descarga un contenido generado en el navegador como archivo
+     * @param {string|ArrayBuffer|Blob} contenido - Contenido del archivo
+     * @param {string} nombre - Nombre del archivo descargado
+     * @param {string} tipo - Tipo MIME del contenido
+     */
+    descargarArchivo: function(contenido, nombre, tipo = 'application/octet-stream') {
+        const blob = contenido instanceof Blob ? contenido : new Blob([contenido], { type: tipo });
+        const url = URL.createObjectURL(blob);
+        
+        const enlace = document.createElement('a');
+        enlace.href = url;
+        enlace.download = nombre;
+        document.body.appendChild(enlace);
+        enlace.click();
+        document.body.removeChild(enlace);
+        
+        // Dar tiempo al navegador a iniciar la descarga antes de liberar la URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+    
+    /**
+     * CRC-32 de unos bytes, el que usan los bloques PNG y los archivos ZIP
+     * @param {Uint8Array} bytes - Datos
+     * @returns {number} - CRC sin signo
+     */
+    crc32: function(bytes) {
+        if (!tablaCRC) {
+            tablaCRC = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                tablaCRC[n] = c >>> 0;
+            }
+        }
+        
+        let c = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            c = tablaCRC[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+        }
+        return (c ^ 0xffffffff) >>> 0;
     }
 };
 